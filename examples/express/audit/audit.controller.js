@@ -0,0 +1,53 @@
+import logger from '../config/logger.js';
+import { listAuditEvents } from './audit.service.js';
+import { auditQuerySchema } from './audit.validation.js';
+import { formatValidationError } from '../utils/format.js';
+
+/**
+ * 查询审计事件控制器
+ * GET /api/audit
+ *
+ * @description 按事件类型、操作者、目标和时间范围过滤审计事件，最新的在前
+ * @middleware authenticateToken - 需要认证
+ * @middleware requirePermission - 需要 audit:read 权限
+ * @middleware requireMfa - 当前会话需要已完成双因素认证
+ *
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ * @param {Function} next - Express下一个中间件函数
+ *
+ * @returns {200} 成功返回审计事件和分页信息
+ * @returns {400} 查询参数无效
+ * @returns {500} 服务器错误
+ */
+export const fetchAuditEvents = async (req, res, next) => {
+  try {
+    // 1. 验证查询参数
+    const validationResult = auditQuerySchema.safeParse(req.query);
+
+    if (!validationResult.success) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        message: '查询参数无效',
+        details: formatValidationError(validationResult.error),
+      });
+    }
+
+    // 2. 调用服务层查询
+    const { events, pagination } = await listAuditEvents(validationResult.data);
+
+    // 3. 返回成功响应
+    res.status(200).json({
+      success: true,
+      message: '成功获取审计事件',
+      data: {
+        events,
+        pagination
+      }
+    });
+  } catch (error) {
+    logger.error(`获取审计事件失败: ${error.message}`);
+    next(error);
+  }
+};
@@ -0,0 +1,107 @@
+import express from 'express';
+import { fetchAuditEvents } from './audit.controller.js';
+import {
+  authenticateToken,
+  requirePermission,
+  requireMfa,
+} from '../auth/auth.middleware.js';
+import { PERMISSIONS } from '../models/role.model.js';
+
+/**
+ * 审计日志路由配置
+ *
+ * @description 只读接口，审计事件由各模块的服务和控制器通过 recordAuditEvent 写入
+ */
+const router = express.Router();
+
+/**
+ * 查询审计事件路由
+ * GET /api/audit
+ *
+ * @middleware authenticateToken - 需要认证
+ * @middleware requirePermission - 需要 audit:read 权限
+ * @middleware requireMfa - 当前会话需要已完成双因素认证
+ *
+ * @query {number} [page=1] - 页码
+ * @query {number} [limit=20] - 每页数量 (1-100)
+ * @query {string} [action] - 事件类型 (见 AUDIT_ACTIONS)，如 user.deleted
+ * @query {number} [actorId] - 操作者ID
+ * @query {string} [targetType] - 目标类型，如 user
+ * @query {string} [targetId] - 目标ID (需要同时指定 targetType)
+ * @query {string} [from] - 开始时间 (ISO 8601)
+ * @query {string} [to] - 结束时间 (ISO 8601)
+ *
+ * @returns {200} 成功返回审计事件和分页信息
+ * @returns {400} 查询参数无效
+ * @returns {401} 未认证
+ * @returns {403} 权限不足
+ * @returns {500} 服务器错误
+ */
+router.get('/', authenticateToken, requirePermission(PERMISSIONS.AUDIT_READ), requireMfa, fetchAuditEvents);
+
+export default router;
+
+/*
+路由使用示例:
+
+在主应用文件 (app.js) 中:
+
+import auditRoutes from './audit/audit.routes.js';
+
+app.use('/api/audit', auditRoutes);
+
+API 调用示例:
+
+查询某个用户的角色变更记录:
+GET /api/audit?action=user.role_changed&targetType=user&targetId=123
+Cookie: token=...
+
+响应:
+{
+  "success": true,
+  "message": "成功获取审计事件",
+  "data": {
+    "events": [
+      {
+        "id": 42,
+        "action": "user.role_changed",
+        "actor_id": 1,
+        "actor_email": "admin@example.com",
+        "impersonator_id": null,
+        "target_type": "user",
+        "target_id": "123",
+        "before": { "role": "user" },
+        "after": { "role": "support" },
+        "metadata": null,
+        "ip": "203.0.113.10",
+        "user_agent": "Mozilla/5.0 ...",
+        "request_id": "5f0c2b3e-...",
+        "created_at": "2024-01-01T12:00:00.000Z"
+      }
+    ],
+    "pagination": {
+      "page": 1,
+      "limit": 20,
+      "total": 1,
+      "totalPages": 1
+    }
+  }
+}
+
+在服务或控制器中记录事件:
+
+import { recordAuditEvent, auditContext } from '../audit/audit.service.js';
+import { AUDIT_ACTIONS } from '../models/audit-event.model.js';
+
+await recordAuditEvent(
+  {
+    action: AUDIT_ACTIONS.USER_SUSPENDED,
+    target: { type: 'user', id: user.id },
+    before: { status: 'active' },
+    after: { status: 'suspended' },
+    metadata: { reason },
+  },
+  auditContext(req)
+);
+
+*/
@@ -0,0 +1,138 @@
+import logger from '../config/logger.js';
+import { db } from '../config/database.js';
+import { and, count, desc, eq, gte, lte } from 'drizzle-orm';
+import { auditEvents } from '../models/audit-event.model.js';
+
+/**
+ * 从请求中提取审计上下文
+ *
+ * @description 控制器把返回值传给 recordAuditEvent，或传给需要记录审计事件的服务函数
+ * 模拟登录期间，操作者为被模拟的用户，impersonatorId 为发起模拟的管理员
+ * @param {Object} req - Express请求对象
+ * @returns {Object} { actorId, actorEmail, impersonatorId, ip, userAgent, requestId }
+ */
+export const auditContext = req => ({
+  actorId: req.user?.id ?? null,
+  actorEmail: req.user?.email ?? null,
+  impersonatorId: req.user?.act ? Number(req.user.act.sub) : null,
+  ip: req.ip ?? null,
+  userAgent: req.get('user-agent')?.slice(0, 512) ?? null,
+  requestId: req.get('x-request-id')?.slice(0, 100) ?? null,
+});
+
+/**
+ * 计算变更字段
+ *
+ * @description 只保留前后不同的字段，未提供 before 或 after 时原样返回
+ * @param {Object} [before] - 变更前的值
+ * @param {Object} [after] - 变更后的值
+ * @returns {{before: Object|null, after: Object|null}} 只包含变化字段的前后值
+ */
+const diff = (before, after) => {
+  if (!before || !after) {
+    return { before: before ?? null, after: after ?? null };
+  }
+
+  const changedKeys = [...new Set([...Object.keys(before), ...Object.keys(after)])].filter(
+    key => JSON.stringify(before[key]) !== JSON.stringify(after[key])
+  );
+
+  return {
+    before: Object.fromEntries(changedKeys.map(key => [key, before[key] ?? null])),
+    after: Object.fromEntries(changedKeys.map(key => [key, after[key] ?? null])),
+  };
+};
+
+/**
+ * 记录审计事件服务
+ *
+ * @description 写入失败只记录错误日志，不影响业务操作；事件同时写入 winston 日志
+ * @param {Object} event - 审计事件
+ * @param {string} event.action - 事件类型 (见 AUDIT_ACTIONS)
+ * @param {Object} [event.target] - 目标 { type, id }
+ * @param {Object} [event.before] - 变更前的值
+ * @param {Object} [event.after] - 变更后的值
+ * @param {Object} [event.metadata] - 附加信息 (如操作原因)
+ * @param {Object} [context] - 审计上下文 (见 auditContext)，可以覆盖其中的 actorId/actorEmail
+ * @returns {Promise<void>}
+ */
+export const recordAuditEvent = async ({ action, target, before, after, metadata }, context = {}) => {
+  const changes = diff(before, after);
+
+  const values = {
+    action,
+    actor_id: context.actorId ?? null,
+    actor_email: context.actorEmail ?? null,
+    impersonator_id: context.impersonatorId ?? null,
+    target_type: target?.type ?? null,
+    target_id: target?.id !== undefined && target?.id !== null ? String(target.id) : null,
+    before: changes.before,
+    after: changes.after,
+    metadata: metadata ?? null,
+    ip: context.ip ?? null,
+    user_agent: context.userAgent ?? null,
+    request_id: context.requestId ?? null,
+  };
+
+  logger.info(`[audit] ${action}`, values);
+
+  try {
+    await db.insert(auditEvents).values(values);
+  } catch (error) {
+    logger.error(`写入审计事件失败 - ${action}:`, error);
+  }
+};
+
+/**
+ * 查询审计事件服务
+ *
+ * @description 按条件过滤并分页，最新的事件在前
+ * @param {Object} query - 查询条件
+ * @param {number} query.page - 页码
+ * @param {number} query.limit - 每页数量
+ * @param {string} [query.action] - 事件类型
+ * @param {number} [query.actorId] - 操作者ID
+ * @param {string} [query.targetType] - 目标类型
+ * @param {string} [query.targetId] - 目标ID
+ * @param {Date} [query.from] - 开始时间 (包含)
+ * @param {Date} [query.to] - 结束时间 (包含)
+ * @returns {Promise<{events: Array, pagination: Object}>} 事件列表和分页信息
+ */
+export const listAuditEvents = async ({ page, limit, action, actorId, targetType, targetId, from, to }) => {
+  try {
+    const conditions = [
+      action && eq(auditEvents.action, action),
+      actorId && eq(auditEvents.actor_id, actorId),
+      targetType && eq(auditEvents.target_type, targetType),
+      targetId && eq(auditEvents.target_id, targetId),
+      from && gte(auditEvents.created_at, from),
+      to && lte(auditEvents.created_at, to),
+    ].filter(Boolean);
+
+    const where = conditions.length > 0 ? and(...conditions) : undefined;
+
+    const [events, [{ total }]] = await Promise.all([
+      db
+        .select()
+        .from(auditEvents)
+        .where(where)
+        .orderBy(desc(auditEvents.created_at), desc(auditEvents.id))
+        .limit(limit)
+        .offset((page - 1) * limit),
+      db.select({ total: count() }).from(auditEvents).where(where),
+    ]);
+
+    return {
+      events,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    };
+  } catch (error) {
+    logger.error('查询审计事件失败:', error);
+    throw error;
+  }
+};
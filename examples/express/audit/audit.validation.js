@@ -0,0 +1,98 @@
+import { z } from 'zod';
+import { AUDIT_ACTIONS } from '../models/audit-event.model.js';
+
+/**
+ * 审计事件查询参数验证规则
+ *
+ * @description 验证 GET /api/audit 的查询参数
+ */
+export const auditQuerySchema = z
+  .object({
+    /**
+     * 分页参数 - 页码
+     */
+    page: z
+      .string()
+      .regex(/^\d+$/, '页码必须是数字')
+      .transform(Number)
+      .refine(val => val >= 1, '页码必须大于等于1')
+      .default('1'),
+
+    /**
+     * 分页参数 - 每页数量
+     */
+    limit: z
+      .string()
+      .regex(/^\d+$/, '每页数量必须是数字')
+      .transform(Number)
+      .refine(val => val >= 1 && val <= 100, '每页数量必须在1-100之间')
+      .default('20'),
+
+    /**
+     * 事件类型过滤
+     */
+    action: z
+      .enum(Object.values(AUDIT_ACTIONS), {
+        errorMap: () => ({ message: '事件类型无效' })
+      })
+      .optional(),
+
+    /**
+     * 操作者ID过滤
+     */
+    actorId: z
+      .string()
+      .regex(/^\d+$/, '操作者ID必须是数字')
+      .transform(Number)
+      .optional(),
+
+    /**
+     * 目标类型过滤 (如 user、role、api_key)
+     */
+    targetType: z
+      .string()
+      .trim()
+      .max(50, '目标类型不能超过50个字符')
+      .optional(),
+
+    /**
+     * 目标ID过滤 (需要同时指定 targetType)
+     */
+    targetId: z
+      .string()
+      .trim()
+      .max(100, '目标ID不能超过100个字符')
+      .optional(),
+
+    /**
+     * 开始时间 (ISO 8601)
+     */
+    from: z
+      .string()
+      .datetime({ offset: true, message: '开始时间必须是ISO 8601格式' })
+      .transform(val => new Date(val))
+      .optional(),
+
+    /**
+     * 结束时间 (ISO 8601)
+     */
+    to: z
+      .string()
+      .datetime({ offset: true, message: '结束时间必须是ISO 8601格式' })
+      .transform(val => new Date(val))
+      .optional()
+  })
+  .refine(
+    (data) => !data.targetId || data.targetType,
+    {
+      message: '按目标ID过滤时必须指定目标类型',
+      path: ['targetType']
+    }
+  )
+  .refine(
+    (data) => !data.from || !data.to || data.from <= data.to,
+    {
+      message: '开始时间不能晚于结束时间',
+      path: ['from']
+    }
+  );
@@ -0,0 +1,229 @@
+import crypto from 'crypto';
+import { and, count, desc, eq, isNull } from 'drizzle-orm';
+import logger from '../config/logger.js';
+import { db } from '../config/database.js';
+import { apiKeys } from '../models/api-key.model.js';
+import { users, notDeleted } from '../models/user.model.js';
+import { generateToken, hashToken } from '../utils/tokens.js';
+import { assertAccountActive } from './auth.service.js';
+
+/**
+ * API密钥配置
+ */
+const API_KEY_PREFIX = 'ak_';
+const API_KEY_MAX_PER_USER = parseInt(process.env.API_KEY_MAX_PER_USER || '10', 10);
+
+/**
+ * 返回给客户端的API密钥字段 (不含哈希值)
+ */
+const apiKeyColumns = {
+  id: apiKeys.id,
+  name: apiKeys.name,
+  prefix: apiKeys.prefix,
+  scopes: apiKeys.scopes,
+  last_used_at: apiKeys.last_used_at,
+  expires_at: apiKeys.expires_at,
+  created_at: apiKeys.created_at,
+};
+
+/**
+ * 判断字符串是否为API密钥格式
+ *
+ * @description 用于区分 Authorization: Bearer 中携带的是API密钥还是其他令牌
+ * @param {string} value - 客户端提交的凭据
+ * @returns {boolean} 是否以API密钥前缀开头
+ */
+export const isApiKey = value => typeof value === 'string' && value.startsWith(API_KEY_PREFIX);
+
+/**
+ * 创建API密钥服务
+ *
+ * @description 生成新的API密钥，完整密钥只在此处返回一次
+ * @param {number} userId - 用户ID
+ * @param {Object} options - 密钥信息
+ * @param {string} options.name - 密钥名称
+ * @param {string[]} options.scopes - 授权范围
+ * @param {number} [options.expiresInDays] - 有效天数，不传表示永不过期
+ * @returns {Promise<{apiKey: Object, key: string}>} 密钥记录和完整密钥
+ * @throws {Error} 超过每个用户的密钥数量上限时抛出错误
+ */
+export const createApiKey = async (userId, { name, scopes, expiresInDays }) => {
+  try {
+    // 1. 检查有效密钥数量
+    const [{ value: activeCount }] = await db
+      .select({ value: count() })
+      .from(apiKeys)
+      .where(and(eq(apiKeys.user_id, userId), isNull(apiKeys.revoked_at)));
+
+    if (activeCount >= API_KEY_MAX_PER_USER) {
+      throw new Error('API key limit reached');
+    }
+
+    // 2. 生成密钥：可展示的前缀 + 随机部分
+    const prefix = `${API_KEY_PREFIX}${crypto.randomBytes(4).toString('hex')}`;
+    const key = `${prefix}_${generateToken()}`;
+
+    // 3. 保存哈希值
+    const [apiKey] = await db
+      .insert(apiKeys)
+      .values({
+        user_id: userId,
+        name,
+        prefix,
+        key_hash: hashToken(key),
+        scopes,
+        expires_at: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null,
+      })
+      .returning(apiKeyColumns);
+
+    logger.info(`用户 ${userId} 创建API密钥 ${prefix} (${name})`);
+
+    return { apiKey, key };
+  } catch (error) {
+    logger.error(`创建API密钥失败: ${error}`);
+    throw error;
+  }
+};
+
+/**
+ * 获取用户API密钥列表服务
+ *
+ * @description 只返回未吊销的密钥，不包含密钥哈希值
+ * @param {number} userId - 用户ID
+ * @returns {Promise<Array>} 密钥列表
+ */
+export const listApiKeys = async userId => {
+  try {
+    return await db
+      .select(apiKeyColumns)
+      .from(apiKeys)
+      .where(and(eq(apiKeys.user_id, userId), isNull(apiKeys.revoked_at)))
+      .orderBy(desc(apiKeys.created_at));
+  } catch (error) {
+    logger.error(`获取API密钥列表失败: ${error}`);
+    throw error;
+  }
+};
+
+/**
+ * 更新API密钥服务
+ *
+ * @description 修改密钥名称或授权范围，密钥本身保持不变
+ * @param {number} userId - 用户ID
+ * @param {number} keyId - 密钥ID
+ * @param {Object} updates - 要更新的字段
+ * @param {string} [updates.name] - 密钥名称
+ * @param {string[]} [updates.scopes] - 授权范围
+ * @returns {Promise<Object>} 更新后的密钥记录
+ * @throws {Error} 密钥不存在、已吊销或不属于该用户时抛出错误
+ */
+export const updateApiKey = async (userId, keyId, updates) => {
+  try {
+    const [apiKey] = await db
+      .update(apiKeys)
+      .set(updates)
+      .where(and(eq(apiKeys.id, keyId), eq(apiKeys.user_id, userId), isNull(apiKeys.revoked_at)))
+      .returning(apiKeyColumns);
+
+    if (!apiKey) {
+      throw new Error('API key not found');
+    }
+
+    logger.info(`用户 ${userId} 更新API密钥 ${apiKey.prefix}`);
+    return apiKey;
+  } catch (error) {
+    logger.error(`更新API密钥失败: ${error}`);
+    throw error;
+  }
+};
+
+/**
+ * 吊销API密钥服务
+ *
+ * @description 吊销后密钥立即失效，记录保留用于审计
+ * @param {number} userId - 用户ID
+ * @param {number} keyId - 密钥ID
+ * @returns {Promise<Object>} 被吊销的密钥记录
+ * @throws {Error} 密钥不存在、已吊销或不属于该用户时抛出错误
+ */
+export const revokeApiKey = async (userId, keyId) => {
+  try {
+    const [apiKey] = await db
+      .update(apiKeys)
+      .set({ revoked_at: new Date() })
+      .where(and(eq(apiKeys.id, keyId), eq(apiKeys.user_id, userId), isNull(apiKeys.revoked_at)))
+      .returning(apiKeyColumns);
+
+    if (!apiKey) {
+      throw new Error('API key not found');
+    }
+
+    logger.info(`用户 ${userId} 吊销API密钥 ${apiKey.prefix}`);
+    return apiKey;
+  } catch (error) {
+    logger.error(`吊销API密钥失败: ${error}`);
+    throw error;
+  }
+};
+
+/**
+ * API密钥认证服务
+ *
+ * @description 校验客户端提交的API密钥，返回与JWT载荷相同结构的用户信息
+ * 角色取自用户当前的数据库记录，角色变更和账户封禁对API密钥立即生效
+ * @param {string} key - 完整API密钥
+ * @returns {Promise<Object>} 用户信息 { id, email, role, amr, apiKeyId, scopes }
+ * @throws {Error} 密钥无效、已过期或账户不可用时抛出错误
+ */
+export const authenticateApiKey = async key => {
+  try {
+    // 1. 根据哈希值查找密钥及其所属用户
+    const [record] = await db
+      .select({
+        id: apiKeys.id,
+        prefix: apiKeys.prefix,
+        scopes: apiKeys.scopes,
+        expires_at: apiKeys.expires_at,
+        revoked_at: apiKeys.revoked_at,
+        user_id: users.id,
+        email: users.email,
+        role: users.role,
+        status: users.status,
+      })
+      .from(apiKeys)
+      .innerJoin(users, and(eq(apiKeys.user_id, users.id), notDeleted))
+      .where(eq(apiKeys.key_hash, hashToken(key)))
+      .limit(1);
+
+    if (!record || record.revoked_at) {
+      throw new Error('Invalid API key');
+    }
+
+    // 2. 检查是否过期
+    if (record.expires_at && record.expires_at <= new Date()) {
+      throw new Error('API key expired');
+    }
+
+    // 3. 检查账户状态
+    assertAccountActive(record);
+
+    // 4. 更新最后使用时间，失败不影响本次请求
+    db.update(apiKeys)
+      .set({ last_used_at: new Date() })
+      .where(eq(apiKeys.id, record.id))
+      .catch(error => logger.error(`更新API密钥使用时间失败: ${error}`));
+
+    return {
+      id: record.user_id,
+      email: record.email,
+      role: record.role,
+      amr: ['api_key'],
+      apiKeyId: record.id,
+      scopes: record.scopes,
+    };
+  } catch (error) {
+    logger.error(`API密钥认证失败: ${error}`);
+    throw error;
+  }
+};
+
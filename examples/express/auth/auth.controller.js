@@ -1,15 +1,228 @@
 import logger from '../config/logger.js';
-import { signupSchema, signinSchema } from './auth.validation.js';
+import {
+  signupSchema,
+  signinSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  changePasswordSchema,
+  verifyEmailSchema,
+  resendVerificationSchema,
+  mfaCodeSchema,
+  mfaVerifySchema,
+  mfaDisableSchema,
+  createApiKeySchema,
+  updateApiKeySchema,
+  apiKeyIdSchema,
+  oauthProviderSchema,
+  oauthCallbackSchema,
+  sessionIdSchema,
+} from './auth.validation.js';
 import { formatValidationError } from '../utils/format.js';
-import { createUser, authenticateUser } from './auth.service.js';
+import {
+  createUser,
+  authenticateUser,
+  getUserById,
+  changePassword,
+  assertAccountActive,
+} from './auth.service.js';
+import {
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeTokenFamily,
+  isRememberedFamily,
+  REMEMBER_ME_EXPIRES_DAYS,
+} from './token.service.js';
+import { listSessions, revokeSession, revokeOtherSessions } from './session.service.js';
+import { revokeToken, isTokenRevoked } from './revocation.store.js';
+import { extractToken, isTokenMode, TOKEN_TYPES } from './token-extractor.js';
+import { issueCsrfToken } from './csrf.middleware.js';
+import {
+  beginMfaEnrollment,
+  confirmMfaEnrollment,
+  verifyMfa,
+  disableMfa,
+} from './mfa.service.js';
+import {
+  createApiKey,
+  listApiKeys,
+  updateApiKey,
+  revokeApiKey,
+} from './api-key.service.js';
+import { stopImpersonation, getImpersonator } from './impersonation.service.js';
+import { listProviders, createAuthorizationRequest, exchangeAuthorizationCode } from './oauth-client.js';
+import { signInWithIdentity, linkIdentity, listIdentities, unlinkIdentity } from './oauth.service.js';
+import { requestPasswordReset, resetPassword } from './password-reset.service.js';
+import {
+  assertLoginAllowed,
+  recordLoginFailure,
+  resetLoginFailures,
+} from './login-attempts.store.js';
+import {
+  sendVerificationEmail,
+  verifyEmail as verifyEmailToken,
+  resendVerificationEmail,
+} from './email-verification.service.js';
+import { recordAuditEvent, auditContext } from '../audit/audit.service.js';
+import { AUDIT_ACTIONS } from '../models/audit-event.model.js';
 import { jwttoken } from '../utils/jwt.js';
 import { cookies } from '../utils/cookies.js';
 
+/**
+ * 访问令牌Cookie配置
+ *
+ * @description 带签名，生产环境使用 __Host- 前缀 (见 utils/cookies.js 中的预设)
+ */
+const ACCESS_COOKIE_NAME = 'token';
+const ACCESS_COOKIE_OPTIONS = { preset: 'accessToken' };
+
+/**
+ * 刷新令牌Cookie配置
+ *
+ * @description 刷新令牌只需要发送到认证路由，限制路径以减少暴露面；Cookie值加密保存
+ * 有效期取决于是否记住登录，见 deliverAuthTokens
+ */
+const REFRESH_COOKIE_NAME = 'refreshToken';
+const REFRESH_COOKIE_OPTIONS = { preset: 'refreshToken' };
+
+/**
+ * 双因素认证临时令牌配置
+ *
+ * @description 密码验证通过后签发，只能用于 POST /api/auth/mfa/verify
+ */
+const MFA_PENDING_PURPOSE = 'mfa_pending';
+const MFA_PENDING_EXPIRES_IN = process.env.MFA_PENDING_EXPIRES_IN || '5m';
+
+/**
+ * 第三方登录临时Cookie配置
+ *
+ * @description 授权请求的 state、nonce 和 PKCE code_verifier 签名后保存在Cookie中，回调时取出校验
+ * 提供方回调是跨站的顶层跳转，SameSite=Strict 的Cookie不会被发送，因此使用 Lax
+ */
+const OAUTH_STATE_COOKIE_NAME = 'oauthState';
+const OAUTH_STATE_PURPOSE = 'oauth_state';
+const OAUTH_STATE_EXPIRES_IN = '10m';
+const OAUTH_STATE_COOKIE_OPTIONS = { preset: 'oauthState' };
+
+/**
+ * 第三方登录完成后重定向的前端地址
+ */
+const OAUTH_REDIRECT_URL =
+  process.env.OAUTH_REDIRECT_URL || `${process.env.APP_URL || 'http://localhost:3000'}/oauth/callback`;
+
+/**
+ * 下发认证令牌
+ *
+ * @description 签发短期访问令牌，并与刷新令牌一起交给客户端：
+ * Cookie模式写入Cookie并返回空对象；令牌模式不设置Cookie，返回需要合并到响应体中的令牌字段
+ * 访问令牌的 amr (认证方式) 取决于刷新令牌家族是否完成过双因素认证，sid 为刷新令牌家族ID (即会话ID)
+ * 访问令牌Cookie与JWT同时过期；记住登录时刷新令牌Cookie与服务端记录同时过期，否则为会话Cookie
+ * @param {Object} res - Express响应对象
+ * @param {Object} user - 用户信息
+ * @param {Object} refreshToken - 刷新令牌 (由 issueRefreshToken/rotateRefreshToken 返回)
+ * @param {boolean} tokenMode - 是否使用令牌模式
+ * @returns {Object} 令牌模式下为 { tokenType, accessToken, expiresIn, refreshToken, refreshTokenExpiresAt }
+ */
+const deliverAuthTokens = (res, user, refreshToken, tokenMode) => {
+  const token = jwttoken.sign({
+    id: user.id,
+    email: user.email,
+    role: user.role,
+    amr: refreshToken.mfaAuthenticated ? ['pwd', 'mfa'] : ['pwd'],
+    sid: refreshToken.familyId,
+  });
+
+  const { iat, exp } = jwttoken.decode(token);
+
+  if (tokenMode) {
+    return {
+      tokenType: 'Bearer',
+      accessToken: token,
+      expiresIn: exp - iat,
+      refreshToken: refreshToken.token,
+      refreshTokenExpiresAt: refreshToken.expiresAt,
+    };
+  }
+
+  cookies.set(res, ACCESS_COOKIE_NAME, token, { ...ACCESS_COOKIE_OPTIONS, maxAge: (exp - iat) * 1000 });
+
+  if (refreshToken.rememberMe) {
+    cookies.setLongTerm(res, REFRESH_COOKIE_NAME, refreshToken.token, REMEMBER_ME_EXPIRES_DAYS, REFRESH_COOKIE_OPTIONS);
+  } else {
+    cookies.setSession(res, REFRESH_COOKIE_NAME, refreshToken.token, REFRESH_COOKIE_OPTIONS);
+  }
+
+  return {};
+};
+
+/**
+ * 新会话的设备信息
+ *
+ * @param {Object} req - Express请求对象
+ * @returns {{userAgent: string|undefined, ip: string}} 传给 issueRefreshToken 的会话信息
+ */
+const sessionInfo = req => ({
+  userAgent: req.get('user-agent'),
+  ip: req.ip,
+});
+
+/**
+ * 清除认证Cookie
+ *
+ * @param {Object} res - Express响应对象
+ */
+const clearAuthCookies = res => {
+  cookies.clear(res, ACCESS_COOKIE_NAME, ACCESS_COOKIE_OPTIONS);
+  cookies.clear(res, REFRESH_COOKIE_NAME, REFRESH_COOKIE_OPTIONS);
+};
+
+/**
+ * 账户状态错误响应
+ * 
+ * @description 账户状态检查失败时的错误码和提示信息，键为服务层抛出的错误信息
+ */
+const ACCOUNT_STATUS_ERRORS = {
+  'Account pending verification': {
+    code: 'ACCOUNT_PENDING',
+    message: '账户尚未完成邮箱验证，请先查收验证邮件',
+  },
+  'Account suspended': {
+    code: 'ACCOUNT_SUSPENDED',
+    message: '账户已被封禁',
+  },
+  'Account inactive': {
+    code: 'ACCOUNT_INACTIVE',
+    message: '账户已停用',
+  },
+};
+
+/**
+ * 记录登录审计事件
+ *
+ * @description 登录成功时操作者为登录的用户；登录失败时操作者未知，尝试的邮箱记录在 metadata 中
+ * @param {Object} req - Express请求对象
+ * @param {Object} options - 事件信息
+ * @param {Object} [options.user] - 登录成功的用户
+ * @param {string} [options.email] - 登录失败时尝试的邮箱
+ * @param {string} options.method - 认证方式 ('password'、'mfa'、'recovery_code' 或 'oauth:<提供方>')
+ * @param {string} [options.reason] - 失败原因
+ * @returns {Promise<void>}
+ */
+const auditSignIn = (req, { user, email, method, reason }) =>
+  recordAuditEvent(
+    user
+      ? { action: AUDIT_ACTIONS.AUTH_SIGNIN_SUCCEEDED, target: { type: 'user', id: user.id }, metadata: { method } }
+      : { action: AUDIT_ACTIONS.AUTH_SIGNIN_FAILED, metadata: { email, method, reason } },
+    user ? { ...auditContext(req), actorId: user.id, actorEmail: user.email } : auditContext(req)
+  );
+
 /**
  * 用户注册控制器
  * POST /api/auth/sign-up
  * 
- * @description 处理用户注册请求，包括数据验证、用户创建和JWT令牌生成
+ * @description 处理用户注册请求，包括数据验证、用户创建和发送验证邮件
+ * 新账户为待验证状态，完成邮箱验证后才能登录，因此注册时不设置认证Cookie；
+ * 令牌模式 (X-Auth-Mode: token) 的客户端同样不会得到令牌，验证邮箱后通过 sign-in 获取
  * @param {Object} req - Express请求对象
  * @param {Object} res - Express响应对象  
  * @param {Function} next - Express下一个中间件函数
@@ -26,32 +239,30 @@ export const signup = async (req, res, next) => {
       });
     }
 
-    const { name, email, password, role } = validationResult.data;
-
-    // 2. 业务逻辑 - 创建新用户
-    const user = await createUser({ name, email, password, role });
+    const { name, email, password } = validationResult.data;
 
-    // 3. 生成JWT令牌
-    const token = jwttoken.sign({
-      id: user.id,
-      email: user.email,
-      role: user.role,
-    });
+    // 2. 业务逻辑 - 创建新用户 (公开注册的用户始终是 user 角色)
+    const user = await createUser({ name, email, password });
 
-    // 4. 设置安全Cookie
-    cookies.set(res, 'token', token);
+    // 3. 发送验证邮件 (发送失败不影响注册结果，用户可以重新发送)
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      logger.error(`验证邮件发送失败: ${email}`, mailError);
+    }
 
-    // 5. 记录日志
+    // 4. 记录日志
     logger.info(`User registered successfully: ${email}`);
 
-    // 6. 返回成功响应
+    // 5. 返回成功响应
     res.status(201).json({
-      message: '注册成功',
+      message: '注册成功，请查收验证邮件以激活账户',
       user: {
         id: user.id,
         name: user.name,
         email: user.email,
         role: user.role,
+        status: user.status,
       },
     });
   } catch (error) {
@@ -76,6 +287,10 @@ export const signup = async (req, res, next) => {
  * POST /api/auth/sign-in
  * 
  * @description 处理用户登录请求，验证凭据并生成访问令牌
+ * 按账户和来源IP统计连续失败次数，超过阈值后临时锁定
+ * 邮箱不存在与密码错误返回完全相同的响应
+ * 已启用双因素认证的用户不会立即获得会话，而是得到一个临时 mfaToken，
+ * 需要再调用 POST /api/auth/mfa/verify 完成登录
  * @param {Object} req - Express请求对象
  * @param {Object} res - Express响应对象
  * @param {Function} next - Express下一个中间件函数
@@ -92,25 +307,51 @@ export const signIn = async (req, res, next) => {
       });
     }
 
-    const { email, password } = validationResult.data;
+    const { email, password, rememberMe } = validationResult.data;
+    const loginContext = { email, ip: req.ip };
 
-    // 2. 身份验证
-    const user = await authenticateUser({ email, password });
+    // 2. 暴力破解保护 - 账户或IP处于锁定期时直接拒绝
+    await assertLoginAllowed(loginContext);
 
-    // 3. 生成JWT令牌
-    const token = jwttoken.sign({
-      id: user.id,
-      email: user.email,
-      role: user.role,
-    });
+    // 3. 身份验证，失败时累加失败次数
+    let user;
+
+    try {
+      user = await authenticateUser({ email, password });
+    } catch (authError) {
+      if (authError.message === 'Invalid credentials') {
+        await recordLoginFailure(loginContext);
+      }
+      throw authError;
+    }
+
+    await resetLoginFailures(loginContext);
+
+    // 4. 已启用双因素认证 - 返回临时令牌 (记录是否记住登录)，不设置会话Cookie
+    if (user.mfa_enabled) {
+      const mfaToken = jwttoken.sign(
+        { id: user.id, email: user.email, purpose: MFA_PENDING_PURPOSE, rememberMe },
+        { expiresIn: MFA_PENDING_EXPIRES_IN }
+      );
+
+      logger.info(`User passed password check, MFA pending: ${email}`);
+
+      return res.status(200).json({
+        message: '请输入双因素认证验证码',
+        mfaRequired: true,
+        mfaToken,
+      });
+    }
 
-    // 4. 设置安全Cookie
-    cookies.set(res, 'token', token);
+    // 5. 签发访问令牌和刷新令牌 (Cookie模式写入安全Cookie，令牌模式放入响应体)
+    const refreshToken = await issueRefreshToken(user.id, { rememberMe, ...sessionInfo(req) });
+    const tokens = deliverAuthTokens(res, user, refreshToken, isTokenMode(req));
 
-    // 5. 记录日志
+    // 6. 记录日志和审计事件
     logger.info(`User signed in successfully: ${email}`);
+    await auditSignIn(req, { user, method: 'password' });
 
-    // 6. 返回成功响应
+    // 7. 返回成功响应
     res.status(200).json({
       message: '用户登录成功!',
       user: {
@@ -119,46 +360,1527 @@ export const signIn = async (req, res, next) => {
         email: user.email,
         role: user.role,
       },
+      ...tokens,
     });
   } catch (error) {
     // 错误处理
     logger.error('Sign in error', error);
 
-    // 处理认证失败
-    if (error.message === 'User not found' || error.message === 'Invalid password') {
+    if (error.message === 'Invalid credentials' || error.message === 'Too many login attempts' || ACCOUNT_STATUS_ERRORS[error.message]) {
+      await auditSignIn(req, { email: req.body?.email, method: 'password', reason: error.message });
+    }
+
+    // 处理认证失败 (不区分邮箱不存在和密码错误)
+    if (error.message === 'Invalid credentials') {
       return res.status(401).json({ 
         error: 'Invalid credentials',
         message: '邮箱或密码错误' 
       });
     }
 
+    // 处理登录锁定
+    if (error.message === 'Too many login attempts') {
+      res.set('Retry-After', String(error.retryAfter));
+      return res.status(429).json({
+        error: 'Too many login attempts',
+        message: `登录失败次数过多，请 ${error.retryAfter} 秒后再试`,
+        code: 'LOGIN_LOCKED',
+        retryAfter: error.retryAfter
+      });
+    }
+
+    // 处理账户状态异常
+    if (ACCOUNT_STATUS_ERRORS[error.message]) {
+      return res.status(403).json({
+        error: 'Account not active',
+        ...ACCOUNT_STATUS_ERRORS[error.message],
+      });
+    }
+
     next(error);
   }
 };
 
 /**
- * 用户登出控制器
- * POST /api/auth/sign-out
+ * 刷新令牌控制器
+ * POST /api/auth/refresh
  * 
- * @description 处理用户登出请求，清除认证令牌
+ * @description 使用刷新令牌换取新的访问令牌，同时轮换刷新令牌
+ * 已使用过的刷新令牌被重放时，整个令牌家族会被吊销
  * @param {Object} req - Express请求对象
  * @param {Object} res - Express响应对象
  * @param {Function} next - Express下一个中间件函数
  */
-export const signOut = async (req, res, next) => {
+export const refreshToken = async (req, res, next) => {
   try {
-    // 1. 清除Cookie中的JWT令牌
-    cookies.clear(res, 'token');
+    // 1. 从Cookie中获取刷新令牌，令牌模式的客户端在请求体中提交
+    const cookieToken = cookies.get(req, REFRESH_COOKIE_NAME, REFRESH_COOKIE_OPTIONS);
+    const bodyToken = typeof req.body?.refreshToken === 'string' ? req.body.refreshToken : undefined;
+    const token = cookieToken || bodyToken;
 
-    // 2. 记录日志
-    logger.info('User signed out successfully');
+    if (!token) {
+      return res.status(401).json({
+        error: 'Authentication required',
+        message: '缺少刷新令牌，请重新登录',
+        code: 'NO_REFRESH_TOKEN'
+      });
+    }
+
+    // 2. 轮换刷新令牌
+    const { userId, refreshToken: newRefreshToken } = await rotateRefreshToken(token, { ip: req.ip });
+
+    // 3. 重新读取用户信息，确保新访问令牌中的角色是最新的，并确认账户仍然可用
+    const user = await getUserById(userId);
+    assertAccountActive(user);
+
+    // 4. 下发新的令牌，与客户端提交刷新令牌的方式保持一致
+    const tokens = deliverAuthTokens(res, user, newRefreshToken, isTokenMode(req) || !cookieToken);
+
+    logger.info(`Token refreshed successfully: ${user.email}`);
 
-    // 3. 返回成功响应
     res.status(200).json({
-      message: '登出成功',
+      message: '令牌刷新成功',
+      user: {
+        id: user.id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+      },
+      ...tokens,
     });
   } catch (error) {
-    logger.error('登出失败!', error);
+    logger.error('刷新令牌失败:', error);
+
+    // 刷新失败时清除客户端上的认证Cookie，强制重新登录
+    if (error.message === 'Refresh token reuse detected') {
+      clearAuthCookies(res);
+      return res.status(401).json({
+        error: 'Authentication failed',
+        message: '检测到刷新令牌被重复使用，所有相关会话已失效，请重新登录',
+        code: 'REFRESH_TOKEN_REUSED'
+      });
+    }
+
+    if (error.message === 'Session revoked') {
+      clearAuthCookies(res);
+      return res.status(401).json({
+        error: 'Authentication failed',
+        message: '该登录会话已被注销，请重新登录',
+        code: 'SESSION_REVOKED'
+      });
+    }
+
+    if (
+      error.message === 'Invalid refresh token' ||
+      error.message === 'Refresh token expired' ||
+      error.message === 'User not found'
+    ) {
+      clearAuthCookies(res);
+      return res.status(401).json({
+        error: 'Authentication failed',
+        message: '刷新令牌无效或已过期，请重新登录',
+        code: 'INVALID_REFRESH_TOKEN'
+      });
+    }
+
+    if (ACCOUNT_STATUS_ERRORS[error.message]) {
+      clearAuthCookies(res);
+      return res.status(403).json({
+        error: 'Account not active',
+        ...ACCOUNT_STATUS_ERRORS[error.message],
+      });
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * 双因素登录验证控制器
+ * POST /api/auth/mfa/verify
+ * 
+ * @description 登录第二步：校验临时 mfaToken 和TOTP验证码 (或恢复码)，通过后建立会话
+ * 验证码错误同样计入登录失败次数
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ * @param {Function} next - Express下一个中间件函数
+ */
+export const verifyMfaLogin = async (req, res, next) => {
+  try {
+    // 1. 数据验证
+    const validationResult = mfaVerifySchema.safeParse(req.body);
+
+    if (!validationResult.success) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: formatValidationError(validationResult.error),
+      });
+    }
+
+    const { mfaToken, code, recoveryCode } = validationResult.data;
+
+    // 2. 校验临时令牌
+    let pending;
+
+    try {
+      pending = jwttoken.verify(mfaToken);
+    } catch (tokenError) {
+      pending = null;
+    }
+
+    if (!pending || pending.purpose !== MFA_PENDING_PURPOSE || (await isTokenRevoked(pending))) {
+      return res.status(401).json({
+        error: 'Authentication failed',
+        message: '登录已超时，请重新输入邮箱和密码',
+        code: 'INVALID_MFA_TOKEN'
+      });
+    }
+
+    const loginContext = { email: pending.email, ip: req.ip };
+
+    // 3. 暴力破解保护
+    await assertLoginAllowed(loginContext);
+
+    // 4. 校验验证码或恢复码
+    let result;
+
+    try {
+      result = await verifyMfa(pending.id, { code, recoveryCode });
+    } catch (mfaError) {
+      if (mfaError.message === 'Invalid MFA code') {
+        await recordLoginFailure(loginContext);
+        await auditSignIn(req, { email: pending.email, method: 'mfa', reason: mfaError.message });
+      }
+      throw mfaError;
+    }
+
+    // 5. 临时令牌只能使用一次
+    await revokeToken(pending);
+    await resetLoginFailures(loginContext);
+
+    // 6. 确认账户仍然可用，建立会话
+    const user = await getUserById(pending.id);
+    assertAccountActive(user);
+
+    const refreshToken = await issueRefreshToken(user.id, {
+      mfaAuthenticated: true,
+      rememberMe: !!pending.rememberMe,
+      ...sessionInfo(req),
+    });
+    const tokens = deliverAuthTokens(res, user, refreshToken, isTokenMode(req));
+
+    logger.info(`User signed in with MFA: ${user.email}${result.usedRecoveryCode ? ' (recovery code)' : ''}`);
+    await auditSignIn(req, { user, method: result.usedRecoveryCode ? 'recovery_code' : 'mfa' });
+
+    res.status(200).json({
+      message: '用户登录成功!',
+      user: {
+        id: user.id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+      },
+      ...tokens,
+    });
+  } catch (error) {
+    logger.error('双因素登录验证失败:', error);
+
+    if (error.message === 'Invalid MFA code') {
+      return res.status(401).json({
+        error: 'Invalid MFA code',
+        message: '验证码错误',
+        code: 'INVALID_MFA_CODE'
+      });
+    }
+
+    // 输入密码之后双因素认证被关闭，临时令牌不再有效，需要重新登录
+    if (error.message === 'MFA not enabled') {
+      return res.status(401).json({
+        error: 'Invalid MFA challenge',
+        message: '双因素认证状态已变更，请重新输入邮箱和密码',
+        code: 'INVALID_MFA_TOKEN'
+      });
+    }
+
+    if (error.message === 'Too many login attempts') {
+      res.set('Retry-After', String(error.retryAfter));
+      return res.status(429).json({
+        error: 'Too many login attempts',
+        message: `登录失败次数过多，请 ${error.retryAfter} 秒后再试`,
+        code: 'LOGIN_LOCKED',
+        retryAfter: error.retryAfter
+      });
+    }
+
+    if (ACCOUNT_STATUS_ERRORS[error.message]) {
+      return res.status(403).json({
+        error: 'Account not active',
+        ...ACCOUNT_STATUS_ERRORS[error.message],
+      });
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * 开始绑定双因素认证控制器
+ * POST /api/auth/mfa/setup
+ * 
+ * @description 生成TOTP密钥，返回密钥和 otpauth URI 供验证器应用绑定
+ * @param {Object} req - Express请求对象 (需要包含用户信息)
+ * @param {Object} res - Express响应对象
+ * @param {Function} next - Express下一个中间件函数
+ */
+export const setupMfa = async (req, res, next) => {
+  try {
+    const { secret, otpauthUri } = await beginMfaEnrollment(req.user.id);
+
+    res.status(200).json({
+      message: '请使用验证器应用扫描二维码，然后提交验证码完成绑定',
+      secret,
+      otpauthUri,
+    });
+  } catch (error) {
+    logger.error('开始绑定双因素认证失败:', error);
+
+    if (error.message === 'MFA already enabled') {
+      return res.status(409).json({
+        error: 'MFA already enabled',
+        message: '已启用双因素认证',
+        code: 'MFA_ALREADY_ENABLED'
+      });
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * 确认绑定双因素认证控制器
+ * POST /api/auth/mfa/confirm
+ * 
+ * @description 提交验证器应用中的验证码完成绑定，返回一次性恢复码
+ * 当前会话同时升级为已完成双因素认证
+ * @param {Object} req - Express请求对象 (需要包含用户信息)
+ * @param {Object} res - Express响应对象
+ * @param {Function} next - Express下一个中间件函数
+ */
+export const confirmMfa = async (req, res, next) => {
+  try {
+    // 1. 数据验证
+    const validationResult = mfaCodeSchema.safeParse(req.body);
+
+    if (!validationResult.success) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: formatValidationError(validationResult.error),
+      });
+    }
+
+    // 2. 校验验证码并启用双因素认证
+    const recoveryCodes = await confirmMfaEnrollment(req.user.id, validationResult.data.code);
+
+    // 3. 当前会话升级为已完成双因素认证 (以新会话替换当前会话，沿用是否记住登录)
+    const rememberMe = await isRememberedFamily(req.user.sid);
+
+    if (req.user.sid) {
+      await revokeTokenFamily(req.user.sid);
+    }
+
+    const user = await getUserById(req.user.id);
+    const refreshToken = await issueRefreshToken(user.id, { mfaAuthenticated: true, rememberMe, ...sessionInfo(req) });
+    const tokens = deliverAuthTokens(res, user, refreshToken, isTokenMode(req));
+
+    await recordAuditEvent(
+      { action: AUDIT_ACTIONS.AUTH_MFA_ENABLED, target: { type: 'user', id: user.id } },
+      auditContext(req)
+    );
+
+    res.status(200).json({
+      message: '双因素认证已启用，请妥善保存恢复码，它们只显示这一次',
+      recoveryCodes,
+      ...tokens,
+    });
+  } catch (error) {
+    logger.error('确认绑定双因素认证失败:', error);
+
+    if (error.message === 'Invalid MFA code') {
+      return res.status(400).json({
+        error: 'Invalid MFA code',
+        message: '验证码错误',
+        code: 'INVALID_MFA_CODE'
+      });
+    }
+
+    if (error.message === 'MFA enrollment not started') {
+      return res.status(400).json({
+        error: 'MFA enrollment not started',
+        message: '请先调用 /api/auth/mfa/setup 生成密钥',
+        code: 'MFA_NOT_STARTED'
+      });
+    }
+
+    if (error.message === 'MFA already enabled') {
+      return res.status(409).json({
+        error: 'MFA already enabled',
+        message: '已启用双因素认证',
+        code: 'MFA_ALREADY_ENABLED'
+      });
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * 关闭双因素认证控制器
+ * POST /api/auth/mfa/disable
+ * 
+ * @description 验证当前密码 (没有设置密码的账户除外) 和验证码或恢复码后关闭双因素认证，恢复码一并删除
+ * @param {Object} req - Express请求对象 (需要包含用户信息)
+ * @param {Object} res - Express响应对象
+ * @param {Function} next - Express下一个中间件函数
+ */
+export const turnOffMfa = async (req, res, next) => {
+  try {
+    // 1. 数据验证
+    const validationResult = mfaDisableSchema.safeParse(req.body);
+
+    if (!validationResult.success) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: formatValidationError(validationResult.error),
+      });
+    }
+
+    // 2. 校验并关闭
+    await disableMfa(req.user.id, validationResult.data);
+
+    await recordAuditEvent(
+      { action: AUDIT_ACTIONS.AUTH_MFA_DISABLED, target: { type: 'user', id: req.user.id } },
+      auditContext(req)
+    );
+
+    res.status(200).json({
+      message: '双因素认证已关闭',
+    });
+  } catch (error) {
+    logger.error('关闭双因素认证失败:', error);
+
+    if (error.message === 'Invalid current password') {
+      return res.status(400).json({
+        error: 'Invalid current password',
+        message: '当前密码错误',
+        code: 'INVALID_CURRENT_PASSWORD'
+      });
+    }
+
+    if (error.message === 'Invalid MFA code') {
+      return res.status(400).json({
+        error: 'Invalid MFA code',
+        message: '验证码错误',
+        code: 'INVALID_MFA_CODE'
+      });
+    }
+
+    if (error.message === 'MFA not enabled') {
+      return res.status(409).json({
+        error: 'MFA not enabled',
+        message: '尚未启用双因素认证',
+        code: 'MFA_NOT_ENABLED'
+      });
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * 创建API密钥控制器
+ * POST /api/auth/api-keys
+ * 
+ * @description 为当前用户创建API密钥，完整密钥只在响应中返回这一次
+ * @param {Object} req - Express请求对象 (需要包含用户信息)
+ * @param {Object} res - Express响应对象
+ * @param {Function} next - Express下一个中间件函数
+ */
+export const createPersonalApiKey = async (req, res, next) => {
+  try {
+    // 1. 数据验证
+    const validationResult = createApiKeySchema.safeParse(req.body);
+
+    if (!validationResult.success) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: formatValidationError(validationResult.error),
+      });
+    }
+
+    // 2. 创建密钥
+    const { apiKey, key } = await createApiKey(req.user.id, validationResult.data);
+
+    await recordAuditEvent(
+      {
+        action: AUDIT_ACTIONS.API_KEY_CREATED,
+        target: { type: 'api_key', id: apiKey.id },
+        after: { name: apiKey.name, scopes: apiKey.scopes, expires_at: apiKey.expires_at },
+      },
+      auditContext(req)
+    );
+
+    // 3. 返回完整密钥
+    res.status(201).json({
+      message: 'API密钥创建成功，请妥善保存，它只显示这一次',
+      apiKey,
+      key,
+    });
+  } catch (error) {
+    logger.error('创建API密钥失败:', error);
+
+    if (error.message === 'API key limit reached') {
+      return res.status(409).json({
+        error: 'API key limit reached',
+        message: 'API密钥数量已达上限，请先吊销不再使用的密钥',
+        code: 'API_KEY_LIMIT_REACHED'
+      });
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * 获取API密钥列表控制器
+ * GET /api/auth/api-keys
+ * 
+ * @description 返回当前用户未吊销的API密钥 (只包含前缀，不包含完整密钥)
+ * @param {Object} req - Express请求对象 (需要包含用户信息)
+ * @param {Object} res - Express响应对象
+ * @param {Function} next - Express下一个中间件函数
+ */
+export const fetchApiKeys = async (req, res, next) => {
+  try {
+    const apiKeys = await listApiKeys(req.user.id);
+
+    res.status(200).json({
+      message: '获取API密钥列表成功',
+      apiKeys,
+      count: apiKeys.length,
+    });
+  } catch (error) {
+    logger.error('获取API密钥列表失败:', error);
+    next(error);
+  }
+};
+
+/**
+ * 更新API密钥控制器
+ * PATCH /api/auth/api-keys/:id
+ * 
+ * @description 修改API密钥的名称或授权范围
+ * @param {Object} req - Express请求对象 (需要包含用户信息)
+ * @param {Object} res - Express响应对象
+ * @param {Function} next - Express下一个中间件函数
+ */
+export const updateApiKeyById = async (req, res, next) => {
+  try {
+    // 1. 验证密钥ID和请求数据
+    const idValidation = apiKeyIdSchema.safeParse(req.params);
+
+    if (!idValidation.success) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: formatValidationError(idValidation.error),
+      });
+    }
+
+    const validationResult = updateApiKeySchema.safeParse(req.body);
+
+    if (!validationResult.success) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: formatValidationError(validationResult.error),
+      });
+    }
+
+    // 2. 更新密钥
+    const apiKey = await updateApiKey(req.user.id, idValidation.data.id, validationResult.data);
+
+    await recordAuditEvent(
+      {
+        action: AUDIT_ACTIONS.API_KEY_UPDATED,
+        target: { type: 'api_key', id: apiKey.id },
+        after: { name: apiKey.name, scopes: apiKey.scopes },
+      },
+      auditContext(req)
+    );
+
+    res.status(200).json({
+      message: 'API密钥已更新',
+      apiKey,
+    });
+  } catch (error) {
+    logger.error('更新API密钥失败:', error);
+
+    if (error.message === 'API key not found') {
+      return res.status(404).json({
+        error: 'API key not found',
+        message: 'API密钥不存在或已吊销',
+        code: 'API_KEY_NOT_FOUND'
+      });
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * 吊销API密钥控制器
+ * DELETE /api/auth/api-keys/:id
+ * 
+ * @description 吊销后使用该密钥的请求立即被拒绝
+ * @param {Object} req - Express请求对象 (需要包含用户信息)
+ * @param {Object} res - Express响应对象
+ * @param {Function} next - Express下一个中间件函数
+ */
+export const revokeApiKeyById = async (req, res, next) => {
+  try {
+    // 1. 验证密钥ID
+    const idValidation = apiKeyIdSchema.safeParse(req.params);
+
+    if (!idValidation.success) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: formatValidationError(idValidation.error),
+      });
+    }
+
+    // 2. 吊销密钥
+    const apiKey = await revokeApiKey(req.user.id, idValidation.data.id);
+
+    await recordAuditEvent(
+      { action: AUDIT_ACTIONS.API_KEY_REVOKED, target: { type: 'api_key', id: apiKey.id } },
+      auditContext(req)
+    );
+
+    res.status(200).json({
+      message: 'API密钥已吊销',
+      apiKey,
+    });
+  } catch (error) {
+    logger.error('吊销API密钥失败:', error);
+
+    if (error.message === 'API key not found') {
+      return res.status(404).json({
+        error: 'API key not found',
+        message: 'API密钥不存在或已吊销',
+        code: 'API_KEY_NOT_FOUND'
+      });
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * 第三方登录回调错误码
+ *
+ * @description 回调通过重定向返回前端，错误码放在查询参数 error 中，键为服务层抛出的错误信息
+ */
+const OAUTH_CALLBACK_ERRORS = {
+  'OAuth provider not found': 'OAUTH_PROVIDER_NOT_FOUND',
+  'OAuth provider request failed': 'OAUTH_PROVIDER_UNAVAILABLE',
+  'OAuth code exchange failed': 'OAUTH_EXCHANGE_FAILED',
+  'Invalid ID token': 'OAUTH_INVALID_ID_TOKEN',
+  'OAuth profile missing subject': 'OAUTH_EXCHANGE_FAILED',
+  'OAuth email missing': 'OAUTH_EMAIL_MISSING',
+  'OAuth email not verified': 'OAUTH_EMAIL_NOT_VERIFIED',
+  'Identity linked to another account': 'IDENTITY_LINKED_TO_OTHER_ACCOUNT',
+  'Provider already linked': 'PROVIDER_ALREADY_LINKED',
+};
+
+/**
+ * 开始第三方授权
+ *
+ * @description 生成授权地址，并把 state、nonce 和 PKCE code_verifier 放入签名的临时Cookie
+ * @param {Object} res - Express响应对象
+ * @param {string} provider - 提供方名称
+ * @param {Object} [options] - 选项
+ * @param {Object} [options.linkUser] - 绑定模式下的当前用户 { id, email }
+ * @param {string} [options.loginHint] - 提示提供方预先填写的账户
+ * @param {boolean} [options.rememberMe] - 登录完成后是否记住登录
+ * @returns {Promise<string>} 提供方授权地址
+ */
+const beginOAuthFlow = async (res, provider, { linkUser, loginHint, rememberMe } = {}) => {
+  const { url, state, nonce, codeVerifier } = await createAuthorizationRequest(provider, { loginHint });
+
+  const stateToken = jwttoken.sign(
+    {
+      purpose: OAUTH_STATE_PURPOSE,
+      provider,
+      state,
+      nonce,
+      codeVerifier,
+      ...(rememberMe && { rememberMe }),
+      ...(linkUser && { linkUserId: linkUser.id, linkUserEmail: linkUser.email }),
+    },
+    { expiresIn: OAUTH_STATE_EXPIRES_IN }
+  );
+
+  cookies.set(res, OAUTH_STATE_COOKIE_NAME, stateToken, OAUTH_STATE_COOKIE_OPTIONS);
+  return url;
+};
+
+/**
+ * 重定向回前端
+ *
+ * @description 结果放在查询参数中；mfaToken 等敏感值放在片段 (#) 中，不会出现在服务器日志和 Referer 中
+ * @param {Object} res - Express响应对象
+ * @param {Object} params - 查询参数
+ * @param {Object} [fragment] - 片段参数
+ */
+const redirectToApp = (res, params, fragment) => {
+  const url = new URL(OAUTH_REDIRECT_URL);
+
+  for (const [key, value] of Object.entries(params)) {
+    url.searchParams.set(key, value);
+  }
+
+  if (fragment) {
+    url.hash = new URLSearchParams(fragment).toString();
+  }
+
+  res.redirect(302, url.toString());
+};
+
+/**
+ * 获取第三方登录提供方控制器
+ * GET /api/auth/oauth
+ *
+ * @description 返回已启用的提供方，前端据此显示"使用 Google 登录"等按钮
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ * @param {Function} next - Express下一个中间件函数
+ */
+export const fetchOAuthProviders = (req, res, next) => {
+  try {
+    res.status(200).json({
+      providers: listProviders(),
+    });
+  } catch (error) {
+    logger.error('获取第三方登录提供方失败:', error);
+    next(error);
+  }
+};
+
+/**
+ * 第三方登录控制器
+ * GET /api/auth/oauth/:provider
+ *
+ * @description 重定向到提供方的授权页面 (授权码 + PKCE)，用户同意后提供方回调 callback 地址
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ * @param {Function} next - Express下一个中间件函数
+ */
+export const startOAuthSignIn = async (req, res, next) => {
+  try {
+    // 1. 验证提供方参数
+    const validationResult = oauthProviderSchema.safeParse(req.params);
+
+    if (!validationResult.success) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: formatValidationError(validationResult.error),
+      });
+    }
+
+    // 2. 生成授权请求并重定向 (login_hint 原样转交提供方，remember_me=true 时记住登录)
+    const loginHint = typeof req.query.login_hint === 'string' ? req.query.login_hint.slice(0, 255) : undefined;
+    const rememberMe = req.query.remember_me === 'true';
+    const url = await beginOAuthFlow(res, validationResult.data.provider, { loginHint, rememberMe });
+
+    res.redirect(302, url);
+  } catch (error) {
+    logger.error('开始第三方登录失败:', error);
+
+    if (error.message === 'OAuth provider not found') {
+      return res.status(404).json({
+        error: 'OAuth provider not found',
+        message: '不支持该登录方式',
+        code: 'OAUTH_PROVIDER_NOT_FOUND'
+      });
+    }
+
+    if (error.message === 'OAuth provider request failed') {
+      return res.status(502).json({
+        error: 'OAuth provider unavailable',
+        message: '第三方登录服务暂时不可用，请稍后再试',
+        code: 'OAUTH_PROVIDER_UNAVAILABLE'
+      });
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * 绑定第三方身份控制器
+ * POST /api/auth/oauth/:provider/link
+ *
+ * @description 已登录用户绑定第三方身份：返回授权地址，由前端跳转，回调时身份绑定到当前用户
+ * 邮箱未验证或与账户邮箱不同的身份只能通过这种方式绑定
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ * @param {Function} next - Express下一个中间件函数
+ */
+export const startOAuthLink = async (req, res, next) => {
+  try {
+    // 1. 验证提供方参数
+    const validationResult = oauthProviderSchema.safeParse(req.params);
+
+    if (!validationResult.success) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: formatValidationError(validationResult.error),
+      });
+    }
+
+    // 2. 生成绑定当前用户的授权请求
+    const authorizationUrl = await beginOAuthFlow(res, validationResult.data.provider, { linkUser: req.user });
+
+    res.status(200).json({
+      message: '请跳转到授权页面完成绑定',
+      authorizationUrl,
+    });
+  } catch (error) {
+    logger.error('开始绑定第三方身份失败:', error);
+
+    if (error.message === 'OAuth provider not found') {
+      return res.status(404).json({
+        error: 'OAuth provider not found',
+        message: '不支持该登录方式',
+        code: 'OAUTH_PROVIDER_NOT_FOUND'
+      });
+    }
+
+    if (error.message === 'OAuth provider request failed') {
+      return res.status(502).json({
+        error: 'OAuth provider unavailable',
+        message: '第三方登录服务暂时不可用，请稍后再试',
+        code: 'OAUTH_PROVIDER_UNAVAILABLE'
+      });
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * 第三方登录回调控制器
+ * GET /api/auth/oauth/:provider/callback
+ *
+ * @description 校验 state，用授权码和 code_verifier 换取身份 (OIDC 同时校验 ID Token 和 nonce)，
+ * 然后登录、注册或绑定身份，最后重定向到 OAUTH_REDIRECT_URL：
+ * - ?status=success           已登录，认证Cookie已设置
+ * - ?status=mfa_required      需要双因素认证，#mfaToken=... 交给 POST /api/auth/mfa/verify
+ * - ?status=linked            绑定模式下身份已绑定
+ * - ?error=<错误码>           失败
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ * @param {Function} next - Express下一个中间件函数
+ */
+export const handleOAuthCallback = async (req, res, next) => {
+  const provider = req.params.provider;
+  let flow = null;
+
+  try {
+    // 1. 读取并清除临时Cookie，每个 state 只能使用一次
+    const stateToken = cookies.get(req, OAUTH_STATE_COOKIE_NAME, OAUTH_STATE_COOKIE_OPTIONS);
+    cookies.clear(res, OAUTH_STATE_COOKIE_NAME, OAUTH_STATE_COOKIE_OPTIONS);
+
+    try {
+      flow = stateToken ? jwttoken.verify(stateToken) : null;
+    } catch (tokenError) {
+      flow = null;
+    }
+
+    // 2. 校验 state，防止登录CSRF
+    const validationResult = oauthCallbackSchema.safeParse(req.query);
+
+    if (
+      !flow ||
+      flow.purpose !== OAUTH_STATE_PURPOSE ||
+      flow.provider !== provider ||
+      !validationResult.success ||
+      validationResult.data.state !== flow.state
+    ) {
+      logger.warn(`第三方登录 state 校验失败 - ${provider}`);
+      return redirectToApp(res, { error: 'OAUTH_INVALID_STATE' });
+    }
+
+    // 3. 用户在提供方拒绝了授权
+    if (validationResult.data.error) {
+      return redirectToApp(res, { error: 'OAUTH_DENIED' });
+    }
+
+    // 4. 用授权码换取外部身份
+    const profile = await exchangeAuthorizationCode(provider, {
+      code: validationResult.data.code,
+      codeVerifier: flow.codeVerifier,
+      nonce: flow.nonce,
+    });
+
+    // 5. 绑定模式 - 绑定到发起请求的用户
+    if (flow.linkUserId) {
+      await linkIdentity(flow.linkUserId, provider, profile);
+
+      await recordAuditEvent(
+        {
+          action: AUDIT_ACTIONS.AUTH_IDENTITY_LINKED,
+          target: { type: 'user', id: flow.linkUserId },
+          metadata: { provider, email: profile.email },
+        },
+        { ...auditContext(req), actorId: flow.linkUserId, actorEmail: flow.linkUserEmail }
+      );
+
+      return redirectToApp(res, { status: 'linked', provider });
+    }
+
+    // 6. 登录模式 - 找到、绑定或创建用户
+    const { user, isNewUser, linked } = await signInWithIdentity(provider, profile);
+
+    if (linked) {
+      await recordAuditEvent(
+        {
+          action: AUDIT_ACTIONS.AUTH_IDENTITY_LINKED,
+          target: { type: 'user', id: user.id },
+          metadata: { provider, email: profile.email, isNewUser },
+        },
+        { ...auditContext(req), actorId: user.id, actorEmail: user.email }
+      );
+    }
+
+    // 7. 已启用双因素认证 - 与密码登录一样需要验证码
+    if (user.mfa_enabled) {
+      const mfaToken = jwttoken.sign(
+        { id: user.id, email: user.email, purpose: MFA_PENDING_PURPOSE, rememberMe: !!flow.rememberMe },
+        { expiresIn: MFA_PENDING_EXPIRES_IN }
+      );
+
+      logger.info(`User passed ${provider} sign-in, MFA pending: ${user.email}`);
+      return redirectToApp(res, { status: 'mfa_required' }, { mfaToken });
+    }
+
+    // 8. 签发令牌 (浏览器重定向流程只使用Cookie模式)
+    const refreshToken = await issueRefreshToken(user.id, { rememberMe: !!flow.rememberMe, ...sessionInfo(req) });
+    deliverAuthTokens(res, user, refreshToken, false);
+
+    logger.info(`User signed in with ${provider}: ${user.email}`);
+    await auditSignIn(req, { user, method: `oauth:${provider}` });
+
+    redirectToApp(res, { status: 'success' });
+  } catch (error) {
+    logger.error('第三方登录回调失败:', error);
+
+    const code = OAUTH_CALLBACK_ERRORS[error.message] || ACCOUNT_STATUS_ERRORS[error.message]?.code;
+
+    if (code) {
+      if (!flow?.linkUserId) {
+        await auditSignIn(req, { email: null, method: `oauth:${provider}`, reason: error.message });
+      }
+
+      return redirectToApp(res, { error: code });
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * 获取已绑定的第三方身份控制器
+ * GET /api/auth/identities
+ *
+ * @description 列出当前用户绑定的第三方登录身份
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ * @param {Function} next - Express下一个中间件函数
+ */
+export const fetchIdentities = async (req, res, next) => {
+  try {
+    const identities = await listIdentities(req.user.id);
+
+    res.status(200).json({
+      identities,
+      availableProviders: listProviders(),
+    });
+  } catch (error) {
+    logger.error('获取第三方身份失败:', error);
+    next(error);
+  }
+};
+
+/**
+ * 解除绑定第三方身份控制器
+ * DELETE /api/auth/identities/:provider
+ *
+ * @description 解除绑定后不能再使用该提供方登录；没有密码的账户不能解除最后一个身份
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ * @param {Function} next - Express下一个中间件函数
+ */
+export const unlinkIdentityByProvider = async (req, res, next) => {
+  try {
+    // 1. 验证提供方参数
+    const validationResult = oauthProviderSchema.safeParse(req.params);
+
+    if (!validationResult.success) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: formatValidationError(validationResult.error),
+      });
+    }
+
+    // 2. 解除绑定
+    const identity = await unlinkIdentity(req.user.id, validationResult.data.provider);
+
+    await recordAuditEvent(
+      {
+        action: AUDIT_ACTIONS.AUTH_IDENTITY_UNLINKED,
+        target: { type: 'user', id: req.user.id },
+        metadata: { provider: identity.provider, email: identity.email },
+      },
+      auditContext(req)
+    );
+
+    res.status(200).json({
+      message: '第三方身份已解除绑定',
+      identity,
+    });
+  } catch (error) {
+    logger.error('解除绑定第三方身份失败:', error);
+
+    if (error.message === 'Identity not found') {
+      return res.status(404).json({
+        error: 'Identity not found',
+        message: '未绑定该第三方身份',
+        code: 'IDENTITY_NOT_FOUND'
+      });
+    }
+
+    if (error.message === 'Cannot remove last sign-in method') {
+      return res.status(409).json({
+        error: 'Cannot remove last sign-in method',
+        message: '这是账户唯一的登录方式，请先设置密码或绑定其他身份',
+        code: 'LAST_SIGN_IN_METHOD'
+      });
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * 获取CSRF令牌控制器
+ * GET /api/auth/csrf
+ *
+ * @description 签发CSRF令牌并写入 csrfToken Cookie，前端在修改数据的请求中通过 X-CSRF-Token 请求头回传
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ * @param {Function} next - Express下一个中间件函数
+ */
+export const fetchCsrfToken = (req, res, next) => {
+  try {
+    const csrfToken = issueCsrfToken(req, res);
+
+    res.status(200).json({ csrfToken });
+  } catch (error) {
+    logger.error('签发CSRF令牌失败:', error);
+    next(error);
+  }
+};
+
+/**
+ * 获取登录会话控制器
+ * GET /api/auth/sessions
+ *
+ * @description 列出当前用户在各设备上的有效登录会话，当前会话标记 current: true
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ * @param {Function} next - Express下一个中间件函数
+ */
+export const fetchSessions = async (req, res, next) => {
+  try {
+    const sessions = await listSessions(req.user.id, req.user.sid);
+
+    res.status(200).json({ sessions });
+  } catch (error) {
+    logger.error('获取登录会话失败:', error);
+    next(error);
+  }
+};
+
+/**
+ * 吊销登录会话控制器
+ * DELETE /api/auth/sessions/:id
+ *
+ * @description 吊销后该设备的刷新令牌和访问令牌立即失效；吊销当前会话等同于登出
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ * @param {Function} next - Express下一个中间件函数
+ */
+export const revokeSessionById = async (req, res, next) => {
+  try {
+    // 1. 验证会话ID
+    const validationResult = sessionIdSchema.safeParse(req.params);
+
+    if (!validationResult.success) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: formatValidationError(validationResult.error),
+      });
+    }
+
+    // 2. 吊销会话
+    const session = await revokeSession(req.user.id, validationResult.data.id);
+
+    await recordAuditEvent(
+      {
+        action: AUDIT_ACTIONS.AUTH_SESSION_REVOKED,
+        target: { type: 'session', id: session.id },
+        metadata: { userAgent: session.user_agent, ip: session.ip },
+      },
+      auditContext(req)
+    );
+
+    // 3. 吊销的是当前会话时同时清除Cookie
+    if (session.id === req.user.sid) {
+      clearAuthCookies(res);
+    }
+
+    res.status(200).json({
+      message: '登录会话已注销',
+      session,
+    });
+  } catch (error) {
+    logger.error('吊销登录会话失败:', error);
+
+    if (error.message === 'Session not found') {
+      return res.status(404).json({
+        error: 'Session not found',
+        message: '登录会话不存在或已失效',
+        code: 'SESSION_NOT_FOUND'
+      });
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * 退出其他设备控制器
+ * DELETE /api/auth/sessions
+ *
+ * @description 吊销除当前会话以外的所有登录会话
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ * @param {Function} next - Express下一个中间件函数
+ */
+export const signOutOtherSessions = async (req, res, next) => {
+  try {
+    const revokedCount = await revokeOtherSessions(req.user.id, req.user.sid);
+
+    await recordAuditEvent(
+      {
+        action: AUDIT_ACTIONS.AUTH_OTHER_SESSIONS_REVOKED,
+        target: { type: 'user', id: req.user.id },
+        metadata: { revokedCount },
+      },
+      auditContext(req)
+    );
+
+    res.status(200).json({
+      message: '已退出其他所有设备',
+      revokedCount,
+    });
+  } catch (error) {
+    logger.error('退出其他设备失败:', error);
+    next(error);
+  }
+};
+
+/**
+ * 用户登出控制器
+ * POST /api/auth/sign-out
+ * 
+ * @description 处理用户登出请求，在服务端吊销刷新令牌并清除认证Cookie
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ * @param {Function} next - Express下一个中间件函数
+ */
+export const signOut = async (req, res, next) => {
+  try {
+    // 1. 在服务端吊销刷新令牌 (Cookie，或令牌模式下请求体中的 refreshToken)
+    const token =
+      cookies.get(req, REFRESH_COOKIE_NAME, REFRESH_COOKIE_OPTIONS) ||
+      (typeof req.body?.refreshToken === 'string' ? req.body.refreshToken : undefined);
+
+    if (token) {
+      await revokeRefreshToken(token);
+    }
+
+    // 2. 吊销当前访问令牌，避免它在过期前被继续使用
+    const credential = extractToken(req);
+
+    if (credential?.type === TOKEN_TYPES.JWT) {
+      try {
+        await revokeToken(jwttoken.verify(credential.token));
+      } catch (tokenError) {
+        // 令牌已过期或无效，无需吊销
+        logger.warn('登出 - 访问令牌无效:', tokenError.message);
+      }
+    }
+
+    // 3. 清除Cookie中的访问令牌和刷新令牌
+    clearAuthCookies(res);
+
+    // 4. 记录日志
+    logger.info('User signed out successfully');
+
+    // 5. 返回成功响应
+    res.status(200).json({
+      message: '登出成功',
+    });
+  } catch (error) {
+    logger.error('登出失败!', error);
+    next(error);
+  }
+};
+
+/**
+ * 邮箱验证控制器
+ * GET /api/auth/verify-email
+ * 
+ * @description 使用验证邮件中的令牌激活账户
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ * @param {Function} next - Express下一个中间件函数
+ */
+export const verifyEmail = async (req, res, next) => {
+  try {
+    // 1. 数据验证
+    const validationResult = verifyEmailSchema.safeParse(req.query);
+
+    if (!validationResult.success) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: formatValidationError(validationResult.error),
+      });
+    }
+
+    const { token } = validationResult.data;
+
+    // 2. 校验令牌并激活账户
+    const user = await verifyEmailToken(token);
+
+    logger.info(`Email verified successfully: ${user.email}`);
+
+    // 3. 返回成功响应
+    res.status(200).json({
+      message: '邮箱验证成功，账户已激活，请登录',
+      user: {
+        id: user.id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        status: user.status,
+      },
+    });
+  } catch (error) {
+    logger.error('邮箱验证失败:', error);
+
+    if (error.message === 'Invalid or expired verification token') {
+      return res.status(400).json({
+        error: 'Invalid verification token',
+        message: '验证链接无效或已过期',
+        code: 'INVALID_VERIFICATION_TOKEN'
+      });
+    }
+
+    if (error.message === 'Account is not pending verification') {
+      return res.status(409).json({
+        error: 'Account not pending',
+        message: '该账户无需验证',
+        code: 'ACCOUNT_NOT_PENDING'
+      });
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * 重新发送验证邮件控制器
+ * POST /api/auth/resend-verification
+ * 
+ * @description 为待验证账户重新发送验证邮件，有发送冷却时间
+ * 邮箱不存在或已激活时返回与成功相同的响应
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ * @param {Function} next - Express下一个中间件函数
+ */
+export const resendVerification = async (req, res, next) => {
+  try {
+    // 1. 数据验证
+    const validationResult = resendVerificationSchema.safeParse(req.body);
+
+    if (!validationResult.success) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: formatValidationError(validationResult.error),
+      });
+    }
+
+    const { email } = validationResult.data;
+
+    // 2. 重新发送验证邮件
+    await resendVerificationEmail(email);
+
+    // 3. 返回统一响应
+    res.status(200).json({
+      message: '如果该邮箱存在待验证的账户，您将收到一封新的验证邮件',
+    });
+  } catch (error) {
+    logger.error('重新发送验证邮件失败:', error);
+
+    if (error.message === 'Verification email recently sent') {
+      res.set('Retry-After', String(error.retryAfter));
+      return res.status(429).json({
+        error: 'Too many requests',
+        message: `验证邮件发送过于频繁，请 ${error.retryAfter} 秒后再试`,
+        code: 'VERIFICATION_RESEND_COOLDOWN',
+        retryAfter: error.retryAfter
+      });
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * 忘记密码控制器
+ * POST /api/auth/forgot-password
+ * 
+ * @description 为邮箱发送密码重置链接
+ * 无论邮箱是否已注册都返回相同的响应，防止通过此接口枚举用户
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ * @param {Function} next - Express下一个中间件函数
+ */
+export const forgotPassword = async (req, res, next) => {
+  try {
+    // 1. 数据验证
+    const validationResult = forgotPasswordSchema.safeParse(req.body);
+
+    if (!validationResult.success) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: formatValidationError(validationResult.error),
+      });
+    }
+
+    const { email } = validationResult.data;
+
+    // 2. 生成重置令牌并发送邮件 (邮箱不存在时静默跳过)
+    await requestPasswordReset(email);
+
+    // 3. 返回统一响应
+    res.status(200).json({
+      message: '如果该邮箱已注册，您将收到一封密码重置邮件',
+    });
+  } catch (error) {
+    logger.error('申请密码重置失败:', error);
+    next(error);
+  }
+};
+
+/**
+ * 重置密码控制器
+ * POST /api/auth/reset-password
+ * 
+ * @description 使用邮件中的重置令牌设置新密码
+ * 重置成功后该用户所有已登录的会话都会失效
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ * @param {Function} next - Express下一个中间件函数
+ */
+export const resetPasswordWithToken = async (req, res, next) => {
+  try {
+    // 1. 数据验证
+    const validationResult = resetPasswordSchema.safeParse(req.body);
+
+    if (!validationResult.success) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: formatValidationError(validationResult.error),
+      });
+    }
+
+    const { token, newPassword } = validationResult.data;
+
+    // 2. 校验令牌并更新密码
+    await resetPassword(token, newPassword);
+
+    logger.info('Password reset successfully');
+
+    // 3. 返回成功响应
+    res.status(200).json({
+      message: '密码重置成功，请使用新密码登录',
+    });
+  } catch (error) {
+    logger.error('重置密码失败:', error);
+
+    if (error.message === 'Invalid or expired reset token') {
+      return res.status(400).json({
+        error: 'Invalid reset token',
+        message: '重置链接无效或已过期',
+        code: 'INVALID_RESET_TOKEN'
+      });
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * 修改密码控制器
+ * PUT /api/auth/password
+ * 
+ * @description 已登录用户验证当前密码后设置新密码
+ * 修改成功后该用户其他所有会话失效，当前会话会获得新的令牌继续保持登录
+ * @param {Object} req - Express请求对象 (需要包含用户信息)
+ * @param {Object} res - Express响应对象
+ * @param {Function} next - Express下一个中间件函数
+ */
+export const updatePassword = async (req, res, next) => {
+  try {
+    // 1. 数据验证
+    const validationResult = changePasswordSchema.safeParse(req.body);
+
+    if (!validationResult.success) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: formatValidationError(validationResult.error),
+      });
+    }
+
+    const { currentPassword, newPassword } = validationResult.data;
+
+    // 2. 验证当前密码并更新 (同时吊销该用户所有已签发的令牌)
+    await changePassword(req.user.id, currentPassword, newPassword);
+
+    // 3. 为当前会话签发新令牌 (保留双因素认证状态和是否记住登录)，其他会话保持失效
+    const user = await getUserById(req.user.id);
+    const refreshToken = await issueRefreshToken(user.id, {
+      mfaAuthenticated: !!req.user.amr?.includes('mfa'),
+      rememberMe: await isRememberedFamily(req.user.sid),
+      ...sessionInfo(req),
+    });
+    const tokens = deliverAuthTokens(res, user, refreshToken, isTokenMode(req));
+
+    // 4. 记录审计事件
+    await recordAuditEvent(
+      { action: AUDIT_ACTIONS.AUTH_PASSWORD_CHANGED, target: { type: 'user', id: user.id } },
+      auditContext(req)
+    );
+
+    // 5. 返回成功响应
+    res.status(200).json({
+      message: '密码修改成功，其他设备上的登录已失效',
+      ...tokens,
+    });
+  } catch (error) {
+    logger.error('修改密码失败:', error);
+
+    if (error.message === 'Invalid current password') {
+      return res.status(400).json({
+        error: 'Invalid current password',
+        message: '当前密码错误',
+        code: 'INVALID_CURRENT_PASSWORD'
+      });
+    }
+
+    if (error.message === 'User not found') {
+      return res.status(404).json({
+        error: 'User not found',
+        message: '用户不存在'
+      });
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * JWKS 控制器
+ * GET /.well-known/jwks.json
+ * 
+ * @description 公开访问令牌的验证公钥，其他服务据此验证本服务签发的令牌
+ * 响应允许短时间缓存；密钥轮换时新旧公钥会同时出现，缓存过期前签发的令牌仍可验证
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ * @param {Function} next - Express下一个中间件函数
+ */
+export const getJwks = (req, res, next) => {
+  try {
+    res.set('Cache-Control', 'public, max-age=300');
+    res.status(200).json(jwttoken.getJwks());
+  } catch (error) {
+    logger.error('获取JWKS失败:', error);
+    next(error);
+  }
+};
+
+/**
+ * 结束模拟登录控制器
+ * POST /api/auth/impersonation/stop
+ * 
+ * @description 吊销模拟令牌并清除访问令牌Cookie，保留操作者自己的刷新令牌Cookie，
+ * 客户端随后调用 /api/auth/refresh 恢复操作者的会话
+ * @param {Object} req - Express请求对象 (需要包含模拟令牌的用户信息)
+ * @param {Object} res - Express响应对象
+ * @param {Function} next - Express下一个中间件函数
+ */
+export const endImpersonation = async (req, res, next) => {
+  try {
+    // 1. 吊销模拟令牌
+    const actor = await stopImpersonation(req.user);
+
+    await recordAuditEvent(
+      {
+        action: AUDIT_ACTIONS.IMPERSONATION_STOPPED,
+        target: { type: 'user', id: req.user.id },
+        metadata: { targetEmail: req.user.email },
+      },
+      auditContext(req)
+    );
+
+    // 2. 清除模拟令牌Cookie (刷新令牌Cookie属于操作者，保持不变)
+    cookies.clear(res, ACCESS_COOKIE_NAME, ACCESS_COOKIE_OPTIONS);
+
+    res.status(200).json({
+      message: '已结束模拟登录',
+      actor,
+    });
+  } catch (error) {
+    if (error.message === 'Not impersonating') {
+      return res.status(400).json({
+        error: 'Not impersonating',
+        message: '当前不是模拟登录状态',
+        code: 'NOT_IMPERSONATING'
+      });
+    }
+
     next(error);
   }
 };
@@ -189,6 +1911,11 @@ export const getCurrentUser = async (req, res, next) => {
         id: req.user.id,
         email: req.user.email,
         role: req.user.role,
+        mfaAuthenticated: !!req.user.amr?.includes('mfa'),
+        // 模拟登录时为 { actor: { id, email }, expiresAt }，否则为 null
+        impersonation: getImpersonator(req.user)
+          ? { actor: getImpersonator(req.user), expiresAt: new Date(req.user.exp * 1000) }
+          : null,
       }
     });
   } catch (error) {
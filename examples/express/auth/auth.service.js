@@ -1,8 +1,10 @@
 import logger from '../config/logger.js';
 import bcrypt from 'bcrypt';
-import { eq } from 'drizzle-orm';
+import { and, eq } from 'drizzle-orm';
 import { db } from '../config/database.js';
-import { users } from '../models/user.model.js';
+import { users, USER_STATUS, notDeleted } from '../models/user.model.js';
+import { revokeUserTokens } from './revocation.store.js';
+import { revokeAllUserRefreshTokens } from './token.service.js';
 
 /**
  * 密码加密函数
@@ -38,10 +40,26 @@ export const comparePassword = async (password, hashedPassword) => {
   }
 };
 
+/**
+ * 占位密码哈希
+ * 
+ * @description 登录时用户不存在的情况下用于执行一次等价的 bcrypt 比较
+ * 首次使用时生成，缓存的是哈希计算的 Promise
+ */
+let dummyPasswordHash;
+
+const getDummyPasswordHash = () => {
+  if (!dummyPasswordHash) {
+    dummyPasswordHash = hashPassword('dummy-password-for-timing-safety');
+  }
+  return dummyPasswordHash;
+};
+
 /**
  * 创建新用户服务
  * 
  * @description 创建新用户，包括邮箱唯一性检查和密码加密
+ * 新用户状态为 pending，需要完成邮箱验证后才能登录；已删除用户的邮箱可以重新注册
  * @param {Object} userData - 用户数据
  * @param {string} userData.name - 用户姓名
  * @param {string} userData.email - 用户邮箱
@@ -55,7 +73,7 @@ export const createUser = async ({ name, email, password, role = 'user' }) => {
     const existingUser = await db
       .select()
       .from(users)
-      .where(eq(users.email, email))
+      .where(and(eq(users.email, email), notDeleted))
       .limit(1);
 
     if (existingUser.length > 0) {
@@ -72,13 +90,15 @@ export const createUser = async ({ name, email, password, role = 'user' }) => {
         name, 
         email, 
         password: hashedPassword, 
-        role 
+        role,
+        status: USER_STATUS.PENDING,
       })
       .returning({
         id: users.id,
         name: users.name,
         email: users.email,
         role: users.role,
+        status: users.status,
         created_at: users.created_at,
       });
 
@@ -92,10 +112,110 @@ export const createUser = async ({ name, email, password, role = 'user' }) => {
   }
 };
 
+/**
+ * 更新用户密码服务
+ * 
+ * @description 加密并保存新密码，同时吊销该用户已签发的所有访问令牌和刷新令牌
+ * 所有修改密码的流程 (重置密码、修改密码等) 都应通过此函数完成
+ * @param {number} userId - 用户ID
+ * @param {string} newPassword - 新密码 (原始密码)
+ * @returns {Promise<void>}
+ * @throws {Error} 用户不存在时抛出错误
+ */
+export const updateUserPassword = async (userId, newPassword) => {
+  try {
+    const hashedPassword = await hashPassword(newPassword);
+
+    const [updatedUser] = await db
+      .update(users)
+      .set({ password: hashedPassword, updated_at: new Date() })
+      .where(and(eq(users.id, userId), notDeleted))
+      .returning({ id: users.id });
+
+    if (!updatedUser) {
+      throw new Error('User not found');
+    }
+
+    // 密码变更后，之前签发的所有令牌全部失效
+    await revokeUserTokens(userId);
+    await revokeAllUserRefreshTokens(userId);
+
+    logger.info(`用户 ${userId} 密码已更新`);
+  } catch (error) {
+    logger.error(`更新用户密码失败: ${error}`);
+    throw error;
+  }
+};
+
+/**
+ * 修改密码服务
+ * 
+ * @description 验证当前密码后设置新密码，之前签发的所有令牌随之失效
+ * @param {number} userId - 用户ID
+ * @param {string} currentPassword - 当前密码
+ * @param {string} newPassword - 新密码
+ * @returns {Promise<void>}
+ * @throws {Error} 用户不存在或当前密码错误时抛出错误
+ */
+export const changePassword = async (userId, currentPassword, newPassword) => {
+  try {
+    // 1. 读取用户的密码哈希
+    const [existingUser] = await db
+      .select({ id: users.id, password: users.password })
+      .from(users)
+      .where(and(eq(users.id, userId), notDeleted))
+      .limit(1);
+
+    if (!existingUser) {
+      throw new Error('User not found');
+    }
+
+    // 只通过第三方登录的账户没有密码，需要先通过忘记密码流程设置
+    if (!existingUser.password) {
+      throw new Error('Password not set');
+    }
+
+    // 2. 验证当前密码
+    const isPasswordValid = await comparePassword(currentPassword, existingUser.password);
+
+    if (!isPasswordValid) {
+      throw new Error('Invalid current password');
+    }
+
+    // 3. 更新密码并吊销已签发的令牌
+    await updateUserPassword(userId, newPassword);
+  } catch (error) {
+    logger.error(`修改密码失败: ${error}`);
+    throw error;
+  }
+};
+
+/**
+ * 账户状态检查
+ * 
+ * @description 非 active 状态的账户抛出对应的错误，由控制器转换为不同的错误码
+ * @param {Object} user - 包含 status 字段的用户信息
+ * @throws {Error} 账户待验证、已封禁或已停用时抛出错误
+ */
+export const assertAccountActive = user => {
+  switch (user.status) {
+    case USER_STATUS.ACTIVE:
+      return;
+    case USER_STATUS.PENDING:
+      throw new Error('Account pending verification');
+    case USER_STATUS.SUSPENDED:
+      throw new Error('Account suspended');
+    default:
+      throw new Error('Account inactive');
+  }
+};
+
 /**
  * 用户身份验证服务
  * 
- * @description 验证用户登录凭据（邮箱和密码）
+ * @description 验证用户登录凭据（邮箱和密码），并检查账户状态
+ * 用户不存在 (包括已删除) 与密码错误统一抛出 'Invalid credentials'，防止枚举邮箱
+ * 只有 active 状态的账户可以登录；状态检查在密码验证之后，避免向未知者暴露账户状态
  * @param {Object} credentials - 登录凭据
  * @param {string} credentials.email - 用户邮箱
  * @param {string} credentials.password - 用户密码
@@ -107,33 +227,36 @@ export const authenticateUser = async ({ email, password }) => {
     const [existingUser] = await db
       .select()
       .from(users)
-      .where(eq(users.email, email))
+      .where(and(eq(users.email, email), notDeleted))
       .limit(1);
 
-    // 2. 检查用户是否存在
-    if (!existingUser) {
-      throw new Error('User not found');
-    }
-
-    // 3. 验证密码
+    // 2. 验证密码
+    // 用户不存在或没有设置密码 (只通过第三方登录) 时也与占位哈希比较一次，
+    // 使响应时间一致，避免通过耗时差异枚举邮箱
     const isPasswordValid = await comparePassword(
       password,
-      existingUser.password
+      existingUser?.password || (await getDummyPasswordHash())
     );
 
-    if (!isPasswordValid) {
-      throw new Error('Invalid password');
+    // 3. 用户不存在、没有密码和密码错误抛出相同的错误
+    if (!existingUser?.password || !isPasswordValid) {
+      throw new Error('Invalid credentials');
     }
 
-    // 4. 记录登录日志
+    // 4. 检查账户状态
+    assertAccountActive(existingUser);
+
+    // 5. 记录登录日志
     logger.info(`用户 ${existingUser.email} 登录成功!`);
 
-    // 5. 返回用户信息（不包含密码）
+    // 6. 返回用户信息（不包含密码）
     return {
       id: existingUser.id,
       name: existingUser.name,
       email: existingUser.email,
       role: existingUser.role,
+      status: existingUser.status,
+      mfa_enabled: existingUser.mfa_enabled,
       created_at: existingUser.created_at,
     };
   } catch (error) {
@@ -157,11 +280,12 @@ export const getUserById = async (userId) => {
         name: users.name,
         email: users.email,
         role: users.role,
+        status: users.status,
         created_at: users.created_at,
         updated_at: users.updated_at,
       })
       .from(users)
-      .where(eq(users.id, userId))
+      .where(and(eq(users.id, userId), notDeleted))
       .limit(1);
 
     if (!user) {
@@ -187,7 +311,7 @@ export const userExists = async (email) => {
     const [existingUser] = await db
       .select({ id: users.id })
       .from(users)
-      .where(eq(users.email, email))
+      .where(and(eq(users.email, email), notDeleted))
       .limit(1);
 
     return !!existingUser;
@@ -213,7 +337,7 @@ export const updateLastLogin = async (userId) => {
         // 如果有 last_login 字段，也可以更新
         // last_login: new Date()
       })
-      .where(eq(users.id, userId));
+      .where(and(eq(users.id, userId), notDeleted));
 
     logger.info(`更新用户 ${userId} 最后登录时间`);
   } catch (error) {
@@ -1,9 +1,11 @@
 import { z } from 'zod';
+import { API_KEY_SCOPES } from '../models/api-key.model.js';
 
 /**
  * 用户注册数据验证规则
  * 
  * @description 定义用户注册时的数据验证规则，确保数据格式正确和安全性
+ * 请求体中的其他字段 (包括 role) 会被忽略
  */
 export const signupSchema = z.object({
   /**
@@ -57,16 +59,7 @@ export const signupSchema = z.object({
     //   '密码必须包含至少一个大写字母、一个小写字母和一个数字'
     // ),
 
-  /**
-   * 用户角色验证
-   * - 只允许 'user' 或 'admin'
-   * - 默认值: 'user'
-   */
-  role: z
-    .enum(['user', 'admin'], {
-      errorMap: () => ({ message: '用户角色只能是 user 或 admin' })
-    })
-    .default('user')
+  // 不接受 role：公开注册的用户始终是 user 角色，角色只能由管理员通过 PUT /api/users/:id 修改
 });
 
 /**
@@ -101,11 +94,315 @@ export const signinSchema = z.object({
       invalid_type_error: '密码必须是字符串'
     })
     .min(1, '密码不能为空')
-    .max(128, '密码不能超过128个字符')
+    .max(128, '密码不能超过128个字符'),
+
+  /**
+   * 记住登录 (可选)
+   * - true: 刷新令牌长期保存 (REMEMBER_ME_EXPIRES_DAYS)，关闭浏览器后仍保持登录
+   * - false: 刷新令牌Cookie为会话Cookie，关闭浏览器后需要重新登录
+   */
+  rememberMe: z
+    .boolean({
+      invalid_type_error: 'rememberMe必须是布尔值'
+    })
+    .optional()
+    .default(false)
+});
+
+/**
+ * TOTP验证码验证规则
+ * 
+ * @description 用于绑定双因素认证时提交验证码
+ */
+export const mfaCodeSchema = z.object({
+  /**
+   * 6位数字验证码
+   */
+  code: z
+    .string({
+      required_error: '验证码是必填项'
+    })
+    .trim()
+    .regex(/^\d{6}$/, '验证码必须是6位数字')
+});
+
+/**
+ * 双因素登录验证规则
+ * 
+ * @description 登录第二步，提交临时令牌和验证码/恢复码 (二选一)
+ */
+export const mfaVerifySchema = z.object({
+  /**
+   * 登录第一步返回的临时令牌
+   */
+  mfaToken: z
+    .string({
+      required_error: 'mfaToken是必填项'
+    })
+    .min(1, 'mfaToken不能为空'),
+
+  /**
+   * 6位数字验证码 (可选)
+   */
+  code: z
+    .string()
+    .trim()
+    .regex(/^\d{6}$/, '验证码必须是6位数字')
+    .optional(),
+
+  /**
+   * 恢复码 (可选)
+   */
+  recoveryCode: z
+    .string()
+    .trim()
+    .min(1, '恢复码不能为空')
+    .max(64, '恢复码格式无效')
+    .optional()
+}).refine(
+  (data) => !!data.code !== !!data.recoveryCode,
+  {
+    message: '请提供验证码或恢复码中的一项',
+    path: ['code']
+  }
+);
+
+/**
+ * 关闭双因素认证验证规则
+ * 
+ * @description 关闭时需要验证当前密码 (没有设置密码的账户除外，由服务层检查) 和验证码或恢复码
+ */
+export const mfaDisableSchema = z.object({
+  /**
+   * 当前密码 (设置了密码的账户必填)
+   */
+  password: z
+    .string()
+    .min(1, '当前密码不能为空')
+    .optional(),
+
+  /**
+   * 6位数字验证码 (可选)
+   */
+  code: z
+    .string()
+    .trim()
+    .regex(/^\d{6}$/, '验证码必须是6位数字')
+    .optional(),
+
+  /**
+   * 恢复码 (可选)
+   */
+  recoveryCode: z
+    .string()
+    .trim()
+    .min(1, '恢复码不能为空')
+    .max(64, '恢复码格式无效')
+    .optional()
+}).refine(
+  (data) => !!data.code !== !!data.recoveryCode,
+  {
+    message: '请提供验证码或恢复码中的一项',
+    path: ['code']
+  }
+);
+
+/**
+ * API密钥名称验证
+ * - 最小长度: 1个字符
+ * - 最大长度: 100个字符
+ * - 自动去除前后空格
+ */
+const apiKeyNameSchema = z
+  .string({
+    invalid_type_error: '密钥名称必须是字符串'
+  })
+  .trim()
+  .min(1, '密钥名称不能为空')
+  .max(100, '密钥名称不能超过100个字符');
+
+/**
+ * API密钥授权范围验证
+ * - 至少一个授权范围
+ * - 只允许 API_KEY_SCOPES 中定义的值
+ */
+const apiKeyScopesSchema = z
+  .array(
+    z.enum(Object.values(API_KEY_SCOPES), {
+      errorMap: () => ({ message: `授权范围只能是 ${Object.values(API_KEY_SCOPES).join(', ')}` })
+    })
+  )
+  .min(1, '至少需要一个授权范围')
+  .transform(scopes => [...new Set(scopes)]);
+
+/**
+ * 创建API密钥验证规则
+ * 
+ * @description 用于 POST /api/auth/api-keys 的请求体验证
+ */
+export const createApiKeySchema = z.object({
+  /**
+   * 密钥名称
+   */
+  name: apiKeyNameSchema,
+
+  /**
+   * 授权范围
+   */
+  scopes: apiKeyScopesSchema,
+
+  /**
+   * 有效天数 (可选，不传表示永不过期)
+   * - 1 到 365 天
+   */
+  expiresInDays: z
+    .number({
+      invalid_type_error: '有效天数必须是数字'
+    })
+    .int('有效天数必须是整数')
+    .min(1, '有效天数至少为1天')
+    .max(365, '有效天数不能超过365天')
+    .optional()
+});
+
+/**
+ * 更新API密钥验证规则
+ * 
+ * @description 用于 PATCH /api/auth/api-keys/:id 的请求体验证，只能修改名称和授权范围
+ */
+export const updateApiKeySchema = z
+  .object({
+    /**
+     * 密钥名称 (可选)
+     */
+    name: apiKeyNameSchema.optional(),
+
+    /**
+     * 授权范围 (可选)
+     */
+    scopes: apiKeyScopesSchema.optional()
+  })
+  .refine(
+    (data) => data.name !== undefined || data.scopes !== undefined,
+    {
+      message: '至少需要提供一个要更新的字段'
+    }
+  );
+
+/**
+ * API密钥ID验证规则
+ * 
+ * @description 验证URL路径参数中的密钥ID格式
+ */
+export const apiKeyIdSchema = z.object({
+  id: z
+    .string({
+      required_error: '密钥ID是必填项'
+    })
+    .regex(/^\d+$/, 'ID必须是有效的数字')
+    .transform(Number)
+    .refine(val => val > 0, 'ID必须是正整数')
+});
+
+/**
+ * 登录会话ID参数验证规则
+ * 
+ * @description 用于 DELETE /api/auth/sessions/:id 的路径参数验证
+ */
+export const sessionIdSchema = z.object({
+  id: z
+    .string({
+      required_error: '会话ID是必填项'
+    })
+    .uuid('会话ID无效')
+});
+
+/**
+ * 第三方登录提供方参数验证规则
+ * 
+ * @description 用于 /api/auth/oauth/:provider 和 /api/auth/identities/:provider 的路径参数验证
+ */
+export const oauthProviderSchema = z.object({
+  provider: z
+    .string({
+      required_error: '提供方是必填项'
+    })
+    .regex(/^[a-z0-9_-]{1,50}$/, '提供方名称无效')
+});
+
+/**
+ * 第三方登录回调参数验证规则
+ * 
+ * @description 用于 GET /api/auth/oauth/:provider/callback 的查询参数验证
+ * 提供方成功时返回 code 和 state，用户拒绝授权时返回 error 和 state
+ */
+export const oauthCallbackSchema = z.object({
+  /**
+   * 授权码
+   */
+  code: z
+    .string()
+    .min(1, '授权码不能为空')
+    .max(2048, '授权码过长')
+    .optional(),
+
+  /**
+   * 授权请求时生成的 state
+   */
+  state: z
+    .string({
+      required_error: 'state是必填项'
+    })
+    .min(1, 'state不能为空'),
+
+  /**
+   * 提供方返回的错误码 (如 access_denied)
+   */
+  error: z
+    .string()
+    .max(100)
+    .optional()
+}).refine(
+  (data) => data.code || data.error,
+  {
+    message: '缺少授权码',
+    path: ['code']
+  }
+);
+
+/**
+ * 邮箱验证参数验证规则
+ * 
+ * @description 用于 GET /api/auth/verify-email 的查询参数验证
+ */
+export const verifyEmailSchema = z.object({
+  /**
+   * 验证令牌
+   */
+  token: z
+    .string({
+      required_error: '验证令牌是必填项'
+    })
+    .min(1, '验证令牌不能为空')
+});
+
+/**
+ * 重新发送验证邮件验证规则
+ * 
+ * @description 用于重新发送邮箱验证邮件的邮箱验证
+ */
+export const resendVerificationSchema = z.object({
+  email: z
+    .string({
+      required_error: '邮箱是必填项'
+    })
+    .email('请输入有效的邮箱地址')
+    .toLowerCase()
+    .trim()
 });
 
 /**
- * 密码重置请求验证规则 (可选功能)
+ * 密码重置请求验证规则
  * 
  * @description 用于忘记密码功能的邮箱验证
  */
@@ -120,7 +417,7 @@ export const forgotPasswordSchema = z.object({
 });
 
 /**
- * 密码重置验证规则 (可选功能)
+ * 密码重置验证规则
  * 
  * @description 用于重置密码功能的验证
  */
@@ -160,7 +457,7 @@ export const resetPasswordSchema = z.object({
 );
 
 /**
- * 修改密码验证规则 (可选功能)
+ * 修改密码验证规则
  * 
  * @description 用于已登录用户修改密码的验证
  */
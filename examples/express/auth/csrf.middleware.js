@@ -0,0 +1,238 @@
+import crypto from 'crypto';
+import logger from '../config/logger.js';
+import { cookies } from '../utils/cookies.js';
+import { jwttoken } from '../utils/jwt.js';
+import { extractToken, TOKEN_SOURCES } from './token-extractor.js';
+
+/**
+ * CSRF 防护
+ *
+ * @description 使用签名的双重提交 Cookie (signed double-submit cookie)：
+ * GET /api/auth/csrf 签发 CSRF令牌，同时写入 csrfToken Cookie；
+ * 客户端在修改数据的请求中通过 X-CSRF-Token 请求头 (或表单字段 _csrf) 回传同一个令牌。
+ * 令牌带有服务端 HMAC 签名，并绑定到Cookie中访问令牌的会话 (sid)，攻击者即使能写入 Cookie
+ * (如通过子域名) 也无法伪造有效令牌，用自己会话获取的令牌也不能用于其他用户的会话。
+ * 登录、退出登录后会话改变，需要重新调用 GET /api/auth/csrf。
+ *
+ * 以下请求不检查：
+ * - 安全方法 (GET、HEAD、OPTIONS)
+ * - 通过请求头认证的请求 (Authorization: Bearer、X-API-Key)，浏览器不会自动附带这些凭据
+ * - 不带任何 Cookie 的请求 (移动端、服务端调用)，没有可以被跨站利用的凭据
+ * - 刷新令牌 (POST /api/auth/refresh)：调用时访问令牌Cookie通常已随JWT一起过期，无法确定令牌绑定的会话；
+ *   刷新令牌Cookie为 SameSite=Strict 且只发送到 /api/auth，跨站请求不会携带，跨站也读不到响应中的新令牌
+ */
+
+/**
+ * CSRF令牌配置
+ */
+const CSRF_COOKIE_NAME = 'csrfToken';
+const CSRF_HEADER_NAME = 'X-CSRF-Token';
+const CSRF_FORM_FIELD = '_csrf';
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const EXEMPT_PATHS = ['/api/auth/refresh'];
+
+/**
+ * CSRF令牌Cookie配置
+ *
+ * @description 会话Cookie，前端需要读取令牌，因此不设置 httpOnly (见 utils/cookies.js 中的预设)
+ */
+const CSRF_COOKIE_OPTIONS = { preset: 'csrf' };
+
+/**
+ * 读取签名密钥
+ *
+ * @description 生产环境必须配置 CSRF_SECRET；开发环境未配置时使用进程内随机密钥 (重启后旧令牌失效)
+ * @returns {string} 签名密钥
+ * @throws {Error} 生产环境未配置时抛出错误
+ */
+const initCsrfSecret = () => {
+  if (process.env.CSRF_SECRET) {
+    return process.env.CSRF_SECRET;
+  }
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('CSRF_SECRET is not configured');
+  }
+
+  logger.warn('未配置 CSRF_SECRET，使用临时随机密钥 (仅限开发环境)');
+  return crypto.randomBytes(32).toString('hex');
+};
+
+const CSRF_SECRET = initCsrfSecret();
+
+/**
+ * 读取请求所属的会话
+ *
+ * @description 从Cookie中的访问令牌读取会话ID (sid)，会话功能上线前签发的令牌使用用户ID。
+ * 验证签名但接受已过期的令牌 (Cookie与JWT同时过期，两者之间可能相差几毫秒)；
+ * 没有访问令牌Cookie或令牌无效时视为未登录
+ * @param {Object} req - Express请求对象
+ * @returns {string} 会话标识，未登录时为空字符串
+ */
+const sessionBinding = req => {
+  const credential = extractToken(req);
+
+  if (credential?.source !== TOKEN_SOURCES.COOKIE) {
+    return '';
+  }
+
+  try {
+    const decoded = jwttoken.verify(credential.token, { ignoreExpiration: true });
+    return decoded.sid ? `sid:${decoded.sid}` : `user:${decoded.id}`;
+  } catch {
+    return '';
+  }
+};
+
+/**
+ * 计算令牌签名
+ *
+ * @param {string} binding - 会话标识 (见 sessionBinding)
+ * @param {string} nonce - 令牌随机部分
+ * @returns {string} base64url 编码的 HMAC-SHA256 签名
+ */
+const sign = (binding, nonce) =>
+  crypto.createHmac('sha256', CSRF_SECRET).update(`${binding}|${nonce}`).digest('base64url');
+
+/**
+ * 生成CSRF令牌
+ *
+ * @param {string} binding - 会话标识 (见 sessionBinding)
+ * @returns {string} 格式为 <随机值>.<签名>
+ */
+const generateCsrfToken = binding => {
+  const nonce = crypto.randomBytes(24).toString('base64url');
+  return `${nonce}.${sign(binding, nonce)}`;
+};
+
+/**
+ * 常量时间比较两个字符串
+ *
+ * @param {string} a - 字符串
+ * @param {string} b - 字符串
+ * @returns {boolean} 是否相等
+ */
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+/**
+ * 验证令牌签名
+ *
+ * @param {string} token - CSRF令牌
+ * @param {string} binding - 当前请求的会话标识 (见 sessionBinding)
+ * @returns {boolean} 签名有效且属于该会话时返回 true
+ */
+const isSignedToken = (token, binding) => {
+  if (typeof token !== 'string') {
+    return false;
+  }
+
+  const [nonce, signature, ...rest] = token.split('.');
+  return !!nonce && !!signature && rest.length === 0 && safeEqual(signature, sign(binding, nonce));
+};
+
+/**
+ * 判断请求是否需要CSRF检查
+ *
+ * @param {Object} req - Express请求对象
+ * @returns {boolean} 需要检查时返回 true
+ */
+const requiresCsrfCheck = req => {
+  if (SAFE_METHODS.includes(req.method) || EXEMPT_PATHS.includes(req.path.replace(/\/+$/, ''))) {
+    return false;
+  }
+
+  // 已经过认证中间件的请求直接使用记录的来源，否则按同样的规则提取
+  const source = req.auth?.source ?? extractToken(req)?.source;
+
+  if (source && source !== TOKEN_SOURCES.COOKIE) {
+    return false;
+  }
+
+  return Object.keys(req.cookies || {}).length > 0;
+};
+
+/**
+ * 签发CSRF令牌
+ *
+ * @description 令牌绑定到当前会话；Cookie中已有属于当前会话的有效令牌时沿用，避免多个标签页互相使对方的令牌失效
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ * @returns {string} CSRF令牌
+ */
+export const issueCsrfToken = (req, res) => {
+  const binding = sessionBinding(req);
+  const existing = cookies.get(req, CSRF_COOKIE_NAME, CSRF_COOKIE_OPTIONS);
+  const token = isSignedToken(existing, binding) ? existing : generateCsrfToken(binding);
+
+  cookies.set(res, CSRF_COOKIE_NAME, token, CSRF_COOKIE_OPTIONS);
+
+  return token;
+};
+
+/**
+ * CSRF 防护中间件
+ *
+ * @description 对使用Cookie认证 (或携带Cookie) 的修改类请求，要求请求头或表单中的令牌
+ * 与 csrfToken Cookie 一致、签名有效且属于当前会话。在 cookieParser 之后、所有路由之前挂载
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ * @param {Function} next - Express下一个中间件函数
+ */
+export const csrfProtection = (req, res, next) => {
+  if (!requiresCsrfCheck(req)) {
+    return next();
+  }
+
+  const cookieToken = cookies.get(req, CSRF_COOKIE_NAME, CSRF_COOKIE_OPTIONS);
+  const submittedToken = req.get(CSRF_HEADER_NAME) || req.body?.[CSRF_FORM_FIELD];
+
+  if (!cookieToken || !submittedToken) {
+    logger.warn(`缺少CSRF令牌: ${req.method} ${req.originalUrl} (IP: ${req.ip})`);
+
+    return res.status(403).json({
+      error: 'CSRF validation failed',
+      message: `缺少CSRF令牌，请先调用 GET /api/auth/csrf 并在 ${CSRF_HEADER_NAME} 请求头中携带`,
+      code: 'CSRF_INVALID'
+    });
+  }
+
+  if (typeof submittedToken !== 'string' || !safeEqual(submittedToken, cookieToken) || !isSignedToken(cookieToken, sessionBinding(req))) {
+    logger.warn(`CSRF令牌无效: ${req.method} ${req.originalUrl} (IP: ${req.ip})`);
+
+    return res.status(403).json({
+      error: 'CSRF validation failed',
+      message: 'CSRF令牌无效或已过期，请重新获取',
+      code: 'CSRF_INVALID'
+    });
+  }
+
+  next();
+};
+
+/*
+使用示例:
+
+在 app.js 中挂载 (cookieParser 和请求体解析之后，路由之前):
+
+import { csrfProtection } from './auth/csrf.middleware.js';
+
+app.use(cookieParser());
+app.use(csrfProtection);
+app.use('/api/auth', authRoutes);
+
+前端:
+
+const { csrfToken } = await fetch('/api/auth/csrf', { credentials: 'include' }).then(res => res.json());
+
+await fetch('/api/users/123', {
+  method: 'PUT',
+  credentials: 'include',
+  headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': csrfToken },
+  body: JSON.stringify({ name: '新名字' }),
+});
+
+*/
@@ -0,0 +1,167 @@
+import { and, desc, eq, gt, isNull } from 'drizzle-orm';
+import logger from '../config/logger.js';
+import { db } from '../config/database.js';
+import { users, USER_STATUS, notDeleted } from '../models/user.model.js';
+import { emailVerificationTokens } from '../models/email-verification-token.model.js';
+import { generateToken, hashToken } from '../utils/tokens.js';
+import { sendMail } from '../utils/mailer.js';
+
+/**
+ * 邮箱验证配置
+ */
+const EMAIL_VERIFICATION_EXPIRES_HOURS = parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS || '24', 10);
+const EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS = parseInt(
+  process.env.EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS || '60',
+  10
+);
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+/**
+ * 发送邮箱验证邮件服务
+ *
+ * @description 生成一次性验证令牌并发送验证链接
+ * 同一用户之前未使用的验证令牌会全部作废
+ * @param {Object} user - 用户信息
+ * @param {number} user.id - 用户ID
+ * @param {string} user.name - 用户姓名
+ * @param {string} user.email - 用户邮箱
+ * @returns {Promise<void>}
+ */
+export const sendVerificationEmail = async user => {
+  try {
+    // 1. 作废之前未使用的验证令牌
+    await db
+      .update(emailVerificationTokens)
+      .set({ used_at: new Date() })
+      .where(and(eq(emailVerificationTokens.user_id, user.id), isNull(emailVerificationTokens.used_at)));
+
+    // 2. 生成新令牌，只保存哈希值
+    const token = generateToken();
+
+    await db.insert(emailVerificationTokens).values({
+      user_id: user.id,
+      token_hash: hashToken(token),
+      expires_at: new Date(Date.now() + EMAIL_VERIFICATION_EXPIRES_HOURS * 60 * 60 * 1000),
+    });
+
+    // 3. 发送验证邮件
+    const verifyUrl = `${APP_URL}/api/auth/verify-email?token=${encodeURIComponent(token)}`;
+
+    await sendMail({
+      to: user.email,
+      subject: '请验证您的邮箱',
+      text: `${user.name}，您好：\n\n感谢注册！请点击以下链接激活账户，链接 ${EMAIL_VERIFICATION_EXPIRES_HOURS} 小时内有效：\n${verifyUrl}\n\n如果这不是您本人的操作，请忽略此邮件。`,
+    });
+
+    logger.info(`已向用户 ${user.id} 发送邮箱验证邮件`);
+  } catch (error) {
+    logger.error(`发送邮箱验证邮件失败: ${error}`);
+    throw error;
+  }
+};
+
+/**
+ * 验证邮箱服务
+ *
+ * @description 校验验证令牌，将待验证账户激活
+ * 只有 pending 状态的账户会被激活，已封禁或停用的账户不受影响
+ * @param {string} token - 验证令牌
+ * @returns {Promise<Object>} 激活后的用户信息
+ * @throws {Error} 令牌无效、已使用或已过期时抛出错误
+ */
+export const verifyEmail = async token => {
+  try {
+    // 1. 原子地标记令牌为已使用
+    const [verificationToken] = await db
+      .update(emailVerificationTokens)
+      .set({ used_at: new Date() })
+      .where(
+        and(
+          eq(emailVerificationTokens.token_hash, hashToken(token)),
+          isNull(emailVerificationTokens.used_at),
+          gt(emailVerificationTokens.expires_at, new Date())
+        )
+      )
+      .returning({ user_id: emailVerificationTokens.user_id });
+
+    if (!verificationToken) {
+      throw new Error('Invalid or expired verification token');
+    }
+
+    // 2. 激活账户
+    const [activatedUser] = await db
+      .update(users)
+      .set({
+        status: USER_STATUS.ACTIVE,
+        email_verified_at: new Date(),
+        updated_at: new Date(),
+      })
+      .where(and(eq(users.id, verificationToken.user_id), eq(users.status, USER_STATUS.PENDING)))
+      .returning({
+        id: users.id,
+        name: users.name,
+        email: users.email,
+        role: users.role,
+        status: users.status,
+      });
+
+    if (!activatedUser) {
+      throw new Error('Account is not pending verification');
+    }
+
+    logger.info(`用户 ${activatedUser.email} 邮箱验证成功，账户已激活`);
+    return activatedUser;
+  } catch (error) {
+    logger.error(`邮箱验证失败: ${error}`);
+    throw error;
+  }
+};
+
+/**
+ * 重新发送验证邮件服务
+ *
+ * @description 为待验证账户重新发送验证邮件，两次发送之间有冷却时间
+ * 邮箱不存在或账户不是待验证状态时静默返回
+ * @param {string} email - 用户邮箱
+ * @returns {Promise<void>}
+ * @throws {Error} 冷却时间内重复请求时抛出错误，error.retryAfter 为剩余秒数
+ */
+export const resendVerificationEmail = async email => {
+  try {
+    // 1. 查找待验证的用户
+    const [user] = await db
+      .select({ id: users.id, name: users.name, email: users.email, status: users.status })
+      .from(users)
+      .where(and(eq(users.email, email), notDeleted))
+      .limit(1);
+
+    if (!user || user.status !== USER_STATUS.PENDING) {
+      logger.info(`重新发送验证邮件 - 无待验证账户: ${email}`);
+      return;
+    }
+
+    // 2. 检查冷却时间
+    const [latestToken] = await db
+      .select({ created_at: emailVerificationTokens.created_at })
+      .from(emailVerificationTokens)
+      .where(eq(emailVerificationTokens.user_id, user.id))
+      .orderBy(desc(emailVerificationTokens.created_at))
+      .limit(1);
+
+    if (latestToken) {
+      const elapsed = (Date.now() - latestToken.created_at.getTime()) / 1000;
+
+      if (elapsed < EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS) {
+        const error = new Error('Verification email recently sent');
+        error.retryAfter = Math.ceil(EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS - elapsed);
+        throw error;
+      }
+    }
+
+    // 3. 发送新的验证邮件
+    await sendVerificationEmail(user);
+  } catch (error) {
+    logger.error(`重新发送验证邮件失败: ${error}`);
+    throw error;
+  }
+};
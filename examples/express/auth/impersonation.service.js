@@ -0,0 +1,106 @@
+import logger from '../config/logger.js';
+import { jwttoken } from '../utils/jwt.js';
+import { getUserById, assertAccountActive } from './auth.service.js';
+import { revokeToken } from './revocation.store.js';
+import { getRolePermissions, canManageRole } from '../roles/roles.service.js';
+
+/**
+ * 模拟登录配置
+ *
+ * @description 管理员 (或拥有 users:impersonate 权限的客服) 以目标用户身份访问应用。
+ * 模拟令牌是普通访问令牌，id/email/role 为目标用户，act 声明 (RFC 8693) 记录真正的操作者：
+ * { act: { sub: '1', email: 'admin@example.com' } }
+ *
+ * 模拟令牌不签发刷新令牌，到期后自动结束；不带 amr，不能通过 requireMfa。
+ */
+const IMPERSONATION_EXPIRES_IN = process.env.IMPERSONATION_EXPIRES_IN || '30m';
+
+/**
+ * 判断当前请求是否处于模拟登录状态
+ *
+ * @param {Object} user - 当前用户 (req.user)
+ * @returns {boolean} 是否为模拟令牌
+ */
+export const isImpersonating = user => !!user?.act;
+
+/**
+ * 获取模拟登录的操作者
+ *
+ * @param {Object} user - 当前用户 (req.user)
+ * @returns {{id: number, email: string}|null} 真正的操作者，未模拟登录时返回 null
+ */
+export const getImpersonator = user =>
+  isImpersonating(user) ? { id: Number(user.act.sub), email: user.act.email } : null;
+
+/**
+ * 开始模拟登录服务
+ *
+ * @description 检查目标用户后签发模拟令牌
+ * - 不能模拟自己，也不能在模拟状态下再次模拟 (act 不嵌套)
+ * - 目标账户必须是 active 状态
+ * - 目标用户的角色权限不能超出操作者，防止客服通过模拟管理员提升权限
+ * @param {Object} actor - 操作者 (req.user)
+ * @param {number} targetUserId - 目标用户ID
+ * @returns {Promise<{token: string, expiresAt: Date, user: Object}>} 模拟令牌、过期时间和目标用户
+ * @throws {Error} 目标用户不存在、状态异常或不允许模拟时抛出错误
+ */
+export const startImpersonation = async (actor, targetUserId) => {
+  try {
+    if (isImpersonating(actor)) {
+      throw new Error('Already impersonating');
+    }
+
+    if (actor.id === targetUserId) {
+      throw new Error('Cannot impersonate yourself');
+    }
+
+    const user = await getUserById(targetUserId);
+    assertAccountActive(user);
+
+    if (!(await canManageRole(await getRolePermissions(actor.role), user.role))) {
+      throw new Error('Cannot impersonate user with higher privileges');
+    }
+
+    const token = jwttoken.sign(
+      {
+        id: user.id,
+        email: user.email,
+        role: user.role,
+        act: { sub: String(actor.id), email: actor.email },
+      },
+      { expiresIn: IMPERSONATION_EXPIRES_IN }
+    );
+
+    const { exp } = jwttoken.decode(token);
+
+    logger.info(`用户 ${actor.email} 开始模拟登录 ${user.email}`);
+    return { token, expiresAt: new Date(exp * 1000), user };
+  } catch (error) {
+    logger.error(`开始模拟登录失败 - 操作者: ${actor.email}, 目标ID: ${targetUserId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * 结束模拟登录服务
+ *
+ * @description 吊销模拟令牌，操作者通过自己的刷新令牌恢复原来的会话
+ * @param {Object} decoded - 模拟令牌载荷 (req.user)
+ * @returns {Promise<{id: number, email: string}>} 操作者
+ * @throws {Error} 当前令牌不是模拟令牌时抛出错误
+ */
+export const stopImpersonation = async (decoded) => {
+  try {
+    if (!isImpersonating(decoded)) {
+      throw new Error('Not impersonating');
+    }
+
+    await revokeToken(decoded);
+
+    logger.info(`用户 ${decoded.act.email} 结束模拟登录 ${decoded.email}`);
+    return getImpersonator(decoded);
+  } catch (error) {
+    logger.error('结束模拟登录失败:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,57 @@
+import express from 'express';
+import { getJwks } from './auth.controller.js';
+
+/**
+ * JWKS 路由配置
+ * 
+ * @description 按照惯例挂载在应用根路径，而不是 /api/auth 下：
+ * app.use(jwksRoutes);
+ */
+const router = express.Router();
+
+/**
+ * 获取JWKS路由
+ * GET /.well-known/jwks.json
+ * 
+ * @description 返回验证访问令牌所需的公钥集合 (RS256/ES256)，无需认证
+ * 每个公钥带有 kid，与令牌头部的 kid 对应；只使用 HS256 时返回空列表
+ * 
+ * @returns {200} JSON Web Key Set
+ * @returns {500} 服务器内部错误
+ */
+router.get('/.well-known/jwks.json', getJwks);
+
+export default router;
+
+/* 
+使用示例:
+
+在主应用文件 (app.js) 中:
+
+import jwksRoutes from './auth/jwks.routes.js';
+
+app.use(jwksRoutes);
+
+其他服务验证令牌 (以 jose 为例):
+
+import { createRemoteJWKSet, jwtVerify } from 'jose';
+
+const jwks = createRemoteJWKSet(new URL('https://auth.example.com/.well-known/jwks.json'));
+const { payload } = await jwtVerify(token, jwks, { issuer: 'https://auth.example.com' });
+
+响应示例:
+{
+  "keys": [
+    {
+      "kty": "EC",
+      "crv": "P-256",
+      "x": "f83OJ3D2xF1Bg8vub9tLe1gHMzV76e8Tus9uPHvRVEU",
+      "y": "x_FEzRu9m36HLN_tue659LNpXW6pCyStikYjKIWI5a0",
+      "kid": "2024-06",
+      "alg": "ES256",
+      "use": "sig"
+    }
+  ]
+}
+
+*/
@@ -0,0 +1,287 @@
+import logger from '../config/logger.js';
+
+/**
+ * 登录失败次数存储
+ *
+ * @description 按账户 (邮箱) 和按来源IP分别记录连续失败的登录次数，
+ * 超过阈值后临时锁定，锁定时长随失败次数指数增长。
+ *
+ * 账户维度的计数以邮箱为键，对未注册的邮箱同样生效，因此锁定响应不会暴露邮箱是否存在。
+ *
+ * 存储是可替换的：默认使用进程内存，多实例部署时应通过 setLoginAttemptStore
+ * 切换为 Redis 等共享存储。所有存储方法都是异步的，接口如下：
+ *
+ * - get(key)                         读取记录 { count, lockedUntil }，不存在时返回 null
+ * - increment(key, ttlMs)            原子地将失败次数加一并返回更新后的记录，记录至少保留 ttlMs
+ * - lock(key, lockedUntil, ttlMs)    锁定到 lockedUntil (毫秒时间戳，只延长不缩短)，记录至少保留 ttlMs
+ * - delete(key)                      删除记录
+ *
+ * 计数必须原子地累加，否则并发的失败请求会读到相同的旧值，使攻击者可以超出阈值继续尝试。
+ */
+
+/**
+ * 登录保护配置
+ */
+const LOGIN_MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS || '5', 10);
+const LOGIN_MAX_ATTEMPTS_PER_IP = parseInt(process.env.LOGIN_MAX_ATTEMPTS_PER_IP || '20', 10);
+const LOGIN_LOCKOUT_BASE_SECONDS = parseInt(process.env.LOGIN_LOCKOUT_BASE_SECONDS || '30', 10);
+const LOGIN_LOCKOUT_MAX_SECONDS = parseInt(process.env.LOGIN_LOCKOUT_MAX_SECONDS || '3600', 10);
+const LOGIN_ATTEMPT_WINDOW_SECONDS = parseInt(process.env.LOGIN_ATTEMPT_WINDOW_SECONDS || '900', 10);
+
+/**
+ * 创建内存登录失败存储
+ *
+ * @description 适用于单实例部署、本地开发和测试；进程重启后计数清零
+ * @returns {Object} 登录失败存储
+ */
+export const createMemoryLoginAttemptStore = () => {
+  // key -> { record, expiresAt }
+  const entries = new Map();
+
+  // 读取和写入之间没有 await，同一进程内的并发请求不会交错
+  const readEntry = key => {
+    const entry = entries.get(key);
+
+    if (!entry) {
+      return null;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+
+    return entry;
+  };
+
+  const writeEntry = (key, record, ttlMs, previous) => {
+    entries.set(key, { record, expiresAt: Math.max(previous?.expiresAt || 0, Date.now() + ttlMs) });
+    return record;
+  };
+
+  return {
+    get: async key => readEntry(key)?.record ?? null,
+
+    increment: async (key, ttlMs) => {
+      const entry = readEntry(key);
+      const record = { count: (entry?.record.count || 0) + 1, lockedUntil: entry?.record.lockedUntil ?? null };
+      return writeEntry(key, record, ttlMs, entry);
+    },
+
+    lock: async (key, lockedUntil, ttlMs) => {
+      const entry = readEntry(key);
+      const record = {
+        count: entry?.record.count || 0,
+        lockedUntil: Math.max(entry?.record.lockedUntil || 0, lockedUntil),
+      };
+      writeEntry(key, record, ttlMs, entry);
+    },
+
+    delete: async key => {
+      entries.delete(key);
+    },
+  };
+};
+
+/**
+ * Redis 脚本：失败次数加一，返回 [count, lockedUntil]
+ */
+const REDIS_INCREMENT_SCRIPT = `
+local count = redis.call('HINCRBY', KEYS[1], 'count', 1)
+if redis.call('PTTL', KEYS[1]) < tonumber(ARGV[1]) then
+  redis.call('PEXPIRE', KEYS[1], ARGV[1])
+end
+return { count, redis.call('HGET', KEYS[1], 'lockedUntil') }
+`;
+
+/**
+ * Redis 脚本：锁定到 ARGV[1]，已有更晚的锁定时间时保留
+ */
+const REDIS_LOCK_SCRIPT = `
+if tonumber(ARGV[1]) > tonumber(redis.call('HGET', KEYS[1], 'lockedUntil') or '0') then
+  redis.call('HSET', KEYS[1], 'lockedUntil', ARGV[1])
+end
+if redis.call('PTTL', KEYS[1]) < tonumber(ARGV[2]) then
+  redis.call('PEXPIRE', KEYS[1], ARGV[2])
+end
+`;
+
+/**
+ * 创建Redis登录失败存储
+ *
+ * @description 适配 node-redis v4 风格的客户端 (hGetAll / eval / del)，每条记录是一个哈希，
+ * 累加和锁定通过 Lua 脚本在 Redis 中原子执行
+ * @param {Object} client - 已连接的Redis客户端
+ * @param {Object} [options] - 配置选项
+ * @param {string} [options.prefix='auth:login-failures'] - 键名前缀 (与旧版本的字符串格式记录不兼容，因此不使用旧前缀)
+ * @returns {Object} 登录失败存储
+ */
+export const createRedisLoginAttemptStore = (client, { prefix = 'auth:login-failures' } = {}) => ({
+  get: async key => {
+    const { count, lockedUntil } = await client.hGetAll(`${prefix}:${key}`);
+
+    if (count === undefined) {
+      return null;
+    }
+
+    return { count: Number(count), lockedUntil: lockedUntil ? Number(lockedUntil) : null };
+  },
+
+  increment: async (key, ttlMs) => {
+    const [count, lockedUntil] = await client.eval(REDIS_INCREMENT_SCRIPT, {
+      keys: [`${prefix}:${key}`],
+      arguments: [String(ttlMs)],
+    });
+
+    return { count: Number(count), lockedUntil: lockedUntil ? Number(lockedUntil) : null };
+  },
+
+  lock: async (key, lockedUntil, ttlMs) => {
+    await client.eval(REDIS_LOCK_SCRIPT, {
+      keys: [`${prefix}:${key}`],
+      arguments: [String(lockedUntil), String(ttlMs)],
+    });
+  },
+
+  delete: async key => {
+    await client.del(`${prefix}:${key}`);
+  },
+});
+
+/**
+ * 当前使用的登录失败存储
+ */
+let store = createMemoryLoginAttemptStore();
+
+/**
+ * 替换登录失败存储
+ *
+ * @description 在应用启动时调用，例如：
+ * setLoginAttemptStore(createRedisLoginAttemptStore(redisClient));
+ * @param {Object} newStore - 实现上述接口的存储
+ */
+export const setLoginAttemptStore = newStore => {
+  store = newStore;
+};
+
+/**
+ * 存储键
+ */
+const accountKey = email => `account:${email.toLowerCase()}`;
+const ipKey = ip => `ip:${ip}`;
+
+/**
+ * 计算剩余锁定秒数
+ *
+ * @param {Object|null} record - 失败记录
+ * @returns {number} 剩余锁定秒数，未锁定时为0
+ */
+const remainingLockSeconds = record => {
+  if (!record?.lockedUntil) {
+    return 0;
+  }
+
+  return Math.max(0, Math.ceil((record.lockedUntil - Date.now()) / 1000));
+};
+
+/**
+ * 登录前检查
+ *
+ * @description 账户或来源IP处于锁定期时拒绝本次登录尝试
+ * @param {Object} context - 登录上下文
+ * @param {string} context.email - 登录邮箱
+ * @param {string} [context.ip] - 来源IP
+ * @returns {Promise<void>}
+ * @throws {Error} 处于锁定期时抛出错误，error.retryAfter 为剩余秒数
+ */
+export const assertLoginAllowed = async ({ email, ip }) => {
+  const [accountRecord, ipRecord] = await Promise.all([
+    store.get(accountKey(email)),
+    ip ? store.get(ipKey(ip)) : null,
+  ]);
+
+  const retryAfter = Math.max(remainingLockSeconds(accountRecord), remainingLockSeconds(ipRecord));
+
+  if (retryAfter > 0) {
+    const error = new Error('Too many login attempts');
+    error.retryAfter = retryAfter;
+    throw error;
+  }
+};
+
+/**
+ * 累加一个维度的失败次数
+ *
+ * @description 达到阈值后每次失败都重新锁定，锁定时长为 基础时长 × 2^(超出次数)，不超过上限。
+ * 锁定期间的登录在检查密码之前就被拒绝，不计入失败次数；锁定结束后再次失败时锁定时长翻倍
+ * @param {string} key - 存储键
+ * @param {number} maxAttempts - 该维度的失败阈值
+ * @returns {Promise<Object>} 更新后的记录，未达到阈值时 lockedUntil 为 null
+ */
+const incrementFailures = async (key, maxAttempts) => {
+  const { count } = await store.increment(key, LOGIN_ATTEMPT_WINDOW_SECONDS * 1000);
+
+  if (count < maxAttempts) {
+    return { count, lockedUntil: null };
+  }
+
+  const lockSeconds = Math.min(
+    LOGIN_LOCKOUT_BASE_SECONDS * 2 ** (count - maxAttempts),
+    LOGIN_LOCKOUT_MAX_SECONDS
+  );
+  const lockedUntil = Date.now() + lockSeconds * 1000;
+
+  await store.lock(key, lockedUntil, lockSeconds * 1000);
+  return { count, lockedUntil };
+};
+
+/**
+ * 记录一次登录失败
+ *
+ * @param {Object} context - 登录上下文
+ * @param {string} context.email - 登录邮箱
+ * @param {string} [context.ip] - 来源IP
+ * @returns {Promise<void>}
+ */
+export const recordLoginFailure = async ({ email, ip }) => {
+  const accountRecord = await incrementFailures(accountKey(email), LOGIN_MAX_ATTEMPTS);
+
+  if (accountRecord.lockedUntil) {
+    logger.warn(`账户登录已锁定 - ${email}, 连续失败 ${accountRecord.count} 次`);
+  }
+
+  if (ip) {
+    const ipRecord = await incrementFailures(ipKey(ip), LOGIN_MAX_ATTEMPTS_PER_IP);
+
+    if (ipRecord.lockedUntil) {
+      logger.warn(`来源IP登录已锁定 - ${ip}, 连续失败 ${ipRecord.count} 次`);
+    }
+  }
+};
+
+/**
+ * 清除账户的失败记录
+ *
+ * @description 登录成功后调用。来源IP的计数不清除，避免攻击者用自己的账户重置IP计数
+ * @param {Object} context - 登录上下文
+ * @param {string} context.email - 登录邮箱
+ * @returns {Promise<void>}
+ */
+export const resetLoginFailures = async ({ email }) => {
+  await store.delete(accountKey(email));
+};
+
+/**
+ * 解除账户锁定
+ *
+ * @description 供管理员手动解锁使用
+ * @param {string} email - 账户邮箱
+ * @returns {Promise<boolean>} 解锁前账户是否有失败记录
+ */
+export const unlockAccount = async email => {
+  const existing = await store.get(accountKey(email));
+  await store.delete(accountKey(email));
+
+  logger.info(`账户登录锁定已解除 - ${email}`);
+  return !!existing;
+};
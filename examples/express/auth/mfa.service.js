@@ -0,0 +1,295 @@
+import { and, eq, isNull, lt, or } from 'drizzle-orm';
+import logger from '../config/logger.js';
+import { db } from '../config/database.js';
+import { users } from '../models/user.model.js';
+import { mfaRecoveryCodes } from '../models/mfa-recovery-code.model.js';
+import { generateSecret, verifyTotp, buildOtpAuthUri } from '../utils/totp.js';
+import { generateToken, hashToken } from '../utils/tokens.js';
+import { comparePassword } from './auth.service.js';
+
+/**
+ * 双因素认证配置
+ */
+const MFA_ISSUER = process.env.MFA_ISSUER || 'express-api';
+const MFA_RECOVERY_CODE_COUNT = 10;
+
+/**
+ * 规范化恢复码
+ *
+ * @description 忽略大小写、空格和连字符，用户输入 "ABCD-1234" 与 "abcd1234" 等价
+ * @param {string} code - 恢复码
+ * @returns {string} 规范化后的恢复码
+ */
+const normalizeRecoveryCode = code => code.toLowerCase().replace(/[\s-]/g, '');
+
+/**
+ * 生成一组恢复码
+ *
+ * @returns {string[]} 形如 "a1b2c3d4-e5f6a7b8" 的恢复码
+ */
+const generateRecoveryCodes = () =>
+  Array.from({ length: MFA_RECOVERY_CODE_COUNT }, () => {
+    const raw = Buffer.from(generateToken(8), 'base64url').toString('hex');
+    return `${raw.slice(0, 8)}-${raw.slice(8, 16)}`;
+  });
+
+/**
+ * 读取用户的双因素认证信息
+ *
+ * @param {number} userId - 用户ID
+ * @returns {Promise<Object>} 用户信息 (包含 mfa 相关字段)
+ * @throws {Error} 用户不存在时抛出错误
+ */
+const getMfaUser = async userId => {
+  const [user] = await db
+    .select({
+      id: users.id,
+      email: users.email,
+      password: users.password,
+      mfa_enabled: users.mfa_enabled,
+      mfa_secret: users.mfa_secret,
+      mfa_last_used_step: users.mfa_last_used_step,
+    })
+    .from(users)
+    .where(eq(users.id, userId))
+    .limit(1);
+
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  return user;
+};
+
+/**
+ * 校验TOTP验证码并记录已使用的时间步
+ *
+ * @description 同一时间步的验证码只能使用一次，防止验证码被截获后重放
+ * @param {Object} user - getMfaUser 返回的用户信息
+ * @param {string} code - 6位验证码
+ * @returns {Promise<boolean>} 是否验证通过
+ */
+const consumeTotpCode = async (user, code) => {
+  const step = verifyTotp(user.mfa_secret, code);
+
+  if (step === null) {
+    return false;
+  }
+
+  // 条件更新：只有时间步大于上次使用的时间步才算成功，并发请求中只有一个能通过
+  const [updated] = await db
+    .update(users)
+    .set({ mfa_last_used_step: step })
+    .where(
+      and(
+        eq(users.id, user.id),
+        or(isNull(users.mfa_last_used_step), lt(users.mfa_last_used_step, step))
+      )
+    )
+    .returning({ id: users.id });
+
+  return !!updated;
+};
+
+/**
+ * 开始绑定双因素认证服务
+ *
+ * @description 生成新的TOTP密钥并暂存，返回供验证器应用扫描的 otpauth URI
+ * 需要调用 confirmMfaEnrollment 提交一次验证码后才真正启用
+ * @param {number} userId - 用户ID
+ * @returns {Promise<{secret: string, otpauthUri: string}>} 密钥和 otpauth URI
+ * @throws {Error} 用户不存在或已启用双因素认证时抛出错误
+ */
+export const beginMfaEnrollment = async userId => {
+  try {
+    const user = await getMfaUser(userId);
+
+    if (user.mfa_enabled) {
+      throw new Error('MFA already enabled');
+    }
+
+    const secret = generateSecret();
+
+    await db
+      .update(users)
+      .set({ mfa_secret: secret, mfa_last_used_step: null, updated_at: new Date() })
+      .where(eq(users.id, userId));
+
+    logger.info(`用户 ${userId} 开始绑定双因素认证`);
+
+    return {
+      secret,
+      otpauthUri: buildOtpAuthUri({ secret, accountName: user.email, issuer: MFA_ISSUER }),
+    };
+  } catch (error) {
+    logger.error(`开始绑定双因素认证失败: ${error}`);
+    throw error;
+  }
+};
+
+/**
+ * 确认绑定双因素认证服务
+ *
+ * @description 验证用户从验证器应用读取的验证码，通过后启用双因素认证并生成恢复码
+ * 恢复码只在此处返回一次，数据库中只保存哈希值
+ * @param {number} userId - 用户ID
+ * @param {string} code - 6位验证码
+ * @returns {Promise<string[]>} 恢复码列表
+ * @throws {Error} 未开始绑定、已启用或验证码错误时抛出错误
+ */
+export const confirmMfaEnrollment = async (userId, code) => {
+  try {
+    const user = await getMfaUser(userId);
+
+    if (user.mfa_enabled) {
+      throw new Error('MFA already enabled');
+    }
+
+    if (!user.mfa_secret) {
+      throw new Error('MFA enrollment not started');
+    }
+
+    if (!(await consumeTotpCode(user, code))) {
+      throw new Error('Invalid MFA code');
+    }
+
+    // 启用双因素认证，并替换旧的恢复码
+    const recoveryCodes = generateRecoveryCodes();
+
+    await db
+      .update(users)
+      .set({ mfa_enabled: true, updated_at: new Date() })
+      .where(eq(users.id, userId));
+
+    await db.delete(mfaRecoveryCodes).where(eq(mfaRecoveryCodes.user_id, userId));
+
+    await db.insert(mfaRecoveryCodes).values(
+      recoveryCodes.map(recoveryCode => ({
+        user_id: userId,
+        code_hash: hashToken(normalizeRecoveryCode(recoveryCode)),
+      }))
+    );
+
+    logger.info(`用户 ${userId} 已启用双因素认证`);
+    return recoveryCodes;
+  } catch (error) {
+    logger.error(`确认绑定双因素认证失败: ${error}`);
+    throw error;
+  }
+};
+
+/**
+ * 校验并使用恢复码
+ *
+ * @description 原子地标记为已使用，保证每个恢复码只能使用一次
+ * @param {number} userId - 用户ID
+ * @param {string} [recoveryCode] - 恢复码
+ * @returns {Promise<boolean>} 是否验证通过
+ */
+const consumeRecoveryCode = async (userId, recoveryCode) => {
+  const [usedCode] = await db
+    .update(mfaRecoveryCodes)
+    .set({ used_at: new Date() })
+    .where(
+      and(
+        eq(mfaRecoveryCodes.user_id, userId),
+        eq(mfaRecoveryCodes.code_hash, hashToken(normalizeRecoveryCode(recoveryCode || ''))),
+        isNull(mfaRecoveryCodes.used_at)
+      )
+    )
+    .returning({ id: mfaRecoveryCodes.id });
+
+  return !!usedCode;
+};
+
+/**
+ * 双因素认证校验服务
+ *
+ * @description 登录第二步使用，接受TOTP验证码或一次性恢复码
+ * @param {number} userId - 用户ID
+ * @param {Object} credentials - 验证凭据 (二选一)
+ * @param {string} [credentials.code] - 6位TOTP验证码
+ * @param {string} [credentials.recoveryCode] - 恢复码
+ * @returns {Promise<{usedRecoveryCode: boolean}>} 校验结果
+ * @throws {Error} 未启用双因素认证或验证码错误时抛出错误
+ */
+export const verifyMfa = async (userId, { code, recoveryCode }) => {
+  try {
+    const user = await getMfaUser(userId);
+
+    if (!user.mfa_enabled) {
+      throw new Error('MFA not enabled');
+    }
+
+    // 1. TOTP验证码
+    if (code) {
+      if (!(await consumeTotpCode(user, code))) {
+        throw new Error('Invalid MFA code');
+      }
+      return { usedRecoveryCode: false };
+    }
+
+    // 2. 恢复码
+    if (!(await consumeRecoveryCode(userId, recoveryCode))) {
+      throw new Error('Invalid MFA code');
+    }
+
+    logger.warn(`用户 ${userId} 使用恢复码完成双因素认证`);
+    return { usedRecoveryCode: true };
+  } catch (error) {
+    logger.error(`双因素认证校验失败: ${error}`);
+    throw error;
+  }
+};
+
+/**
+ * 关闭双因素认证服务
+ *
+ * @description 需要当前密码和一个有效的TOTP验证码或恢复码；
+ * 没有设置密码的账户 (只通过第三方登录) 只需要验证码或恢复码
+ * @param {number} userId - 用户ID
+ * @param {Object} credentials - 验证凭据
+ * @param {string} [credentials.password] - 当前密码 (设置了密码的账户必填)
+ * @param {string} [credentials.code] - 6位TOTP验证码
+ * @param {string} [credentials.recoveryCode] - 恢复码 (与 code 二选一)
+ * @returns {Promise<void>}
+ * @throws {Error} 未启用、密码错误或验证码错误时抛出错误
+ */
+export const disableMfa = async (userId, { password, code, recoveryCode }) => {
+  try {
+    const user = await getMfaUser(userId);
+
+    if (!user.mfa_enabled) {
+      throw new Error('MFA not enabled');
+    }
+
+    if (user.password && !(password && (await comparePassword(password, user.password)))) {
+      throw new Error('Invalid current password');
+    }
+
+    const verified = code
+      ? await consumeTotpCode(user, code)
+      : await consumeRecoveryCode(userId, recoveryCode);
+
+    if (!verified) {
+      throw new Error('Invalid MFA code');
+    }
+
+    await db
+      .update(users)
+      .set({
+        mfa_enabled: false,
+        mfa_secret: null,
+        mfa_last_used_step: null,
+        updated_at: new Date(),
+      })
+      .where(eq(users.id, userId));
+
+    await db.delete(mfaRecoveryCodes).where(eq(mfaRecoveryCodes.user_id, userId));
+
+    logger.warn(`用户 ${userId} 已关闭双因素认证`);
+  } catch (error) {
+    logger.error(`关闭双因素认证失败: ${error}`);
+    throw error;
+  }
+};
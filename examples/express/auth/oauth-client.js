@@ -0,0 +1,422 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import logger from '../config/logger.js';
+import { generateToken } from '../utils/tokens.js';
+
+/**
+ * OAuth2 / OpenID Connect 客户端
+ *
+ * @description 实现授权码 + PKCE 流程，提供方通过环境变量配置：
+ *
+ * - OAUTH_PROVIDERS=google,github          启用的提供方 (逗号分隔)
+ * - OAUTH_<NAME>_CLIENT_ID                 客户端ID (必填)
+ * - OAUTH_<NAME>_CLIENT_SECRET             客户端密钥 (公开客户端可以省略，只依赖 PKCE)
+ * - OAUTH_<NAME>_ISSUER                    OIDC 签发者，端点通过 /.well-known/openid-configuration 发现
+ * - OAUTH_<NAME>_AUTHORIZATION_URL / _TOKEN_URL / _USERINFO_URL / _JWKS_URI
+ *                                          手动指定端点，优先于发现结果 (纯 OAuth2 提供方必须指定)
+ * - OAUTH_<NAME>_SCOPES                    授权范围，包含 openid 时按 OIDC 验证 ID Token
+ * - OAUTH_<NAME>_REDIRECT_URI              回调地址，默认 <OAUTH_REDIRECT_BASE_URL>/<name>/callback
+ *
+ * google 和 github 内置了端点和授权范围，只需配置客户端ID和密钥。
+ * 其他名称的提供方 (如本地测试用的 stub) 需要配置 ISSUER 或各个端点，
+ * 端点可以是 http://localhost 地址，本地开发和测试不需要访问外部网络。
+ */
+
+const OAUTH_REDIRECT_BASE_URL =
+  process.env.OAUTH_REDIRECT_BASE_URL || 'http://localhost:3000/api/auth/oauth';
+const OAUTH_HTTP_TIMEOUT_MS = parseInt(process.env.OAUTH_HTTP_TIMEOUT_MS || '5000', 10);
+
+/**
+ * 提供方缓存有效期 (发现文档和JWKS)
+ */
+const METADATA_CACHE_MS = 60 * 60 * 1000;
+
+/**
+ * ID Token 允许的签名算法
+ */
+const ID_TOKEN_ALGORITHMS = ['RS256', 'ES256'];
+
+/**
+ * 内置提供方配置
+ *
+ * @description GitHub 不支持 OIDC，通过用户信息接口获取身份，再从邮箱列表中取已验证的主邮箱
+ */
+const PROVIDER_PRESETS = {
+  google: {
+    issuer: 'https://accounts.google.com',
+    scopes: 'openid email profile',
+  },
+  github: {
+    authorizationUrl: 'https://github.com/login/oauth/authorize',
+    tokenUrl: 'https://github.com/login/oauth/access_token',
+    userinfoUrl: 'https://api.github.com/user',
+    emailsUrl: 'https://api.github.com/user/emails',
+    scopes: 'read:user user:email',
+  },
+};
+
+/**
+ * 加载提供方配置
+ *
+ * @description 在模块加载时执行，配置不完整的提供方让应用在启动阶段失败
+ * @returns {Map<string, Object>} 提供方名称到配置的映射
+ * @throws {Error} 缺少客户端ID或端点时抛出错误
+ */
+const loadProviders = () => {
+  const names = (process.env.OAUTH_PROVIDERS || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  return new Map(
+    names.map(name => {
+      const prefix = `OAUTH_${name.toUpperCase().replace(/-/g, '_')}_`;
+      const env = key => process.env[prefix + key];
+      const preset = PROVIDER_PRESETS[name] || {};
+
+      const provider = {
+        name,
+        clientId: env('CLIENT_ID'),
+        clientSecret: env('CLIENT_SECRET'),
+        issuer: env('ISSUER') || preset.issuer,
+        authorizationUrl: env('AUTHORIZATION_URL') || preset.authorizationUrl,
+        tokenUrl: env('TOKEN_URL') || preset.tokenUrl,
+        userinfoUrl: env('USERINFO_URL') || preset.userinfoUrl,
+        jwksUri: env('JWKS_URI') || preset.jwksUri,
+        emailsUrl: preset.emailsUrl,
+        scopes: (env('SCOPES') || preset.scopes || 'openid email profile').split(/[\s,]+/).filter(Boolean),
+        redirectUri: env('REDIRECT_URI') || `${OAUTH_REDIRECT_BASE_URL}/${name}/callback`,
+      };
+
+      if (!provider.clientId) {
+        throw new Error(`${prefix}CLIENT_ID is required`);
+      }
+
+      if (!provider.issuer && (!provider.authorizationUrl || !provider.tokenUrl)) {
+        throw new Error(`${prefix}ISSUER or ${prefix}AUTHORIZATION_URL and ${prefix}TOKEN_URL are required`);
+      }
+
+      return [name, provider];
+    })
+  );
+};
+
+const providers = loadProviders();
+
+if (providers.size > 0) {
+  logger.info(`第三方登录提供方已启用: ${[...providers.keys()].join(', ')}`);
+}
+
+/**
+ * 发现文档和JWKS缓存
+ */
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+/**
+ * 获取已启用的提供方名称
+ *
+ * @returns {string[]} 提供方名称列表
+ */
+export const listProviders = () => [...providers.keys()];
+
+/**
+ * 获取提供方配置
+ *
+ * @param {string} name - 提供方名称
+ * @returns {Object} 提供方配置
+ * @throws {Error} 提供方未启用时抛出错误
+ */
+const getProvider = name => {
+  const provider = providers.get(name);
+
+  if (!provider) {
+    throw new Error('OAuth provider not found');
+  }
+
+  return provider;
+};
+
+/**
+ * 请求提供方接口
+ *
+ * @param {string} url - 请求地址
+ * @param {Object} [options] - fetch 选项
+ * @returns {Promise<Object>} 解析后的JSON响应
+ * @throws {Error} 请求失败或超时时抛出错误
+ */
+const fetchJson = async (url, options = {}) => {
+  let response;
+
+  try {
+    response = await fetch(url, {
+      ...options,
+      headers: { Accept: 'application/json', ...options.headers },
+      signal: AbortSignal.timeout(OAUTH_HTTP_TIMEOUT_MS),
+    });
+  } catch (error) {
+    logger.error(`OAuth提供方请求失败 - ${url}: ${error.message}`);
+    throw new Error('OAuth provider request failed');
+  }
+
+  if (!response.ok) {
+    logger.error(`OAuth提供方请求失败 - ${url}: ${response.status}`);
+    throw new Error('OAuth provider request failed');
+  }
+
+  return response.json();
+};
+
+/**
+ * 解析提供方端点
+ *
+ * @description 配置了 issuer 时读取发现文档，手动配置的端点优先
+ * @param {Object} provider - 提供方配置
+ * @returns {Promise<Object>} { issuer, authorizationUrl, tokenUrl, userinfoUrl, jwksUri }
+ */
+const resolveEndpoints = async provider => {
+  let discovered = {};
+
+  if (provider.issuer) {
+    const cached = discoveryCache.get(provider.name);
+
+    if (cached && cached.expiresAt > Date.now()) {
+      discovered = cached.value;
+    } else {
+      discovered = await fetchJson(`${provider.issuer.replace(/\/$/, '')}/.well-known/openid-configuration`);
+      discoveryCache.set(provider.name, { value: discovered, expiresAt: Date.now() + METADATA_CACHE_MS });
+    }
+  }
+
+  return {
+    issuer: discovered.issuer || provider.issuer,
+    authorizationUrl: provider.authorizationUrl || discovered.authorization_endpoint,
+    tokenUrl: provider.tokenUrl || discovered.token_endpoint,
+    userinfoUrl: provider.userinfoUrl || discovered.userinfo_endpoint,
+    jwksUri: provider.jwksUri || discovered.jwks_uri,
+  };
+};
+
+/**
+ * 是否按 OIDC 处理
+ *
+ * @param {Object} provider - 提供方配置
+ * @returns {boolean} 授权范围包含 openid 时为 true
+ */
+const isOidc = provider => provider.scopes.includes('openid');
+
+/**
+ * 计算 PKCE code_challenge (S256)
+ *
+ * @param {string} codeVerifier - code_verifier
+ * @returns {string} Base64URL 编码的 SHA-256 摘要
+ */
+const toCodeChallenge = codeVerifier =>
+  crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+/**
+ * 创建授权请求
+ *
+ * @description 生成 state、nonce 和 PKCE code_verifier，调用方需要保存它们直到回调
+ * @param {string} providerName - 提供方名称
+ * @param {Object} [options] - 选项
+ * @param {string} [options.loginHint] - 提示提供方预先填写的账户 (OIDC login_hint)
+ * @returns {Promise<{url: string, state: string, nonce: string, codeVerifier: string}>} 授权地址及需要保存的参数
+ * @throws {Error} 提供方未启用或发现文档获取失败时抛出错误
+ */
+export const createAuthorizationRequest = async (providerName, { loginHint } = {}) => {
+  const provider = getProvider(providerName);
+  const { authorizationUrl } = await resolveEndpoints(provider);
+
+  const state = generateToken();
+  const nonce = generateToken();
+  const codeVerifier = generateToken();
+
+  const url = new URL(authorizationUrl);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', provider.clientId);
+  url.searchParams.set('redirect_uri', provider.redirectUri);
+  url.searchParams.set('scope', provider.scopes.join(' '));
+  url.searchParams.set('state', state);
+  url.searchParams.set('code_challenge', toCodeChallenge(codeVerifier));
+  url.searchParams.set('code_challenge_method', 'S256');
+
+  if (isOidc(provider)) {
+    url.searchParams.set('nonce', nonce);
+  }
+
+  if (loginHint) {
+    url.searchParams.set('login_hint', loginHint);
+  }
+
+  return { url: url.toString(), state, nonce, codeVerifier };
+};
+
+/**
+ * 获取 ID Token 的验证公钥
+ *
+ * @description JWKS 按提供方缓存；遇到未知 kid 时重新获取一次，以支持提供方轮换密钥
+ * @param {Object} provider - 提供方配置
+ * @param {string} jwksUri - JWKS 地址
+ * @param {string} [kid] - 令牌头部的密钥ID
+ * @returns {Promise<crypto.KeyObject>} 公钥
+ * @throws {Error} 找不到对应公钥时抛出错误
+ */
+const getIdTokenKey = async (provider, jwksUri, kid) => {
+  const findKey = jwks => jwks.keys?.find(key => (kid ? key.kid === kid : key.use !== 'enc'));
+
+  const cached = jwksCache.get(provider.name);
+  let jwk = cached && cached.expiresAt > Date.now() ? findKey(cached.value) : undefined;
+
+  if (!jwk) {
+    const jwks = await fetchJson(jwksUri);
+    jwksCache.set(provider.name, { value: jwks, expiresAt: Date.now() + METADATA_CACHE_MS });
+    jwk = findKey(jwks);
+  }
+
+  if (!jwk) {
+    throw new Error('Invalid ID token');
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+/**
+ * 验证 ID Token
+ *
+ * @description 校验签名、签发者、受众、有效期和 nonce
+ * @param {Object} provider - 提供方配置
+ * @param {Object} endpoints - 提供方端点
+ * @param {string} idToken - ID Token
+ * @param {string} nonce - 授权请求中的 nonce
+ * @returns {Promise<Object>} ID Token 声明
+ * @throws {Error} 验证失败时抛出 'Invalid ID token'
+ */
+const verifyIdToken = async (provider, endpoints, idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+
+  if (!decoded || !endpoints.jwksUri) {
+    throw new Error('Invalid ID token');
+  }
+
+  const key = await getIdTokenKey(provider, endpoints.jwksUri, decoded.header.kid);
+
+  let claims;
+
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: endpoints.issuer,
+      audience: provider.clientId,
+    });
+  } catch (error) {
+    logger.warn(`ID Token 验证失败 - ${provider.name}: ${error.message}`);
+    throw new Error('Invalid ID token');
+  }
+
+  if (claims.nonce !== nonce) {
+    logger.warn(`ID Token nonce 不匹配 - ${provider.name}`);
+    throw new Error('Invalid ID token');
+  }
+
+  return claims;
+};
+
+/**
+ * 获取 GitHub 式的已验证主邮箱
+ *
+ * @param {string} emailsUrl - 邮箱列表接口
+ * @param {string} accessToken - 访问令牌
+ * @returns {Promise<string|null>} 已验证的主邮箱
+ */
+const fetchVerifiedPrimaryEmail = async (emailsUrl, accessToken) => {
+  const emails = await fetchJson(emailsUrl, {
+    headers: { Authorization: `Bearer ${accessToken}` },
+  });
+
+  return emails.find(entry => entry.primary && entry.verified)?.email ?? null;
+};
+
+/**
+ * 用授权码换取用户身份
+ *
+ * @description 使用 code_verifier 向令牌端点换取令牌：
+ * OIDC 提供方验证 ID Token 并从中读取身份；纯 OAuth2 提供方调用用户信息接口
+ * 只有提供方明确声明 email_verified 时，邮箱才视为已验证
+ * @param {string} providerName - 提供方名称
+ * @param {Object} params - 回调参数
+ * @param {string} params.code - 授权码
+ * @param {string} params.codeVerifier - 授权请求时生成的 code_verifier
+ * @param {string} params.nonce - 授权请求时生成的 nonce
+ * @returns {Promise<{subject: string, email: string|null, emailVerified: boolean, name: string|null}>} 外部身份
+ * @throws {Error} 换取令牌失败、ID Token 无效或缺少用户标识时抛出错误
+ */
+export const exchangeAuthorizationCode = async (providerName, { code, codeVerifier, nonce }) => {
+  const provider = getProvider(providerName);
+  const endpoints = await resolveEndpoints(provider);
+
+  // 1. 用授权码换取令牌
+  const tokens = await fetchJson(endpoints.tokenUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: provider.redirectUri,
+      client_id: provider.clientId,
+      code_verifier: codeVerifier,
+      ...(provider.clientSecret && { client_secret: provider.clientSecret }),
+    }),
+  });
+
+  if (tokens.error || !tokens.access_token) {
+    logger.warn(`OAuth授权码换取失败 - ${provider.name}: ${tokens.error || 'no access_token'}`);
+    throw new Error('OAuth code exchange failed');
+  }
+
+  // 2. OIDC：验证 ID Token；缺少邮箱时再读取用户信息
+  let claims = {};
+
+  if (isOidc(provider)) {
+    if (!tokens.id_token) {
+      throw new Error('Invalid ID token');
+    }
+
+    claims = await verifyIdToken(provider, endpoints, tokens.id_token, nonce);
+  }
+
+  if ((!claims.sub || !claims.email) && endpoints.userinfoUrl) {
+    const userinfo = await fetchJson(endpoints.userinfoUrl, {
+      headers: { Authorization: `Bearer ${tokens.access_token}` },
+    });
+
+    // OIDC 规定用户信息的 sub 必须与 ID Token 一致
+    if (claims.sub && userinfo.sub !== claims.sub) {
+      throw new Error('Invalid ID token');
+    }
+
+    claims = { ...userinfo, ...claims };
+  }
+
+  const subject = claims.sub ?? claims.id;
+
+  if (subject === undefined || subject === null) {
+    throw new Error('OAuth profile missing subject');
+  }
+
+  // 3. 纯 OAuth2 提供方的邮箱验证状态来自邮箱列表
+  let email = claims.email ?? null;
+  let emailVerified = claims.email_verified === true;
+
+  if (provider.emailsUrl) {
+    email = await fetchVerifiedPrimaryEmail(provider.emailsUrl, tokens.access_token);
+    emailVerified = !!email;
+  }
+
+  return {
+    subject: String(subject),
+    email: email?.toLowerCase() ?? null,
+    emailVerified,
+    name: claims.name || claims.login || null,
+  };
+};
@@ -0,0 +1,178 @@
+import crypto from 'crypto';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import logger from '../config/logger.js';
+import { generateToken } from '../utils/tokens.js';
+
+/**
+ * 本地 OIDC 测试提供方
+ *
+ * @description 只用于开发和测试，实现第三方登录需要的最小 OpenID Connect 接口：
+ * 发现文档、授权 (自动同意)、令牌 (校验 PKCE)、JWKS 和用户信息。
+ * 挂载到应用中后，把提供方配置指向它即可在没有外部网络的环境中走完整个登录流程。
+ *
+ * 授权接口不显示登录页面，直接以 login_hint 指定的邮箱 (或默认用户) 同意授权；
+ * 带 deny=1 时模拟用户拒绝授权。
+ */
+
+/**
+ * 授权码和访问令牌有效期
+ */
+const CODE_EXPIRES_MS = 60 * 1000;
+const TOKEN_EXPIRES_SECONDS = 300;
+
+/**
+ * 创建本地 OIDC 测试提供方
+ *
+ * @param {Object} options - 配置选项
+ * @param {string} options.issuer - 签发者，即挂载后的完整地址，如 http://localhost:3000/oauth-stub
+ * @param {string} options.clientId - 允许的客户端ID
+ * @param {Object} [options.defaultUser] - 没有 login_hint 时使用的用户 { sub, email, email_verified, name }
+ * @returns {express.Router} 可挂载的路由
+ */
+export const createStubOidcProvider = ({
+  issuer,
+  clientId,
+  defaultUser = { sub: 'stub-user-1', email: 'stub.user@example.com', email_verified: true, name: 'Stub User' },
+}) => {
+  const router = express.Router();
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+  const kid = 'stub-key';
+
+  // 授权码和访问令牌只保存在内存中
+  const codes = new Map();
+  const accessTokens = new Map();
+
+  router.use(express.urlencoded({ extended: false }));
+
+  // 发现文档
+  router.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      userinfo_endpoint: `${issuer}/userinfo`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['ES256'],
+      code_challenge_methods_supported: ['S256'],
+    });
+  });
+
+  // 公钥
+  router.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, alg: 'ES256', use: 'sig' }] });
+  });
+
+  // 授权 - 自动同意并带着授权码重定向回客户端
+  router.get('/authorize', (req, res) => {
+    const { client_id, redirect_uri, state, nonce, code_challenge, code_challenge_method, login_hint, deny } = req.query;
+
+    if (client_id !== clientId || !redirect_uri || code_challenge_method !== 'S256' || !code_challenge) {
+      return res.status(400).json({ error: 'invalid_request' });
+    }
+
+    const redirect = new URL(redirect_uri);
+    redirect.searchParams.set('state', state);
+
+    if (deny === '1') {
+      redirect.searchParams.set('error', 'access_denied');
+      return res.redirect(302, redirect.toString());
+    }
+
+    const user = login_hint
+      ? {
+          sub: `stub-${crypto.createHash('sha256').update(login_hint).digest('hex').slice(0, 16)}`,
+          email: login_hint,
+          email_verified: true,
+          name: login_hint.split('@')[0],
+        }
+      : defaultUser;
+
+    const code = generateToken();
+    codes.set(code, { user, redirectUri: redirect_uri, nonce, codeChallenge: code_challenge, expiresAt: Date.now() + CODE_EXPIRES_MS });
+
+    redirect.searchParams.set('code', code);
+    res.redirect(302, redirect.toString());
+  });
+
+  // 令牌 - 校验授权码、回调地址和 PKCE，签发 ID Token
+  router.post('/token', (req, res) => {
+    const { grant_type, code, redirect_uri, client_id, code_verifier } = req.body;
+    const grant = codes.get(code);
+    codes.delete(code);
+
+    if (
+      grant_type !== 'authorization_code' ||
+      client_id !== clientId ||
+      !grant ||
+      grant.expiresAt < Date.now() ||
+      grant.redirectUri !== redirect_uri ||
+      crypto.createHash('sha256').update(code_verifier || '').digest('base64url') !== grant.codeChallenge
+    ) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    const accessToken = generateToken();
+    accessTokens.set(accessToken, { user: grant.user, expiresAt: Date.now() + TOKEN_EXPIRES_SECONDS * 1000 });
+
+    const idToken = jwt.sign({ ...grant.user, ...(grant.nonce && { nonce: grant.nonce }) }, privateKey, {
+      algorithm: 'ES256',
+      keyid: kid,
+      issuer,
+      audience: clientId,
+      expiresIn: TOKEN_EXPIRES_SECONDS,
+    });
+
+    logger.info(`[oauth-stub] 签发令牌: ${grant.user.email}`);
+
+    res.json({
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: TOKEN_EXPIRES_SECONDS,
+      id_token: idToken,
+    });
+  });
+
+  // 用户信息
+  router.get('/userinfo', (req, res) => {
+    const token = req.get('authorization')?.replace(/^Bearer /, '');
+    const grant = accessTokens.get(token);
+
+    if (!grant || grant.expiresAt < Date.now()) {
+      return res.status(401).json({ error: 'invalid_token' });
+    }
+
+    res.json(grant.user);
+  });
+
+  return router;
+};
+
+/*
+使用示例:
+
+在 app.js 中挂载 (只在非生产环境):
+
+import { createStubOidcProvider } from './auth/oauth-stub-provider.js';
+
+if (process.env.NODE_ENV !== 'production' && process.env.OAUTH_STUB_ENABLED === 'true') {
+  app.use('/oauth-stub', createStubOidcProvider({
+    issuer: 'http://localhost:3000/oauth-stub',
+    clientId: 'stub-client',
+  }));
+}
+
+.env:
+
+OAUTH_PROVIDERS=stub
+OAUTH_STUB_CLIENT_ID=stub-client
+OAUTH_STUB_ISSUER=http://localhost:3000/oauth-stub
+OAUTH_STUB_ENABLED=true
+
+浏览器 (或 curl -L 带 Cookie) 访问:
+GET /api/auth/oauth/stub                                    以 stub.user@example.com 登录
+GET /api/auth/oauth/stub?login_hint=zhangsan@example.com    以指定邮箱登录
+
+*/
@@ -0,0 +1,264 @@
+import { and, eq } from 'drizzle-orm';
+import logger from '../config/logger.js';
+import { db } from '../config/database.js';
+import { users, USER_ROLES, USER_STATUS, notDeleted } from '../models/user.model.js';
+import { userIdentities } from '../models/user-identity.model.js';
+import { assertAccountActive } from './auth.service.js';
+import { revokeAllUserRefreshTokens } from './token.service.js';
+import { revokeUserTokens } from './revocation.store.js';
+
+/**
+ * 登录需要的用户字段
+ */
+const userColumns = {
+  id: users.id,
+  name: users.name,
+  email: users.email,
+  role: users.role,
+  status: users.status,
+  mfa_enabled: users.mfa_enabled,
+  created_at: users.created_at,
+};
+
+/**
+ * 根据邮箱查找用户
+ *
+ * @param {string} email - 邮箱
+ * @returns {Promise<Object|undefined>} 用户信息
+ */
+const findUserByEmail = async email => {
+  const [user] = await db.select(userColumns).from(users).where(and(eq(users.email, email), notDeleted)).limit(1);
+  return user;
+};
+
+/**
+ * 绑定第三方身份
+ *
+ * @param {number} userId - 用户ID
+ * @param {string} provider - 提供方名称
+ * @param {Object} profile - 外部身份 (见 exchangeAuthorizationCode)
+ * @returns {Promise<void>}
+ */
+const insertIdentity = async (userId, provider, profile) => {
+  await db.insert(userIdentities).values({
+    user_id: userId,
+    provider,
+    subject: profile.subject,
+    email: profile.email,
+    email_verified: profile.emailVerified,
+    last_used_at: new Date(),
+  });
+
+  logger.info(`用户 ${userId} 绑定第三方身份: ${provider}`);
+};
+
+/**
+ * 第三方登录服务
+ *
+ * @description 根据外部身份找到或创建用户：
+ * 1. 已绑定的身份 - 直接登录
+ * 2. 邮箱与已有账户相同 - 提供方确认邮箱已验证时自动绑定到该账户，否则拒绝
+ *    (未验证的邮箱可能属于他人，需要先用密码登录再手动绑定)；
+ *    待验证的账户在激活时清除注册时设置的密码，因为该密码可能是他人抢先注册时设置的
+ * 3. 新邮箱 - 提供方确认邮箱已验证时创建新账户 (无密码，状态为 active)
+ * @param {string} provider - 提供方名称
+ * @param {Object} profile - 外部身份 (见 exchangeAuthorizationCode)
+ * @returns {Promise<{user: Object, isNewUser: boolean, linked: boolean}>} 登录的用户，是否新建账户，是否新绑定身份
+ * @throws {Error} 缺少邮箱、邮箱未验证或账户状态异常时抛出错误
+ */
+export const signInWithIdentity = async (provider, profile) => {
+  try {
+    // 1. 已绑定的身份
+    const [identity] = await db
+      .select({ id: userIdentities.id, user_id: userIdentities.user_id })
+      .from(userIdentities)
+      .where(and(eq(userIdentities.provider, provider), eq(userIdentities.subject, profile.subject)))
+      .limit(1);
+
+    if (identity) {
+      const [user] = await db
+        .select(userColumns)
+        .from(users)
+        .where(and(eq(users.id, identity.user_id), notDeleted))
+        .limit(1);
+
+      // 身份绑定的用户已被删除 (等待清理)
+      if (!user) {
+        throw new Error('Account inactive');
+      }
+
+      assertAccountActive(user);
+
+      await db
+        .update(userIdentities)
+        .set({ last_used_at: new Date(), email: profile.email, email_verified: profile.emailVerified })
+        .where(eq(userIdentities.id, identity.id));
+
+      return { user, isNewUser: false, linked: false };
+    }
+
+    // 2. 新身份必须带有已验证的邮箱
+    if (!profile.email) {
+      throw new Error('OAuth email missing');
+    }
+
+    if (!profile.emailVerified) {
+      throw new Error('OAuth email not verified');
+    }
+
+    // 3. 邮箱已注册 - 绑定到已有账户
+    const existingUser = await findUserByEmail(profile.email);
+
+    if (existingUser) {
+      // 提供方已经验证过邮箱，待验证的账户可以直接激活
+      // 待验证账户的密码不能证明属于邮箱的主人 (任何人都可以用他人的邮箱注册)，
+      // 激活时清除密码并吊销所有令牌和会话，邮箱主人需要时可以通过忘记密码流程设置
+      if (existingUser.status === USER_STATUS.PENDING) {
+        await db
+          .update(users)
+          .set({ status: USER_STATUS.ACTIVE, password: null, email_verified_at: new Date(), updated_at: new Date() })
+          .where(and(eq(users.id, existingUser.id), eq(users.status, USER_STATUS.PENDING)));
+        existingUser.status = USER_STATUS.ACTIVE;
+
+        await revokeUserTokens(existingUser.id);
+        await revokeAllUserRefreshTokens(existingUser.id);
+
+        logger.info(`待验证账户通过第三方登录激活，已清除注册密码 - 用户 ${existingUser.id}`);
+      }
+
+      assertAccountActive(existingUser);
+      await insertIdentity(existingUser.id, provider, profile);
+
+      return { user: existingUser, isNewUser: false, linked: true };
+    }
+
+    // 4. 新用户 - 创建无密码账户
+    const [newUser] = await db
+      .insert(users)
+      .values({
+        name: profile.name || profile.email.split('@')[0],
+        email: profile.email,
+        password: null,
+        role: USER_ROLES.USER,
+        status: USER_STATUS.ACTIVE,
+        email_verified_at: new Date(),
+      })
+      .returning(userColumns);
+
+    await insertIdentity(newUser.id, provider, profile);
+
+    logger.info(`用户 ${newUser.email} 通过 ${provider} 注册成功!`);
+
+    return { user: newUser, isNewUser: true, linked: true };
+  } catch (error) {
+    logger.error(`第三方登录失败 - ${provider}: ${error}`);
+    throw error;
+  }
+};
+
+/**
+ * 绑定第三方身份服务
+ *
+ * @description 已登录的用户主动绑定，不要求邮箱一致，也不要求邮箱已验证
+ * 同一身份已经绑定到当前用户时视为成功
+ * @param {number} userId - 用户ID
+ * @param {string} provider - 提供方名称
+ * @param {Object} profile - 外部身份 (见 exchangeAuthorizationCode)
+ * @returns {Promise<void>}
+ * @throws {Error} 身份已绑定到其他账户，或当前用户已绑定该提供方的其他身份时抛出错误
+ */
+export const linkIdentity = async (userId, provider, profile) => {
+  try {
+    const existing = await db
+      .select({ user_id: userIdentities.user_id, subject: userIdentities.subject })
+      .from(userIdentities)
+      .where(eq(userIdentities.provider, provider));
+
+    if (existing.some(identity => identity.subject === profile.subject && identity.user_id !== userId)) {
+      throw new Error('Identity linked to another account');
+    }
+
+    if (existing.some(identity => identity.user_id === userId && identity.subject !== profile.subject)) {
+      throw new Error('Provider already linked');
+    }
+
+    if (existing.some(identity => identity.user_id === userId)) {
+      return;
+    }
+
+    await insertIdentity(userId, provider, profile);
+  } catch (error) {
+    logger.error(`绑定第三方身份失败 - ${provider}: ${error}`);
+    throw error;
+  }
+};
+
+/**
+ * 获取用户绑定的第三方身份服务
+ *
+ * @param {number} userId - 用户ID
+ * @returns {Promise<Array>} 身份列表
+ */
+export const listIdentities = async userId => {
+  try {
+    return await db
+      .select({
+        provider: userIdentities.provider,
+        email: userIdentities.email,
+        last_used_at: userIdentities.last_used_at,
+        created_at: userIdentities.created_at,
+      })
+      .from(userIdentities)
+      .where(eq(userIdentities.user_id, userId))
+      .orderBy(userIdentities.created_at);
+  } catch (error) {
+    logger.error(`获取第三方身份失败: ${error}`);
+    throw error;
+  }
+};
+
+/**
+ * 解除绑定第三方身份服务
+ *
+ * @description 没有设置密码的账户至少保留一个第三方身份，否则将无法登录
+ * @param {number} userId - 用户ID
+ * @param {string} provider - 提供方名称
+ * @returns {Promise<Object>} 被解除绑定的身份
+ * @throws {Error} 身份不存在，或这是唯一的登录方式时抛出错误
+ */
+export const unlinkIdentity = async (userId, provider) => {
+  try {
+    // 1. 查找用户的所有身份和密码状态
+    const [user] = await db
+      .select({ password: users.password })
+      .from(users)
+      .where(eq(users.id, userId))
+      .limit(1);
+
+    const identities = await db
+      .select({ id: userIdentities.id, provider: userIdentities.provider, email: userIdentities.email })
+      .from(userIdentities)
+      .where(eq(userIdentities.user_id, userId));
+
+    const identity = identities.find(item => item.provider === provider);
+
+    if (!identity) {
+      throw new Error('Identity not found');
+    }
+
+    // 2. 没有密码时不能移除最后一个身份
+    if (!user?.password && identities.length <= 1) {
+      throw new Error('Cannot remove last sign-in method');
+    }
+
+    // 3. 删除身份
+    await db.delete(userIdentities).where(eq(userIdentities.id, identity.id));
+
+    logger.info(`用户 ${userId} 解除绑定第三方身份: ${provider}`);
+
+    return { provider: identity.provider, email: identity.email };
+  } catch (error) {
+    logger.error(`解除绑定第三方身份失败: ${error}`);
+    throw error;
+  }
+};
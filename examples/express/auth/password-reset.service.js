@@ -0,0 +1,109 @@
+import { and, eq, gt, isNull } from 'drizzle-orm';
+import logger from '../config/logger.js';
+import { db } from '../config/database.js';
+import { users, notDeleted } from '../models/user.model.js';
+import { passwordResetTokens } from '../models/password-reset-token.model.js';
+import { generateToken, hashToken } from '../utils/tokens.js';
+import { sendMail } from '../utils/mailer.js';
+import { updateUserPassword } from './auth.service.js';
+
+/**
+ * 密码重置配置
+ */
+const PASSWORD_RESET_EXPIRES_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES || '30', 10);
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+/**
+ * 申请密码重置服务
+ * 
+ * @description 为指定邮箱生成一次性重置令牌并发送重置邮件
+ * 邮箱不存在时静默返回，调用方无法据此判断邮箱是否已注册
+ * 同一用户之前未使用的重置令牌会全部作废
+ * @param {string} email - 用户邮箱
+ * @returns {Promise<void>}
+ */
+export const requestPasswordReset = async email => {
+  try {
+    // 1. 根据邮箱查找用户
+    const [user] = await db
+      .select({ id: users.id, name: users.name, email: users.email })
+      .from(users)
+      .where(and(eq(users.email, email), notDeleted))
+      .limit(1);
+
+    if (!user) {
+      logger.info(`密码重置申请 - 邮箱未注册: ${email}`);
+      return;
+    }
+
+    // 2. 作废该用户之前未使用的重置令牌
+    await db
+      .update(passwordResetTokens)
+      .set({ used_at: new Date() })
+      .where(and(eq(passwordResetTokens.user_id, user.id), isNull(passwordResetTokens.used_at)));
+
+    // 3. 生成新令牌，只保存哈希值
+    const token = generateToken();
+
+    await db.insert(passwordResetTokens).values({
+      user_id: user.id,
+      token_hash: hashToken(token),
+      expires_at: new Date(Date.now() + PASSWORD_RESET_EXPIRES_MINUTES * 60 * 1000),
+    });
+
+    // 4. 发送重置邮件
+    // 不等待发送完成，避免响应时间差异暴露邮箱是否存在
+    const resetUrl = `${APP_URL}/reset-password?token=${encodeURIComponent(token)}`;
+
+    sendMail({
+      to: user.email,
+      subject: '重置您的密码',
+      text: `${user.name}，您好：\n\n请点击以下链接重置密码，链接 ${PASSWORD_RESET_EXPIRES_MINUTES} 分钟内有效且只能使用一次：\n${resetUrl}\n\n如果这不是您本人的操作，请忽略此邮件。`,
+    }).catch(error => logger.error(`密码重置邮件发送失败 - 用户 ${user.id}: ${error}`));
+
+    logger.info(`已为用户 ${user.id} 生成密码重置令牌`);
+  } catch (error) {
+    logger.error(`申请密码重置失败: ${error}`);
+    throw error;
+  }
+};
+
+/**
+ * 重置密码服务
+ * 
+ * @description 校验重置令牌并设置新密码
+ * 令牌在使用时被原子地标记为已使用，保证只能成功使用一次
+ * 密码更新后该用户所有已签发的令牌和会话都会失效
+ * @param {string} token - 重置令牌
+ * @param {string} newPassword - 新密码
+ * @returns {Promise<void>}
+ * @throws {Error} 令牌无效、已使用或已过期时抛出错误
+ */
+export const resetPassword = async (token, newPassword) => {
+  try {
+    // 1. 原子地标记令牌为已使用，只有未使用且未过期的令牌才会被命中
+    const [resetToken] = await db
+      .update(passwordResetTokens)
+      .set({ used_at: new Date() })
+      .where(
+        and(
+          eq(passwordResetTokens.token_hash, hashToken(token)),
+          isNull(passwordResetTokens.used_at),
+          gt(passwordResetTokens.expires_at, new Date())
+        )
+      )
+      .returning({ user_id: passwordResetTokens.user_id });
+
+    if (!resetToken) {
+      throw new Error('Invalid or expired reset token');
+    }
+
+    // 2. 更新密码并吊销已有令牌
+    await updateUserPassword(resetToken.user_id, newPassword);
+
+    logger.info(`用户 ${resetToken.user_id} 通过重置令牌修改了密码`);
+  } catch (error) {
+    logger.error(`重置密码失败: ${error}`);
+    throw error;
+  }
+};
@@ -0,0 +1,230 @@
+import logger from '../config/logger.js';
+
+/**
+ * 令牌吊销存储
+ *
+ * @description JWT 本身是无状态的，签名有效就会被接受。
+ * 这里维护三类吊销记录，由认证中间件在验证签名后查询：
+ * - 按 jti 吊销单个令牌 (如登出)
+ * - 按会话 (访问令牌的 sid) 吊销该会话签发的所有令牌 (如在其他设备上吊销会话)
+ * - 按用户记录“在此时间之前签发的令牌全部无效” (如角色变更、修改密码、删除用户)
+ *
+ * 存储是可替换的：默认使用进程内存，多实例部署时应通过 setRevocationStore
+ * 切换为 Redis 等共享存储。所有存储方法都是异步的，接口如下：
+ *
+ * - revokeJti(jti, expiresAt)              吊销单个令牌，expiresAt 之后记录可被清理
+ * - isJtiRevoked(jti)                      单个令牌是否已吊销
+ * - revokeSid(sid, expiresAt)              吊销会话，expiresAt 之后记录可被清理
+ * - isSidRevoked(sid)                      会话是否已吊销
+ * - setUserRevokedBefore(userId, seconds)  设置用户令牌的最早有效签发时间 (Unix秒，可以带小数)
+ * - getUserRevokedBefore(userId)           读取上述时间，不存在时返回 null
+ */
+
+/**
+ * 创建内存吊销存储
+ *
+ * @description 适用于单实例部署、本地开发和测试；进程重启后吊销记录丢失
+ * @returns {Object} 吊销存储
+ */
+export const createMemoryRevocationStore = () => {
+  // jti -> 过期时间 (毫秒)
+  const revokedJtis = new Map();
+  // sid -> 过期时间 (毫秒)
+  const revokedSids = new Map();
+  // userId -> 最早有效签发时间 (Unix秒，带小数)
+  const userRevokedBefore = new Map();
+
+  return {
+    revokeJti: async (jti, expiresAt) => {
+      revokedJtis.set(jti, expiresAt.getTime());
+    },
+
+    isJtiRevoked: async jti => {
+      const expiresAt = revokedJtis.get(jti);
+
+      if (expiresAt === undefined) {
+        return false;
+      }
+
+      // 令牌本身已过期，吊销记录不再需要
+      if (expiresAt <= Date.now()) {
+        revokedJtis.delete(jti);
+        return false;
+      }
+
+      return true;
+    },
+
+    revokeSid: async (sid, expiresAt) => {
+      revokedSids.set(sid, expiresAt.getTime());
+    },
+
+    isSidRevoked: async sid => {
+      const expiresAt = revokedSids.get(sid);
+
+      if (expiresAt === undefined) {
+        return false;
+      }
+
+      if (expiresAt <= Date.now()) {
+        revokedSids.delete(sid);
+        return false;
+      }
+
+      return true;
+    },
+
+    setUserRevokedBefore: async (userId, seconds) => {
+      userRevokedBefore.set(String(userId), seconds);
+    },
+
+    getUserRevokedBefore: async userId => {
+      return userRevokedBefore.get(String(userId)) ?? null;
+    },
+  };
+};
+
+/**
+ * 创建Redis吊销存储
+ *
+ * @description 适配 node-redis v4 风格的客户端 (get / set(key, value, { PX }))
+ * 单个令牌的吊销记录会在令牌过期时由Redis自动清理
+ * @param {Object} client - 已连接的Redis客户端
+ * @param {Object} [options] - 配置选项
+ * @param {string} [options.prefix='auth:revoked'] - 键名前缀
+ * @returns {Object} 吊销存储
+ */
+export const createRedisRevocationStore = (client, { prefix = 'auth:revoked' } = {}) => ({
+  revokeJti: async (jti, expiresAt) => {
+    const ttl = expiresAt.getTime() - Date.now();
+
+    if (ttl > 0) {
+      await client.set(`${prefix}:jti:${jti}`, '1', { PX: ttl });
+    }
+  },
+
+  isJtiRevoked: async jti => {
+    return (await client.get(`${prefix}:jti:${jti}`)) !== null;
+  },
+
+  revokeSid: async (sid, expiresAt) => {
+    const ttl = expiresAt.getTime() - Date.now();
+
+    if (ttl > 0) {
+      await client.set(`${prefix}:sid:${sid}`, '1', { PX: ttl });
+    }
+  },
+
+  isSidRevoked: async sid => {
+    return (await client.get(`${prefix}:sid:${sid}`)) !== null;
+  },
+
+  setUserRevokedBefore: async (userId, seconds) => {
+    await client.set(`${prefix}:user:${userId}`, String(seconds));
+  },
+
+  getUserRevokedBefore: async userId => {
+    const value = await client.get(`${prefix}:user:${userId}`);
+    return value === null ? null : Number(value);
+  },
+});
+
+/**
+ * 当前使用的吊销存储
+ */
+let store = createMemoryRevocationStore();
+
+/**
+ * 替换吊销存储
+ *
+ * @description 在应用启动时调用，例如：
+ * setRevocationStore(createRedisRevocationStore(redisClient));
+ * @param {Object} newStore - 实现上述接口的吊销存储
+ */
+export const setRevocationStore = newStore => {
+  store = newStore;
+};
+
+/**
+ * 获取当前吊销存储
+ *
+ * @returns {Object} 吊销存储
+ */
+export const getRevocationStore = () => store;
+
+/**
+ * 吊销单个令牌
+ *
+ * @description 根据已解码的令牌载荷吊销该令牌，直到其自然过期
+ * @param {Object} decoded - jwttoken.verify 返回的载荷 (需要包含 jti 和 exp)
+ * @returns {Promise<void>}
+ */
+export const revokeToken = async decoded => {
+  if (!decoded?.jti || !decoded.exp) {
+    return;
+  }
+
+  await store.revokeJti(decoded.jti, new Date(decoded.exp * 1000));
+  logger.info(`令牌已吊销 - jti: ${decoded.jti}, 用户: ${decoded.id}`);
+};
+
+/**
+ * 吊销会话的所有令牌
+ *
+ * @description 带有该 sid 的访问令牌立即失效；记录保留到 expiresAt，
+ * 调用方传入该会话最后一个访问令牌可能的过期时间
+ * @param {string} sessionId - 会话ID
+ * @param {Date} expiresAt - 吊销记录的保留时间
+ * @returns {Promise<void>}
+ */
+export const revokeSessionTokens = async (sessionId, expiresAt) => {
+  await store.revokeSid(sessionId, expiresAt);
+  logger.info(`会话 ${sessionId} 的令牌已吊销`);
+};
+
+/**
+ * 检查令牌所属的会话是否已被吊销
+ *
+ * @param {Object} decoded - jwttoken.verify 返回的载荷
+ * @returns {Promise<boolean>} 令牌带有 sid 且该会话已被吊销时返回 true
+ */
+export const isSessionRevoked = async decoded => !!decoded.sid && store.isSidRevoked(decoded.sid);
+
+/**
+ * 吊销用户的所有令牌
+ *
+ * @description 此刻之前签发给该用户的所有访问令牌立即失效
+ * 用于角色变更、修改密码、删除用户等场景
+ * @param {number} userId - 用户ID
+ * @returns {Promise<void>}
+ */
+export const revokeUserTokens = async userId => {
+  // 保留毫秒，与令牌的 iat_ms 比较：同一秒内吊销之前签发的令牌失效，之后重新签发的令牌仍然有效
+  await store.setUserRevokedBefore(userId, Date.now() / 1000);
+  logger.info(`用户 ${userId} 之前签发的所有令牌已吊销`);
+};
+
+/**
+ * 令牌的签发时间 (Unix秒，带小数)
+ *
+ * @description 优先使用毫秒精度的 iat_ms；之前签发的令牌只有 iat，
+ * 与吊销时间在同一秒内时按吊销之前签发处理
+ * @param {Object} decoded - jwttoken.verify 返回的载荷
+ * @returns {number} 签发时间
+ */
+const issuedAtSeconds = decoded => (decoded.iat_ms ? decoded.iat_ms / 1000 : decoded.iat);
+
+/**
+ * 检查令牌是否已被吊销
+ *
+ * @param {Object} decoded - jwttoken.verify 返回的载荷
+ * @returns {Promise<boolean>} 是否已吊销
+ */
+export const isTokenRevoked = async decoded => {
+  if (decoded.jti && (await store.isJtiRevoked(decoded.jti))) {
+    return true;
+  }
+
+  const revokedBefore = await store.getUserRevokedBefore(decoded.id);
+  return revokedBefore !== null && issuedAtSeconds(decoded) < revokedBefore;
+};
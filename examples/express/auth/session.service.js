@@ -0,0 +1,138 @@
+import { and, desc, eq, gt, isNull, ne } from 'drizzle-orm';
+import logger from '../config/logger.js';
+import { db } from '../config/database.js';
+import { sessions } from '../models/session.model.js';
+import { revokeTokenFamily, REFRESH_TOKEN_MAX_AGE, REMEMBER_ME_MAX_AGE } from './token.service.js';
+import { revokeSessionTokens } from './revocation.store.js';
+
+/**
+ * 会话最长有效期 (记住登录与否取较长者)
+ */
+const SESSION_MAX_AGE = Math.max(REFRESH_TOKEN_MAX_AGE, REMEMBER_ME_MAX_AGE);
+
+/**
+ * 会话对外展示的字段
+ */
+const sessionColumns = {
+  id: sessions.id,
+  user_agent: sessions.user_agent,
+  ip: sessions.ip,
+  created_at: sessions.created_at,
+  last_seen_at: sessions.last_seen_at,
+};
+
+/**
+ * 有效会话的查询条件
+ *
+ * @description 未吊销，且最近一次刷新在刷新令牌有效期内 (更早的会话已无法续期)
+ * @param {number} userId - 用户ID
+ * @returns {Object} Drizzle 查询条件
+ */
+const activeSessionsOf = userId =>
+  and(
+    eq(sessions.user_id, userId),
+    isNull(sessions.revoked_at),
+    gt(sessions.last_seen_at, new Date(Date.now() - SESSION_MAX_AGE))
+  );
+
+/**
+ * 吊销会话
+ *
+ * @description 吊销刷新令牌家族 (会话记录同时标记为已吊销)，
+ * 并让该会话已签发的访问令牌立即失效
+ * @param {string} sessionId - 会话ID
+ * @returns {Promise<void>}
+ */
+const revokeSessionById = async sessionId => {
+  await revokeTokenFamily(sessionId);
+  // 访问令牌的有效期不会超过刷新令牌，记录保留到那时即可
+  await revokeSessionTokens(sessionId, new Date(Date.now() + SESSION_MAX_AGE));
+};
+
+/**
+ * 获取用户的登录会话服务
+ *
+ * @description 列出所有有效会话，最近活跃的在前，当前请求所在的会话标记 current: true
+ * @param {number} userId - 用户ID
+ * @param {string} [currentSessionId] - 当前访问令牌的 sid
+ * @returns {Promise<Array>} 会话列表
+ */
+export const listSessions = async (userId, currentSessionId) => {
+  try {
+    const result = await db
+      .select(sessionColumns)
+      .from(sessions)
+      .where(activeSessionsOf(userId))
+      .orderBy(desc(sessions.last_seen_at));
+
+    return result.map(session => ({ ...session, current: session.id === currentSessionId }));
+  } catch (error) {
+    logger.error(`获取登录会话失败: ${error}`);
+    throw error;
+  }
+};
+
+/**
+ * 吊销单个会话服务
+ *
+ * @description 只能吊销属于自己的有效会话
+ * @param {number} userId - 用户ID
+ * @param {string} sessionId - 会话ID
+ * @returns {Promise<Object>} 被吊销的会话
+ * @throws {Error} 会话不存在、不属于该用户或已吊销时抛出错误
+ */
+export const revokeSession = async (userId, sessionId) => {
+  try {
+    const [session] = await db
+      .select(sessionColumns)
+      .from(sessions)
+      .where(and(eq(sessions.id, sessionId), activeSessionsOf(userId)))
+      .limit(1);
+
+    if (!session) {
+      throw new Error('Session not found');
+    }
+
+    await revokeSessionById(session.id);
+
+    logger.info(`用户 ${userId} 吊销了会话 ${session.id}`);
+
+    return session;
+  } catch (error) {
+    logger.error(`吊销会话失败: ${error}`);
+    throw error;
+  }
+};
+
+/**
+ * 退出其他所有设备服务
+ *
+ * @description 吊销除当前会话以外的所有有效会话
+ * 当前令牌没有 sid (会话功能上线前签发) 时吊销全部会话
+ * @param {number} userId - 用户ID
+ * @param {string} [currentSessionId] - 当前访问令牌的 sid
+ * @returns {Promise<number>} 被吊销的会话数量
+ */
+export const revokeOtherSessions = async (userId, currentSessionId) => {
+  try {
+    const others = await db
+      .select({ id: sessions.id })
+      .from(sessions)
+      .where(
+        currentSessionId
+          ? and(activeSessionsOf(userId), ne(sessions.id, currentSessionId))
+          : activeSessionsOf(userId)
+      );
+
+    for (const session of others) {
+      await revokeSessionById(session.id);
+    }
+
+    logger.info(`用户 ${userId} 退出了其他所有设备 - 共 ${others.length} 个会话`);
+
+    return others.length;
+  } catch (error) {
+    logger.error(`退出其他设备失败: ${error}`);
+    throw error;
+  }
+};
@@ -0,0 +1,169 @@
+import logger from '../config/logger.js';
+import { isApiKey } from './api-key.service.js';
+import { cookies } from '../utils/cookies.js';
+
+/**
+ * 请求凭据提取
+ *
+ * @description 按配置的顺序从请求中查找访问凭据，第一个找到凭据的来源生效，后面的来源不再检查。
+ *
+ * 支持的来源：
+ * - cookie  Cookie中的 token (浏览器)
+ * - header  Authorization: Bearer <令牌> 或 X-API-Key: <API密钥> (移动端、机器客户端)
+ * - query   查询参数中的访问令牌，只对 WebSocket 升级请求生效，且不接受API密钥
+ *           (浏览器的 WebSocket API 无法设置请求头；查询参数会出现在访问日志中，默认关闭)
+ *
+ * 提取结果为 { token, type, source }，type 为 'jwt' 或 'api_key'。
+ *
+ * isTokenMode 根据同样的来源信息判断签发令牌时是写入Cookie还是在响应体中返回。
+ */
+
+/**
+ * 凭据来源枚举
+ */
+export const TOKEN_SOURCES = {
+  COOKIE: 'cookie',
+  HEADER: 'header',
+  QUERY: 'query',
+};
+
+/**
+ * 凭据类型枚举
+ */
+export const TOKEN_TYPES = {
+  JWT: 'jwt',
+  API_KEY: 'api_key',
+};
+
+/**
+ * 各来源的提取函数
+ */
+const sourceExtractors = {
+  [TOKEN_SOURCES.COOKIE]: (req, { cookieName }) => {
+    const token = cookies.get(req, cookieName, { preset: 'accessToken' });
+    return token ? { token, type: TOKEN_TYPES.JWT } : null;
+  },
+
+  [TOKEN_SOURCES.HEADER]: req => {
+    const headerKey = req.get('X-API-Key');
+
+    if (headerKey) {
+      return { token: headerKey.trim(), type: TOKEN_TYPES.API_KEY };
+    }
+
+    const authorization = req.get('Authorization');
+
+    if (!authorization?.startsWith('Bearer ')) {
+      return null;
+    }
+
+    // Bearer 既可以携带JWT访问令牌，也可以携带API密钥，按前缀区分
+    const token = authorization.slice('Bearer '.length).trim();
+
+    if (!token) {
+      return null;
+    }
+
+    return { token, type: isApiKey(token) ? TOKEN_TYPES.API_KEY : TOKEN_TYPES.JWT };
+  },
+
+  [TOKEN_SOURCES.QUERY]: (req, { queryParam }) => {
+    if (req.get('Upgrade')?.toLowerCase() !== 'websocket') {
+      return null;
+    }
+
+    const token = req.query?.[queryParam];
+
+    if (typeof token !== 'string' || !token || isApiKey(token)) {
+      return null;
+    }
+
+    return { token, type: TOKEN_TYPES.JWT };
+  },
+};
+
+/**
+ * 创建凭据提取器
+ *
+ * @param {Object} [options] - 配置选项
+ * @param {string[]} [options.sources=['cookie', 'header']] - 按优先级排列的凭据来源
+ * @param {string} [options.cookieName='token'] - 访问令牌Cookie名称
+ * @param {string} [options.queryParam='access_token'] - 查询参数名称
+ * @returns {Function} (req) => { token, type, source } | null
+ * @throws {Error} 包含未知来源时抛出错误
+ */
+export const createTokenExtractor = ({
+  sources = [TOKEN_SOURCES.COOKIE, TOKEN_SOURCES.HEADER],
+  cookieName = 'token',
+  queryParam = 'access_token',
+} = {}) => {
+  const unknown = sources.filter(source => !sourceExtractors[source]);
+
+  if (unknown.length > 0) {
+    throw new Error(`Unknown token source: ${unknown.join(', ')}`);
+  }
+
+  return req => {
+    for (const source of sources) {
+      const credential = sourceExtractors[source](req, { cookieName, queryParam });
+
+      if (credential) {
+        return { ...credential, source };
+      }
+    }
+
+    return null;
+  };
+};
+
+/**
+ * 当前使用的凭据提取器
+ *
+ * @description 默认从环境变量读取来源顺序，例如 AUTH_TOKEN_SOURCES=cookie,header,query
+ */
+let extractor = createTokenExtractor({
+  sources: (process.env.AUTH_TOKEN_SOURCES || 'cookie,header')
+    .split(',')
+    .map(source => source.trim())
+    .filter(Boolean),
+  queryParam: process.env.AUTH_TOKEN_QUERY_PARAM || 'access_token',
+});
+
+/**
+ * 替换凭据提取器
+ *
+ * @description 在应用启动时调用，例如只允许请求头：
+ * setTokenExtractor(createTokenExtractor({ sources: ['header'] }));
+ * @param {Function} newExtractor - createTokenExtractor 返回的提取器
+ */
+export const setTokenExtractor = newExtractor => {
+  extractor = newExtractor;
+  logger.info('已替换请求凭据提取器');
+};
+
+/**
+ * 从请求中提取访问凭据
+ *
+ * @param {Object} req - Express请求对象
+ * @returns {{token: string, type: string, source: string}|null} 凭据，未携带时返回 null
+ */
+export const extractToken = req => extractor(req);
+
+/**
+ * 令牌模式请求头
+ *
+ * @description 移动端等无法使用Cookie的客户端携带 X-Auth-Mode: token，
+ * 令牌将在响应体中返回而不是写入Cookie
+ */
+const AUTH_MODE_HEADER = 'X-Auth-Mode';
+
+/**
+ * 判断客户端是否使用令牌模式
+ *
+ * @description 显式携带 X-Auth-Mode: token，或本次请求本身就是用 Bearer 令牌认证的
+ * @param {Object} req - Express请求对象
+ * @returns {boolean} 是否在响应体中返回令牌
+ */
+export const isTokenMode = req =>
+  req.get(AUTH_MODE_HEADER)?.toLowerCase() === 'token' ||
+  (req.auth !== undefined && req.auth.source !== TOKEN_SOURCES.COOKIE);
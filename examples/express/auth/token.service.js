@@ -0,0 +1,282 @@
+import crypto from 'crypto';
+import { and, eq, isNull } from 'drizzle-orm';
+import logger from '../config/logger.js';
+import { db } from '../config/database.js';
+import { refreshTokens } from '../models/refresh-token.model.js';
+import { sessions } from '../models/session.model.js';
+import { generateToken, hashToken } from '../utils/tokens.js';
+
+/**
+ * 刷新令牌配置
+ */
+const REFRESH_TOKEN_EXPIRES_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS || '7', 10);
+
+/**
+ * 记住登录的刷新令牌有效天数
+ *
+ * @description 供控制器通过 cookies.setLongTerm 设置刷新令牌Cookie，保证Cookie与服务端记录同时过期
+ */
+export const REMEMBER_ME_EXPIRES_DAYS = parseInt(process.env.REMEMBER_ME_EXPIRES_DAYS || '30', 10);
+
+/**
+ * 刷新令牌有效期（毫秒）
+ *
+ * @description 未选择记住登录时刷新令牌Cookie为会话Cookie，服务端记录在此之后过期
+ */
+export const REFRESH_TOKEN_MAX_AGE = REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000;
+
+/**
+ * 记住登录的刷新令牌有效期（毫秒）
+ */
+export const REMEMBER_ME_MAX_AGE = REMEMBER_ME_EXPIRES_DAYS * 24 * 60 * 60 * 1000;
+
+/**
+ * 签发刷新令牌服务
+ *
+ * @description 生成随机刷新令牌并保存其哈希值
+ * 不传 familyId 时开启新的令牌家族（即一次新的登录），同时创建以家族ID为ID的会话记录
+ * @param {number} userId - 用户ID
+ * @param {Object} [options] - 签发选项
+ * @param {string} [options.familyId] - 令牌家族ID，轮换时沿用旧令牌的家族
+ * @param {boolean} [options.mfaAuthenticated=false] - 本次登录是否完成了双因素认证
+ * @param {boolean} [options.rememberMe=false] - 是否记住登录，决定有效期和Cookie类型
+ * @param {string} [options.userAgent] - 新会话的 User-Agent
+ * @param {string} [options.ip] - 新会话的来源IP
+ * @returns {Promise<{token: string, id: number, familyId: string, expiresAt: Date, mfaAuthenticated: boolean, rememberMe: boolean}>} 原始令牌及记录信息
+ */
+export const issueRefreshToken = async (
+  userId,
+  { familyId, mfaAuthenticated = false, rememberMe = false, userAgent, ip } = {}
+) => {
+  try {
+    // 新的令牌家族 - 记录一个新会话
+    if (!familyId) {
+      familyId = crypto.randomUUID();
+
+      await db.insert(sessions).values({
+        id: familyId,
+        user_id: userId,
+        user_agent: userAgent?.slice(0, 512) ?? null,
+        ip: ip ?? null,
+      });
+    }
+
+    const token = generateToken();
+    const expiresAt = new Date(Date.now() + (rememberMe ? REMEMBER_ME_MAX_AGE : REFRESH_TOKEN_MAX_AGE));
+
+    const [record] = await db
+      .insert(refreshTokens)
+      .values({
+        user_id: userId,
+        family_id: familyId,
+        token_hash: hashToken(token),
+        expires_at: expiresAt,
+        mfa_authenticated: mfaAuthenticated,
+        remember_me: rememberMe,
+      })
+      .returning({ id: refreshTokens.id });
+
+    logger.info(`为用户 ${userId} 签发刷新令牌 (家族: ${familyId})`);
+
+    return { token, id: record.id, familyId, expiresAt, mfaAuthenticated, rememberMe };
+  } catch (error) {
+    logger.error(`签发刷新令牌失败: ${error}`);
+    throw error;
+  }
+};
+
+/**
+ * 吊销令牌家族服务
+ *
+ * @description 吊销同一家族中所有尚未吊销的刷新令牌，对应的会话同时标记为已吊销
+ * @param {string} familyId - 令牌家族ID
+ * @returns {Promise<number>} 被吊销的令牌数量
+ */
+export const revokeTokenFamily = async familyId => {
+  try {
+    const revoked = await db
+      .update(refreshTokens)
+      .set({ revoked_at: new Date() })
+      .where(and(eq(refreshTokens.family_id, familyId), isNull(refreshTokens.revoked_at)))
+      .returning({ id: refreshTokens.id });
+
+    await db
+      .update(sessions)
+      .set({ revoked_at: new Date() })
+      .where(and(eq(sessions.id, familyId), isNull(sessions.revoked_at)));
+
+    logger.warn(`令牌家族 ${familyId} 已吊销 - 共 ${revoked.length} 个令牌`);
+    return revoked.length;
+  } catch (error) {
+    logger.error(`吊销令牌家族失败: ${error}`);
+    throw error;
+  }
+};
+
+/**
+ * 查询令牌家族是否记住登录服务
+ *
+ * @description 用于以新会话替换当前会话 (如启用双因素认证、修改密码) 时沿用原来的选择
+ * @param {string} [familyId] - 令牌家族ID
+ * @returns {Promise<boolean>} 家族不存在时返回 false
+ */
+export const isRememberedFamily = async familyId => {
+  if (!familyId) {
+    return false;
+  }
+
+  try {
+    const [record] = await db
+      .select({ remember_me: refreshTokens.remember_me })
+      .from(refreshTokens)
+      .where(eq(refreshTokens.family_id, familyId))
+      .limit(1);
+
+    return !!record?.remember_me;
+  } catch (error) {
+    logger.error(`查询令牌家族失败: ${error}`);
+    throw error;
+  }
+};
+
+/**
+ * 轮换刷新令牌服务
+ *
+ * @description 校验客户端提交的刷新令牌，吊销它并在同一家族中签发新令牌
+ * 如果提交的令牌已经被吊销（说明它被重放），则吊销整个家族；
+ * 会话已被吊销 (登出、在其他设备上吊销) 时不视为重放
+ * 轮换成功时更新会话的最后活跃时间和IP
+ * @param {string} token - 客户端提交的原始刷新令牌
+ * @param {Object} [context] - 请求信息
+ * @param {string} [context.ip] - 来源IP
+ * @returns {Promise<{userId: number, refreshToken: Object}>} 用户ID和新签发的刷新令牌
+ * @throws {Error} 令牌不存在、已过期、会话已吊销或被重用时抛出错误
+ */
+export const rotateRefreshToken = async (token, { ip } = {}) => {
+  try {
+    // 1. 根据哈希值查找令牌记录
+    const [existing] = await db
+      .select()
+      .from(refreshTokens)
+      .where(eq(refreshTokens.token_hash, hashToken(token)))
+      .limit(1);
+
+    if (!existing) {
+      throw new Error('Invalid refresh token');
+    }
+
+    // 2. 已吊销的令牌再次出现 - 会话已被吊销时直接拒绝，否则视为令牌被盗用，吊销整个家族
+    if (existing.revoked_at) {
+      const [session] = await db
+        .select({ revoked_at: sessions.revoked_at })
+        .from(sessions)
+        .where(eq(sessions.id, existing.family_id))
+        .limit(1);
+
+      if (session?.revoked_at) {
+        throw new Error('Session revoked');
+      }
+
+      logger.warn(`检测到刷新令牌重用 - 用户 ${existing.user_id}, 家族 ${existing.family_id}`);
+      await revokeTokenFamily(existing.family_id);
+      throw new Error('Refresh token reuse detected');
+    }
+
+    // 3. 检查是否过期
+    if (existing.expires_at <= new Date()) {
+      throw new Error('Refresh token expired');
+    }
+
+    // 4. 原子地吊销旧令牌；并发请求中只有一个能成功，另一个按重用处理
+    const [claimed] = await db
+      .update(refreshTokens)
+      .set({ revoked_at: new Date() })
+      .where(and(eq(refreshTokens.id, existing.id), isNull(refreshTokens.revoked_at)))
+      .returning({ id: refreshTokens.id });
+
+    if (!claimed) {
+      logger.warn(`刷新令牌并发重用 - 用户 ${existing.user_id}, 家族 ${existing.family_id}`);
+      await revokeTokenFamily(existing.family_id);
+      throw new Error('Refresh token reuse detected');
+    }
+
+    // 5. 在同一家族中签发新令牌，并记录替换关系
+    const refreshToken = await issueRefreshToken(existing.user_id, {
+      familyId: existing.family_id,
+      mfaAuthenticated: existing.mfa_authenticated,
+      rememberMe: existing.remember_me,
+    });
+
+    await db
+      .update(refreshTokens)
+      .set({ replaced_by: refreshToken.id })
+      .where(eq(refreshTokens.id, existing.id));
+
+    await db
+      .update(sessions)
+      .set({ last_seen_at: new Date(), ...(ip && { ip }) })
+      .where(eq(sessions.id, existing.family_id));
+
+    logger.info(`用户 ${existing.user_id} 的刷新令牌已轮换`);
+
+    return { userId: existing.user_id, refreshToken };
+  } catch (error) {
+    logger.error(`刷新令牌轮换失败: ${error}`);
+    throw error;
+  }
+};
+
+/**
+ * 吊销刷新令牌服务
+ *
+ * @description 用户登出时吊销当前刷新令牌所在的整个家族
+ * 令牌不存在时静默返回，登出操作不应因此失败
+ * @param {string} token - 原始刷新令牌
+ * @returns {Promise<void>}
+ */
+export const revokeRefreshToken = async token => {
+  try {
+    const [existing] = await db
+      .select({ family_id: refreshTokens.family_id })
+      .from(refreshTokens)
+      .where(eq(refreshTokens.token_hash, hashToken(token)))
+      .limit(1);
+
+    if (!existing) {
+      return;
+    }
+
+    await revokeTokenFamily(existing.family_id);
+  } catch (error) {
+    logger.error(`吊销刷新令牌失败: ${error}`);
+    throw error;
+  }
+};
+
+/**
+ * 吊销用户所有刷新令牌服务
+ *
+ * @description 用于“退出所有设备”等需要让用户所有会话失效的场景，用户的所有会话同时标记为已吊销
+ * @param {number} userId - 用户ID
+ * @returns {Promise<number>} 被吊销的令牌数量
+ */
+export const revokeAllUserRefreshTokens = async userId => {
+  try {
+    const revoked = await db
+      .update(refreshTokens)
+      .set({ revoked_at: new Date() })
+      .where(and(eq(refreshTokens.user_id, userId), isNull(refreshTokens.revoked_at)))
+      .returning({ id: refreshTokens.id });
+
+    await db
+      .update(sessions)
+      .set({ revoked_at: new Date() })
+      .where(and(eq(sessions.user_id, userId), isNull(sessions.revoked_at)));
+
+    logger.info(`用户 ${userId} 的所有刷新令牌已吊销 - 共 ${revoked.length} 个`);
+    return revoked.length;
+  } catch (error) {
+    logger.error(`吊销用户刷新令牌失败: ${error}`);
+    throw error;
+  }
+};
@@ -0,0 +1,101 @@
+import { integer, pgTable, serial, text, timestamp, varchar } from 'drizzle-orm/pg-core';
+import { users } from './user.model.js';
+
+/**
+ * API密钥数据模型
+ *
+ * @description 用户为CI任务、服务间调用等机器客户端创建的个人API密钥
+ * 完整密钥形如 ak_1a2b3c4d_<随机部分>，只在创建时返回一次；
+ * 数据库中保存SHA-256哈希值和可公开展示的前缀 (ak_1a2b3c4d)，用于列表中辨认密钥
+ */
+export const apiKeys = pgTable('api_keys', {
+  /**
+   * 记录ID - 主键
+   */
+  id: serial('id').primaryKey(),
+
+  /**
+   * 所属用户ID
+   * 用户删除时级联删除其所有API密钥
+   */
+  user_id: integer('user_id')
+    .notNull()
+    .references(() => users.id, { onDelete: 'cascade' }),
+
+  /**
+   * 密钥名称
+   * 用户自定义的标签，如 "GitHub Actions"
+   */
+  name: varchar('name', { length: 100 }).notNull(),
+
+  /**
+   * 密钥前缀
+   * 完整密钥的开头部分，可以安全地展示给用户
+   */
+  prefix: varchar('prefix', { length: 16 }).notNull(),
+
+  /**
+   * 密钥哈希值 (SHA-256, hex)
+   * 唯一约束，用于根据客户端提交的密钥查找记录
+   */
+  key_hash: varchar('key_hash', { length: 64 }).notNull().unique(),
+
+  /**
+   * 授权范围
+   * 取值见 API_KEY_SCOPES，API密钥只能访问声明了对应范围的接口
+   */
+  scopes: text('scopes').array().notNull(),
+
+  /**
+   * 最后使用时间
+   */
+  last_used_at: timestamp('last_used_at'),
+
+  /**
+   * 过期时间
+   * 为空表示永不过期
+   */
+  expires_at: timestamp('expires_at'),
+
+  /**
+   * 吊销时间
+   * 为空表示密钥仍然有效
+   */
+  revoked_at: timestamp('revoked_at'),
+
+  /**
+   * 创建时间
+   */
+  created_at: timestamp('created_at').defaultNow().notNull(),
+});
+
+/**
+ * API密钥授权范围枚举
+ *
+ * @description 定义API密钥可以申请的授权范围
+ * 通过Cookie会话登录的请求不受授权范围限制
+ */
+export const API_KEY_SCOPES = {
+  USERS_READ: 'users:read',
+  USERS_WRITE: 'users:write',
+};
+
+/*
+数据库迁移 SQL (使用 Drizzle Kit 生成):
+
+CREATE TABLE "api_keys" (
+  "id" serial PRIMARY KEY,
+  "user_id" integer NOT NULL REFERENCES "users"("id") ON DELETE CASCADE,
+  "name" varchar(100) NOT NULL,
+  "prefix" varchar(16) NOT NULL,
+  "key_hash" varchar(64) NOT NULL UNIQUE,
+  "scopes" text[] NOT NULL,
+  "last_used_at" timestamp,
+  "expires_at" timestamp,
+  "revoked_at" timestamp,
+  "created_at" timestamp DEFAULT now() NOT NULL
+);
+
+CREATE INDEX ON "api_keys" ("user_id");
+
+*/
@@ -0,0 +1,163 @@
+import { integer, jsonb, pgTable, serial, timestamp, varchar } from 'drizzle-orm/pg-core';
+
+/**
+ * 审计事件数据模型
+ *
+ * @description 安全相关操作的持久化记录 (登录、角色变更、删除用户、模拟登录等)
+ * 只允许追加：应用只执行 INSERT 和 SELECT，迁移中的触发器拒绝 UPDATE 和 DELETE
+ *
+ * 操作者和目标不使用外键，用户被删除后审计记录仍然保留；
+ * 操作者邮箱在写入时冗余保存，方便在用户删除后追溯
+ */
+export const auditEvents = pgTable('audit_events', {
+  /**
+   * 事件ID - 主键
+   */
+  id: serial('id').primaryKey(),
+
+  /**
+   * 事件类型
+   * 取值见 AUDIT_ACTIONS，如 'user.deleted'
+   */
+  action: varchar('action', { length: 100 }).notNull(),
+
+  /**
+   * 操作者用户ID
+   * 为空表示匿名操作者 (如未登录时的登录失败)
+   */
+  actor_id: integer('actor_id'),
+
+  /**
+   * 操作者邮箱
+   */
+  actor_email: varchar('actor_email', { length: 255 }),
+
+  /**
+   * 模拟登录的真正操作者ID
+   * 在模拟登录期间发生的事件记录发起模拟的管理员
+   */
+  impersonator_id: integer('impersonator_id'),
+
+  /**
+   * 目标类型
+   * 如 'user'、'role'、'api_key'
+   */
+  target_type: varchar('target_type', { length: 50 }),
+
+  /**
+   * 目标ID
+   * 使用字符串保存，兼容数字ID和角色名等非数字标识
+   */
+  target_id: varchar('target_id', { length: 100 }),
+
+  /**
+   * 变更前的值
+   * 只包含发生变化的字段
+   */
+  before: jsonb('before'),
+
+  /**
+   * 变更后的值
+   * 只包含发生变化的字段
+   */
+  after: jsonb('after'),
+
+  /**
+   * 附加信息
+   * 如操作原因、失败原因
+   */
+  metadata: jsonb('metadata'),
+
+  /**
+   * 请求来源IP
+   */
+  ip: varchar('ip', { length: 45 }),
+
+  /**
+   * 请求的 User-Agent
+   */
+  user_agent: varchar('user_agent', { length: 512 }),
+
+  /**
+   * 请求ID
+   * 来自 X-Request-Id 请求头，用于关联访问日志
+   */
+  request_id: varchar('request_id', { length: 100 }),
+
+  /**
+   * 事件时间
+   */
+  created_at: timestamp('created_at').defaultNow().notNull(),
+});
+
+/**
+ * 审计事件类型枚举
+ *
+ * @description 命名格式为 资源.动作
+ */
+export const AUDIT_ACTIONS = {
+  AUTH_SIGNIN_SUCCEEDED: 'auth.signin_succeeded',
+  AUTH_SIGNIN_FAILED: 'auth.signin_failed',
+  AUTH_PASSWORD_CHANGED: 'auth.password_changed',
+  AUTH_MFA_ENABLED: 'auth.mfa_enabled',
+  AUTH_MFA_DISABLED: 'auth.mfa_disabled',
+  AUTH_IDENTITY_LINKED: 'auth.identity_linked',
+  AUTH_IDENTITY_UNLINKED: 'auth.identity_unlinked',
+  AUTH_SESSION_REVOKED: 'auth.session_revoked',
+  AUTH_OTHER_SESSIONS_REVOKED: 'auth.other_sessions_revoked',
+  API_KEY_CREATED: 'api_key.created',
+  API_KEY_UPDATED: 'api_key.updated',
+  API_KEY_REVOKED: 'api_key.revoked',
+  USER_UPDATED: 'user.updated',
+  USER_ROLE_CHANGED: 'user.role_changed',
+  USER_DELETED: 'user.deleted',
+  USER_RESTORED: 'user.restored',
+  USER_PURGED: 'user.purged',
+  USER_SUSPENDED: 'user.suspended',
+  USER_REACTIVATED: 'user.reactivated',
+  USER_UNLOCKED: 'user.unlocked',
+  IMPERSONATION_STARTED: 'impersonation.started',
+  IMPERSONATION_STOPPED: 'impersonation.stopped',
+  ROLE_CREATED: 'role.created',
+  ROLE_UPDATED: 'role.updated',
+  ROLE_DELETED: 'role.deleted',
+};
+
+/*
+数据库迁移 SQL (使用 Drizzle Kit 生成):
+
+CREATE TABLE "audit_events" (
+  "id" serial PRIMARY KEY,
+  "action" varchar(100) NOT NULL,
+  "actor_id" integer,
+  "actor_email" varchar(255),
+  "impersonator_id" integer,
+  "target_type" varchar(50),
+  "target_id" varchar(100),
+  "before" jsonb,
+  "after" jsonb,
+  "metadata" jsonb,
+  "ip" varchar(45),
+  "user_agent" varchar(512),
+  "request_id" varchar(100),
+  "created_at" timestamp DEFAULT now() NOT NULL
+);
+
+CREATE INDEX ON "audit_events" ("created_at");
+CREATE INDEX ON "audit_events" ("action", "created_at");
+CREATE INDEX ON "audit_events" ("actor_id", "created_at");
+CREATE INDEX ON "audit_events" ("target_type", "target_id", "created_at");
+
+只允许追加 (手动添加到迁移文件):
+
+CREATE FUNCTION audit_events_append_only() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'audit_events is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER audit_events_no_update_delete
+  BEFORE UPDATE OR DELETE ON "audit_events"
+  FOR EACH ROW EXECUTE FUNCTION audit_events_append_only();
+
+*/
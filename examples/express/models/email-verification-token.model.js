@@ -0,0 +1,61 @@
+import { integer, pgTable, serial, timestamp, varchar } from 'drizzle-orm/pg-core';
+import { users } from './user.model.js';
+
+/**
+ * 邮箱验证令牌数据模型
+ *
+ * @description 记录注册后发送的邮箱验证令牌
+ * 令牌一次性使用、有过期时间，数据库中只保存SHA-256哈希值
+ */
+export const emailVerificationTokens = pgTable('email_verification_tokens', {
+  /**
+   * 记录ID - 主键
+   */
+  id: serial('id').primaryKey(),
+
+  /**
+   * 所属用户ID
+   * 用户删除时级联删除
+   */
+  user_id: integer('user_id')
+    .notNull()
+    .references(() => users.id, { onDelete: 'cascade' }),
+
+  /**
+   * 令牌哈希值 (SHA-256, hex)
+   */
+  token_hash: varchar('token_hash', { length: 64 }).notNull().unique(),
+
+  /**
+   * 过期时间
+   */
+  expires_at: timestamp('expires_at').notNull(),
+
+  /**
+   * 使用时间
+   * 为空表示尚未使用；验证成功或被新令牌取代时设置
+   */
+  used_at: timestamp('used_at'),
+
+  /**
+   * 创建时间
+   * 同时用于限制重新发送验证邮件的频率
+   */
+  created_at: timestamp('created_at').defaultNow().notNull(),
+});
+
+/*
+数据库迁移 SQL (使用 Drizzle Kit 生成):
+
+CREATE TABLE "email_verification_tokens" (
+  "id" serial PRIMARY KEY,
+  "user_id" integer NOT NULL REFERENCES "users"("id") ON DELETE CASCADE,
+  "token_hash" varchar(64) NOT NULL UNIQUE,
+  "expires_at" timestamp NOT NULL,
+  "used_at" timestamp,
+  "created_at" timestamp DEFAULT now() NOT NULL
+);
+
+CREATE INDEX ON "email_verification_tokens" ("user_id");
+
+*/
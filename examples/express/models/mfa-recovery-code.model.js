@@ -0,0 +1,54 @@
+import { integer, pgTable, serial, timestamp, varchar } from 'drizzle-orm/pg-core';
+import { users } from './user.model.js';
+
+/**
+ * 双因素认证恢复码数据模型
+ *
+ * @description 用户无法使用验证器应用时的一次性备用验证码
+ * 只保存SHA-256哈希值，原始恢复码仅在生成时展示一次
+ */
+export const mfaRecoveryCodes = pgTable('mfa_recovery_codes', {
+  /**
+   * 记录ID - 主键
+   */
+  id: serial('id').primaryKey(),
+
+  /**
+   * 所属用户ID
+   * 用户删除时级联删除
+   */
+  user_id: integer('user_id')
+    .notNull()
+    .references(() => users.id, { onDelete: 'cascade' }),
+
+  /**
+   * 恢复码哈希值 (SHA-256, hex)
+   */
+  code_hash: varchar('code_hash', { length: 64 }).notNull(),
+
+  /**
+   * 使用时间
+   * 为空表示尚未使用
+   */
+  used_at: timestamp('used_at'),
+
+  /**
+   * 创建时间
+   */
+  created_at: timestamp('created_at').defaultNow().notNull(),
+});
+
+/*
+数据库迁移 SQL (使用 Drizzle Kit 生成):
+
+CREATE TABLE "mfa_recovery_codes" (
+  "id" serial PRIMARY KEY,
+  "user_id" integer NOT NULL REFERENCES "users"("id") ON DELETE CASCADE,
+  "code_hash" varchar(64) NOT NULL,
+  "used_at" timestamp,
+  "created_at" timestamp DEFAULT now() NOT NULL
+);
+
+CREATE INDEX ON "mfa_recovery_codes" ("user_id");
+
+*/
@@ -0,0 +1,60 @@
+import { integer, pgTable, serial, timestamp, varchar } from 'drizzle-orm/pg-core';
+import { users } from './user.model.js';
+
+/**
+ * 密码重置令牌数据模型
+ *
+ * @description 记录“忘记密码”流程中发出的重置令牌
+ * 令牌一次性使用、有过期时间，数据库中只保存SHA-256哈希值
+ */
+export const passwordResetTokens = pgTable('password_reset_tokens', {
+  /**
+   * 记录ID - 主键
+   */
+  id: serial('id').primaryKey(),
+
+  /**
+   * 所属用户ID
+   * 用户删除时级联删除
+   */
+  user_id: integer('user_id')
+    .notNull()
+    .references(() => users.id, { onDelete: 'cascade' }),
+
+  /**
+   * 令牌哈希值 (SHA-256, hex)
+   */
+  token_hash: varchar('token_hash', { length: 64 }).notNull().unique(),
+
+  /**
+   * 过期时间
+   */
+  expires_at: timestamp('expires_at').notNull(),
+
+  /**
+   * 使用时间
+   * 为空表示尚未使用；使用或被新令牌取代时设置
+   */
+  used_at: timestamp('used_at'),
+
+  /**
+   * 创建时间
+   */
+  created_at: timestamp('created_at').defaultNow().notNull(),
+});
+
+/*
+数据库迁移 SQL (使用 Drizzle Kit 生成):
+
+CREATE TABLE "password_reset_tokens" (
+  "id" serial PRIMARY KEY,
+  "user_id" integer NOT NULL REFERENCES "users"("id") ON DELETE CASCADE,
+  "token_hash" varchar(64) NOT NULL UNIQUE,
+  "expires_at" timestamp NOT NULL,
+  "used_at" timestamp,
+  "created_at" timestamp DEFAULT now() NOT NULL
+);
+
+CREATE INDEX ON "password_reset_tokens" ("user_id");
+
+*/
@@ -0,0 +1,97 @@
+import { boolean, integer, pgTable, serial, timestamp, varchar } from 'drizzle-orm/pg-core';
+import { users } from './user.model.js';
+
+/**
+ * 刷新令牌数据模型
+ *
+ * @description 记录服务端签发的刷新令牌，支持令牌轮换和重用检测
+ * 数据库中只保存令牌的SHA-256哈希值，原始令牌仅存在于客户端Cookie中
+ */
+export const refreshTokens = pgTable('refresh_tokens', {
+  /**
+   * 记录ID - 主键
+   */
+  id: serial('id').primaryKey(),
+
+  /**
+   * 所属用户ID
+   * 用户删除时级联删除其所有刷新令牌
+   */
+  user_id: integer('user_id')
+    .notNull()
+    .references(() => users.id, { onDelete: 'cascade' }),
+
+  /**
+   * 令牌家族ID
+   * 同一次登录产生的所有轮换令牌共享同一个家族ID，
+   * 检测到旧令牌被重放时整个家族一起吊销
+   */
+  family_id: varchar('family_id', { length: 64 }).notNull(),
+
+  /**
+   * 令牌哈希值 (SHA-256, hex)
+   * 唯一约束，用于根据客户端提交的令牌查找记录
+   */
+  token_hash: varchar('token_hash', { length: 64 }).notNull().unique(),
+
+  /**
+   * 过期时间
+   */
+  expires_at: timestamp('expires_at').notNull(),
+
+  /**
+   * 吊销时间
+   * 为空表示令牌仍然有效；轮换、登出或重用检测时设置
+   */
+  revoked_at: timestamp('revoked_at'),
+
+  /**
+   * 替换此令牌的新令牌ID
+   * 仅在轮换时设置，用于追踪令牌链
+   */
+  replaced_by: integer('replaced_by'),
+
+  /**
+   * 是否经过双因素认证
+   * 登录时完成了TOTP验证的家族为 true，轮换时沿用，
+   * 刷新得到的访问令牌据此保留 mfa 认证方式
+   */
+  mfa_authenticated: boolean('mfa_authenticated').notNull().default(false),
+
+  /**
+   * 是否记住登录
+   * 登录时勾选"记住我"的家族为 true，轮换时沿用；
+   * 为 true 时有效期为 REMEMBER_ME_EXPIRES_DAYS 且Cookie长期保存，否则Cookie在浏览器关闭时失效
+   */
+  remember_me: boolean('remember_me').notNull().default(false),
+
+  /**
+   * 创建时间
+   */
+  created_at: timestamp('created_at').defaultNow().notNull(),
+});
+
+/*
+数据库迁移 SQL (使用 Drizzle Kit 生成):
+
+CREATE TABLE "refresh_tokens" (
+  "id" serial PRIMARY KEY,
+  "user_id" integer NOT NULL REFERENCES "users"("id") ON DELETE CASCADE,
+  "family_id" varchar(64) NOT NULL,
+  "token_hash" varchar(64) NOT NULL UNIQUE,
+  "expires_at" timestamp NOT NULL,
+  "revoked_at" timestamp,
+  "replaced_by" integer,
+  "mfa_authenticated" boolean DEFAULT false NOT NULL,
+  "remember_me" boolean DEFAULT false NOT NULL,
+  "created_at" timestamp DEFAULT now() NOT NULL
+);
+
+CREATE INDEX ON "refresh_tokens" ("user_id");
+CREATE INDEX ON "refresh_tokens" ("family_id");
+
+已有数据库升级:
+
+ALTER TABLE "refresh_tokens" ADD COLUMN "remember_me" boolean DEFAULT false NOT NULL;
+
+*/
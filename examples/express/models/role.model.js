@@ -0,0 +1,110 @@
+import { boolean, pgTable, text, timestamp, varchar } from 'drizzle-orm/pg-core';
+
+/**
+ * 角色数据模型
+ * 
+ * @description 角色到权限的映射，存储在数据库中，管理员可以通过 /api/roles 编辑
+ * users.role 字段保存角色名，权限在每次请求时按角色名查询 (带短期缓存)
+ */
+export const roles = pgTable('roles', {
+  /**
+   * 角色名 - 主键
+   * 小写字母开头，只包含小写字母、数字、下划线和连字符，如 'support'
+   */
+  name: varchar('name', { length: 40 }).primaryKey(),
+
+  /**
+   * 角色描述
+   */
+  description: varchar('description', { length: 255 }),
+
+  /**
+   * 权限列表
+   * 取值见 PERMISSIONS；'*' 表示拥有全部权限
+   */
+  permissions: text('permissions').array().notNull(),
+
+  /**
+   * 是否为内置角色
+   * 内置角色不能删除
+   */
+  is_system: boolean('is_system').notNull().default(false),
+
+  /**
+   * 创建时间
+   */
+  created_at: timestamp('created_at').defaultNow().notNull(),
+
+  /**
+   * 更新时间
+   */
+  updated_at: timestamp('updated_at').defaultNow().notNull(),
+});
+
+/**
+ * 权限枚举
+ * 
+ * @description 系统中所有可分配的权限，命名格式为 资源:操作
+ * 用户访问和修改自己的信息不需要权限，由资源所有权检查控制
+ */
+export const PERMISSIONS = {
+  USERS_READ: 'users:read',
+  USERS_UPDATE: 'users:update',
+  USERS_UPDATE_ROLE: 'users:update_role',
+  USERS_DELETE: 'users:delete',
+  USERS_SUSPEND: 'users:suspend',
+  USERS_UNLOCK: 'users:unlock',
+  USERS_IMPERSONATE: 'users:impersonate',
+  ROLES_READ: 'roles:read',
+  ROLES_WRITE: 'roles:write',
+  AUDIT_READ: 'audit:read',
+};
+
+/**
+ * 全部权限通配符
+ */
+export const ALL_PERMISSIONS = '*';
+
+/**
+ * 内置角色定义
+ * 
+ * @description 应用启动时通过 seedSystemRoles 写入数据库 (已存在时不覆盖)
+ * admin 角色始终拥有全部权限，不能修改，避免管理员把自己锁在系统之外
+ */
+export const SYSTEM_ROLES = [
+  {
+    name: 'admin',
+    description: '管理员，拥有全部权限',
+    permissions: [ALL_PERMISSIONS],
+    is_system: true,
+  },
+  {
+    name: 'user',
+    description: '普通用户，只能访问自己的信息',
+    permissions: [],
+    is_system: true,
+  },
+];
+
+/*
+数据库迁移 SQL (使用 Drizzle Kit 生成):
+
+CREATE TABLE "roles" (
+  "name" varchar(40) PRIMARY KEY,
+  "description" varchar(255),
+  "permissions" text[] NOT NULL,
+  "is_system" boolean DEFAULT false NOT NULL,
+  "created_at" timestamp DEFAULT now() NOT NULL,
+  "updated_at" timestamp DEFAULT now() NOT NULL
+);
+
+INSERT INTO "roles" ("name", "description", "permissions", "is_system") VALUES
+  ('admin', '管理员，拥有全部权限', '{*}', true),
+  ('user', '普通用户，只能访问自己的信息', '{}', true);
+
+自定义角色示例 (客服，可以查看、解锁和封禁用户):
+
+INSERT INTO "roles" ("name", "description", "permissions") VALUES
+  ('support', '客服', '{users:read,users:unlock,users:suspend}');
+
+*/
@@ -0,0 +1,81 @@
+import { integer, pgTable, timestamp, varchar } from 'drizzle-orm/pg-core';
+import { users } from './user.model.js';
+
+/**
+ * 登录会话数据模型
+ *
+ * @description 每次登录 (密码、双因素、第三方登录) 产生一个会话，会话ID即刷新令牌的家族ID，
+ * 同时写入访问令牌的 sid 声明。用户可以查看自己在哪些设备上登录，并吊销其中的会话
+ */
+export const sessions = pgTable('sessions', {
+  /**
+   * 会话ID - 主键
+   * 与 refresh_tokens.family_id 相同
+   */
+  id: varchar('id', { length: 64 }).primaryKey(),
+
+  /**
+   * 所属用户ID
+   * 用户删除时级联删除其所有会话
+   */
+  user_id: integer('user_id')
+    .notNull()
+    .references(() => users.id, { onDelete: 'cascade' }),
+
+  /**
+   * 登录时的 User-Agent
+   */
+  user_agent: varchar('user_agent', { length: 512 }),
+
+  /**
+   * 最近一次使用的IP
+   * 登录时写入，刷新令牌时更新
+   */
+  ip: varchar('ip', { length: 45 }),
+
+  /**
+   * 登录时间
+   */
+  created_at: timestamp('created_at').defaultNow().notNull(),
+
+  /**
+   * 最后活跃时间
+   * 刷新令牌时更新，精度约为访问令牌的有效期
+   */
+  last_seen_at: timestamp('last_seen_at').defaultNow().notNull(),
+
+  /**
+   * 吊销时间
+   * 为空表示会话仍然有效；登出、吊销会话、修改密码等操作时设置
+   */
+  revoked_at: timestamp('revoked_at'),
+});
+
+/*
+数据库迁移 SQL (使用 Drizzle Kit 生成):
+
+CREATE TABLE "sessions" (
+  "id" varchar(64) PRIMARY KEY,
+  "user_id" integer NOT NULL REFERENCES "users"("id") ON DELETE CASCADE,
+  "user_agent" varchar(512),
+  "ip" varchar(45),
+  "created_at" timestamp DEFAULT now() NOT NULL,
+  "last_seen_at" timestamp DEFAULT now() NOT NULL,
+  "revoked_at" timestamp
+);
+
+CREATE INDEX ON "sessions" ("user_id");
+CREATE INDEX ON "sessions" ("last_seen_at");
+
+已有数据库升级 (为尚未吊销的刷新令牌家族补建会话):
+
+INSERT INTO "sessions" ("id", "user_id", "created_at", "last_seen_at")
+SELECT "family_id", "user_id", min("created_at"), max("created_at")
+FROM "refresh_tokens"
+WHERE "revoked_at" IS NULL
+GROUP BY "family_id", "user_id";
+
+-- 活跃用户统计按最后活跃时间查询
+CREATE INDEX ON "sessions" ("last_seen_at");
+
+*/
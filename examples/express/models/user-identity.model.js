@@ -0,0 +1,79 @@
+import { boolean, integer, pgTable, serial, timestamp, unique, varchar } from 'drizzle-orm/pg-core';
+import { users } from './user.model.js';
+
+/**
+ * 第三方登录身份数据模型
+ *
+ * @description 记录用户绑定的 OAuth2 / OpenID Connect 身份，一个用户可以绑定多个提供方
+ * 提供方 + subject 唯一确定一个外部身份；邮箱只在绑定时用于匹配已有账户，之后不再参与登录
+ */
+export const userIdentities = pgTable(
+  'user_identities',
+  {
+    /**
+     * 记录ID - 主键
+     */
+    id: serial('id').primaryKey(),
+
+    /**
+     * 所属用户ID
+     * 用户删除时级联删除其所有第三方身份
+     */
+    user_id: integer('user_id')
+      .notNull()
+      .references(() => users.id, { onDelete: 'cascade' }),
+
+    /**
+     * 提供方名称
+     * 与 OAUTH_PROVIDERS 中配置的名称一致，如 'google'、'github'
+     */
+    provider: varchar('provider', { length: 50 }).notNull(),
+
+    /**
+     * 提供方中的用户标识
+     * OIDC 的 sub 声明，或 OAuth2 用户信息中的ID
+     */
+    subject: varchar('subject', { length: 255 }).notNull(),
+
+    /**
+     * 提供方返回的邮箱
+     * 仅用于展示，邮箱变更不影响登录
+     */
+    email: varchar('email', { length: 255 }),
+
+    /**
+     * 提供方是否确认邮箱已验证
+     */
+    email_verified: boolean('email_verified').notNull().default(false),
+
+    /**
+     * 最后使用时间
+     */
+    last_used_at: timestamp('last_used_at'),
+
+    /**
+     * 绑定时间
+     */
+    created_at: timestamp('created_at').defaultNow().notNull(),
+  },
+  table => [unique().on(table.provider, table.subject)]
+);
+
+/*
+数据库迁移 SQL (使用 Drizzle Kit 生成):
+
+CREATE TABLE "user_identities" (
+  "id" serial PRIMARY KEY,
+  "user_id" integer NOT NULL REFERENCES "users"("id") ON DELETE CASCADE,
+  "provider" varchar(50) NOT NULL,
+  "subject" varchar(255) NOT NULL,
+  "email" varchar(255),
+  "email_verified" boolean DEFAULT false NOT NULL,
+  "last_used_at" timestamp,
+  "created_at" timestamp DEFAULT now() NOT NULL,
+  UNIQUE ("provider", "subject")
+);
+
+CREATE INDEX ON "user_identities" ("user_id");
+
+*/
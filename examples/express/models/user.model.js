@@ -1,4 +1,6 @@
-import { pgTable, serial, timestamp, varchar } from 'drizzle-orm/pg-core';
+import { isNull, sql } from 'drizzle-orm';
+import { boolean, integer, pgTable, serial, timestamp, uniqueIndex, varchar } from 'drizzle-orm/pg-core';
+import { roles } from './role.model.js';
 
 /**
  * 用户数据模型
@@ -21,24 +23,69 @@ export const users = pgTable('users', {
 
   /**
    * 用户邮箱
-   * 必填字段，唯一约束，最大长度255字符
-   * 用作登录标识符
+   * 必填字段，最大长度255字符
+   * 用作登录标识符；在未删除的用户中唯一 (见表末尾的索引)，已删除用户的邮箱可以重新注册
    */
-  email: varchar('email', { length: 255 }).notNull().unique(),
+  email: varchar('email', { length: 255 }).notNull(),
 
   /**
    * 密码哈希值
-   * 必填字段，存储bcrypt加密后的密码
-   * 最大长度255字符（足够存储bcrypt哈希）
+   * 存储bcrypt加密后的密码，最大长度255字符（足够存储bcrypt哈希）
+   * 通过第三方登录创建的账户为空，可以通过忘记密码流程设置密码
    */
-  password: varchar('password', { length: 255 }).notNull(),
+  password: varchar('password', { length: 255 }),
 
   /**
    * 用户角色
    * 必填字段，默认为'user'
-   * 可选值：'user', 'admin'
+   * 可选值：roles 表中定义的角色名 (内置 'user', 'admin')，角色拥有的权限见 role.model.js
+   */
+  role: varchar('role', { length: 40 })
+    .notNull()
+    .default('user')
+    .references(() => roles.name),
+
+  /**
+   * 账户状态
+   * 必填字段，默认为'pending'（注册后等待邮箱验证）
+   * 可选值：见 USER_STATUS
+   */
+  status: varchar('status', { length: 20 }).notNull().default('pending'),
+
+  /**
+   * 状态变更原因
+   * 管理员封禁或恢复账户时填写的原因，最大长度500字符
+   */
+  status_reason: varchar('status_reason', { length: 500 }),
+
+  /**
+   * 状态变更时间
+   * 最近一次由管理员封禁或恢复账户的时间
+   */
+  status_changed_at: timestamp('status_changed_at'),
+
+  /**
+   * 邮箱验证时间
+   * 为空表示邮箱尚未验证
+   */
+  email_verified_at: timestamp('email_verified_at'),
+
+  /**
+   * 是否已启用双因素认证 (TOTP)
    */
-  role: varchar('role', { length: 40 }).notNull().default('user'),
+  mfa_enabled: boolean('mfa_enabled').notNull().default(false),
+
+  /**
+   * TOTP密钥 (Base32)
+   * 绑定过程中先写入此字段，确认验证码后才将 mfa_enabled 置为 true
+   */
+  mfa_secret: varchar('mfa_secret', { length: 64 }),
+
+  /**
+   * 最近一次使用的TOTP时间步
+   * 用于拒绝同一验证码在有效期内被重复使用
+   */
+  mfa_last_used_step: integer('mfa_last_used_step'),
 
   /**
    * 创建时间
@@ -51,36 +98,55 @@ export const users = pgTable('users', {
    * 自动设置为当前时间，每次更新时需要手动更新
    */
   updated_at: timestamp('updated_at').defaultNow().notNull(),
-});
+
+  /**
+   * 删除时间 (软删除)
+   * 为空表示未删除；删除后保留记录，超过保留期后由清理任务彻底删除 (见 users/user-purge.job.js)
+   */
+  deleted_at: timestamp('deleted_at'),
+}, table => [
+  uniqueIndex('users_email_unique').on(table.email).where(sql`${table.deleted_at} is null`),
+]);
+
+/**
+ * 未删除用户的查询条件
+ *
+ * @description 查询用户时默认附加此条件，例如 and(eq(users.id, id), notDeleted)
+ */
+export const notDeleted = isNull(users.deleted_at);
 
 /**
- * 用户角色枚举
+ * 内置用户角色
  * 
- * @description 定义系统中可用的用户角色
+ * @description 系统内置、不能删除的角色；其他角色由管理员在 roles 表中定义
  */
 export const USER_ROLES = {
   USER: 'user',
   ADMIN: 'admin'
-} as const;
+};
 
 /**
- * 用户状态枚举 (可选，未在当前表结构中使用)
+ * 用户状态枚举
  * 
- * @description 定义用户账户的可能状态
+ * @description 定义用户账户的可能状态，对应 users.status 字段
+ * - active: 正常，可以登录
+ * - inactive: 已停用
+ * - suspended: 被管理员封禁
+ * - pending: 已注册，等待邮箱验证
  */
 export const USER_STATUS = {
   ACTIVE: 'active',
   INACTIVE: 'inactive',
   SUSPENDED: 'suspended',
   PENDING: 'pending'
-} as const;
+};
 
 /* 
 模型使用示例:
 
-import { users, USER_ROLES } from './user.model.js';
+import { users, USER_ROLES, notDeleted } from './user.model.js';
 import { db } from '../config/database.js';
-import { eq } from 'drizzle-orm';
+import { and, eq } from 'drizzle-orm';
 
 // 创建新用户
 const newUser = await db.insert(users).values({
@@ -105,8 +171,15 @@ const updatedUser = await db.update(users)
   .where(eq(users.id, userId))
   .returning();
 
-// 删除用户
-const deletedUser = await db.delete(users)
+// 查询未删除的用户
+const activeUser = await db.select()
+  .from(users)
+  .where(and(eq(users.email, 'john@example.com'), notDeleted))
+  .limit(1);
+
+// 软删除用户
+const deletedUser = await db.update(users)
+  .set({ deleted_at: new Date() })
   .where(eq(users.id, userId))
   .returning();
 
@@ -115,15 +188,50 @@ const deletedUser = await db.delete(users)
 CREATE TABLE "users" (
   "id" serial PRIMARY KEY,
   "name" varchar(255) NOT NULL,
-  "email" varchar(255) NOT NULL UNIQUE,
-  "password" varchar(255) NOT NULL,
-  "role" varchar(40) NOT NULL DEFAULT 'user',
+  "email" varchar(255) NOT NULL,
+  "password" varchar(255),
+  "role" varchar(40) NOT NULL DEFAULT 'user' REFERENCES "roles"("name"),
+  "status" varchar(20) NOT NULL DEFAULT 'pending',
+  "status_reason" varchar(500),
+  "status_changed_at" timestamp,
+  "email_verified_at" timestamp,
+  "mfa_enabled" boolean DEFAULT false NOT NULL,
+  "mfa_secret" varchar(64),
+  "mfa_last_used_step" integer,
   "created_at" timestamp DEFAULT now() NOT NULL,
-  "updated_at" timestamp DEFAULT now() NOT NULL
+  "updated_at" timestamp DEFAULT now() NOT NULL,
+  "deleted_at" timestamp
 );
 
+CREATE UNIQUE INDEX "users_email_unique" ON "users" ("email") WHERE "deleted_at" IS NULL;
+
 CREATE INDEX ON "users" ("email");
 CREATE INDEX ON "users" ("role");
-CREATE INDEX ON "users" ("created_at");
+CREATE INDEX ON "users" ("created_at", "id");
+CREATE INDEX ON "users" ("status");
+CREATE INDEX ON "users" ("deleted_at");
+
+已有数据库升级 (已存在的用户视为已激活):
+
+ALTER TABLE "users" ADD COLUMN "status" varchar(20) NOT NULL DEFAULT 'active';
+ALTER TABLE "users" ALTER COLUMN "status" SET DEFAULT 'pending';
+ALTER TABLE "users" ADD COLUMN "email_verified_at" timestamp;
+CREATE INDEX ON "users" ("status");
+ALTER TABLE "users" ADD COLUMN "status_reason" varchar(500);
+ALTER TABLE "users" ADD COLUMN "status_changed_at" timestamp;
+ALTER TABLE "users" ADD COLUMN "mfa_enabled" boolean DEFAULT false NOT NULL;
+ALTER TABLE "users" ADD COLUMN "mfa_secret" varchar(64);
+ALTER TABLE "users" ADD COLUMN "mfa_last_used_step" integer;
+-- 先创建 roles 表并写入内置角色 (见 role.model.js)
+ALTER TABLE "users" ADD FOREIGN KEY ("role") REFERENCES "roles"("name");
+ALTER TABLE "users" ALTER COLUMN "password" DROP NOT NULL;
+-- 游标分页按 (created_at, id) 排序
+DROP INDEX IF EXISTS "users_created_at_idx";
+CREATE INDEX ON "users" ("created_at", "id");
+-- 软删除：邮箱只在未删除的用户中唯一
+ALTER TABLE "users" ADD COLUMN "deleted_at" timestamp;
+CREATE INDEX ON "users" ("deleted_at");
+ALTER TABLE "users" DROP CONSTRAINT "users_email_unique";
+CREATE UNIQUE INDEX "users_email_unique" ON "users" ("email") WHERE "deleted_at" IS NULL;
 
 */
\ No newline at end of file
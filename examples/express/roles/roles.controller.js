@@ -0,0 +1,380 @@
+import logger from '../config/logger.js';
+import {
+  getAllRoles,
+  getRoleByName,
+  createRole,
+  updateRole,
+  deleteRole,
+  hasPermission,
+} from './roles.service.js';
+import {
+  createRoleSchema,
+  updateRoleSchema,
+  roleNameParamSchema,
+} from './roles.validation.js';
+import { PERMISSIONS } from '../models/role.model.js';
+import { recordAuditEvent, auditContext } from '../audit/audit.service.js';
+import { AUDIT_ACTIONS } from '../models/audit-event.model.js';
+import { formatValidationError } from '../utils/format.js';
+
+/**
+ * 检查是否在授予超出自己权限的权限
+ *
+ * @description 防止拥有 roles:write 的非管理员给自己的角色添加权限
+ * @param {Object} req - Express请求对象 (req.permissions 由 requirePermission 设置)
+ * @param {string[]} [permissions] - 要授予的权限
+ * @returns {string[]} 当前用户不具备的权限
+ */
+const permissionsBeyondOwn = (req, permissions = []) =>
+  permissions.filter(permission => !hasPermission(req.permissions || [], permission));
+
+/**
+ * 获取所有角色控制器
+ * GET /api/roles
+ *
+ * @description 返回所有角色及其权限、用户数量，以及系统中可分配的权限列表
+ * @middleware authenticateToken - 需要认证
+ * @middleware requirePermission - 需要 roles:read 权限
+ *
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ * @param {Function} next - Express下一个中间件函数
+ *
+ * @returns {200} 成功返回角色列表
+ * @returns {500} 服务器错误
+ */
+export const fetchAllRoles = async (req, res, next) => {
+  try {
+    const roles = await getAllRoles();
+
+    res.status(200).json({
+      success: true,
+      message: '成功获取角色列表',
+      data: {
+        roles,
+        availablePermissions: Object.values(PERMISSIONS),
+        count: roles.length
+      }
+    });
+  } catch (error) {
+    logger.error(`获取角色列表失败: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * 根据名称获取角色控制器
+ * GET /api/roles/:name
+ *
+ * @middleware authenticateToken - 需要认证
+ * @middleware requirePermission - 需要 roles:read 权限
+ *
+ * @param {Object} req - Express请求对象
+ * @param {string} req.params.name - 角色名
+ * @param {Object} res - Express响应对象
+ * @param {Function} next - Express下一个中间件函数
+ *
+ * @returns {200} 成功返回角色信息
+ * @returns {400} 角色名格式无效
+ * @returns {404} 角色不存在
+ * @returns {500} 服务器错误
+ */
+export const fetchRoleByName = async (req, res, next) => {
+  try {
+    // 1. 验证角色名参数
+    const validationResult = roleNameParamSchema.safeParse({ name: req.params.name });
+
+    if (!validationResult.success) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        message: '角色名格式无效',
+        details: formatValidationError(validationResult.error),
+      });
+    }
+
+    // 2. 调用服务层获取角色
+    const role = await getRoleByName(validationResult.data.name);
+
+    res.status(200).json({
+      success: true,
+      message: '成功获取角色信息',
+      data: { role }
+    });
+  } catch (error) {
+    logger.error(`获取角色失败: ${error.message}`);
+
+    if (error.message === 'Role not found') {
+      return res.status(404).json({
+        success: false,
+        error: 'Role not found',
+        message: '角色不存在'
+      });
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * 创建角色控制器
+ * POST /api/roles
+ *
+ * @description 创建自定义角色，如客服 (support)、编辑 (editor)
+ * @middleware authenticateToken - 需要认证
+ * @middleware requirePermission - 需要 roles:write 权限
+ *
+ * @param {Object} req - Express请求对象
+ * @param {string} req.body.name - 角色名
+ * @param {string} [req.body.description] - 角色描述
+ * @param {string[]} req.body.permissions - 权限列表
+ * @param {Object} res - Express响应对象
+ * @param {Function} next - Express下一个中间件函数
+ *
+ * @returns {201} 成功创建角色
+ * @returns {400} 请求数据无效
+ * @returns {403} 授予了自己不具备的权限
+ * @returns {409} 角色名已存在
+ * @returns {500} 服务器错误
+ */
+export const createNewRole = async (req, res, next) => {
+  try {
+    // 1. 数据验证
+    const validationResult = createRoleSchema.safeParse(req.body);
+
+    if (!validationResult.success) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        message: '角色数据格式无效',
+        details: formatValidationError(validationResult.error),
+      });
+    }
+
+    // 2. 只能授予自己拥有的权限
+    const beyondOwn = permissionsBeyondOwn(req, validationResult.data.permissions);
+
+    if (beyondOwn.length > 0) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: '不能授予超出自己权限的权限',
+        code: 'INSUFFICIENT_PERMISSIONS',
+        required: beyondOwn
+      });
+    }
+
+    // 3. 调用服务层创建角色
+    const role = await createRole(validationResult.data);
+
+    await recordAuditEvent(
+      {
+        action: AUDIT_ACTIONS.ROLE_CREATED,
+        target: { type: 'role', id: role.name },
+        after: { description: role.description, permissions: role.permissions },
+      },
+      auditContext(req)
+    );
+
+    res.status(201).json({
+      success: true,
+      message: '角色创建成功',
+      data: { role }
+    });
+  } catch (error) {
+    logger.error(`创建角色失败: ${error.message}`);
+
+    if (error.message === 'Role already exists') {
+      return res.status(409).json({
+        success: false,
+        error: 'Role already exists',
+        message: '角色名已存在'
+      });
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * 更新角色控制器
+ * PATCH /api/roles/:name
+ *
+ * @description 修改角色描述或权限，拥有该角色的用户无需重新登录，缓存过期后生效
+ * @middleware authenticateToken - 需要认证
+ * @middleware requirePermission - 需要 roles:write 权限
+ *
+ * @param {Object} req - Express请求对象
+ * @param {string} req.params.name - 角色名
+ * @param {string} [req.body.description] - 角色描述
+ * @param {string[]} [req.body.permissions] - 权限列表 (整体替换)
+ * @param {Object} res - Express响应对象
+ * @param {Function} next - Express下一个中间件函数
+ *
+ * @returns {200} 成功更新角色
+ * @returns {400} 请求数据无效
+ * @returns {403} admin 角色不能修改，或授予了自己不具备的权限
+ * @returns {404} 角色不存在
+ * @returns {500} 服务器错误
+ */
+export const updateRoleByName = async (req, res, next) => {
+  try {
+    // 1. 验证角色名参数和请求数据
+    const paramValidation = roleNameParamSchema.safeParse({ name: req.params.name });
+
+    if (!paramValidation.success) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        message: '角色名格式无效',
+        details: formatValidationError(paramValidation.error),
+      });
+    }
+
+    const updateValidation = updateRoleSchema.safeParse(req.body);
+
+    if (!updateValidation.success) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        message: '角色数据格式无效',
+        details: formatValidationError(updateValidation.error),
+      });
+    }
+
+    // 2. 只能授予自己拥有的权限
+    const beyondOwn = permissionsBeyondOwn(req, updateValidation.data.permissions);
+
+    if (beyondOwn.length > 0) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: '不能授予超出自己权限的权限',
+        code: 'INSUFFICIENT_PERMISSIONS',
+        required: beyondOwn
+      });
+    }
+
+    // 3. 调用服务层更新角色
+    const previous = await getRoleByName(paramValidation.data.name);
+    const role = await updateRole(paramValidation.data.name, updateValidation.data);
+
+    await recordAuditEvent(
+      {
+        action: AUDIT_ACTIONS.ROLE_UPDATED,
+        target: { type: 'role', id: role.name },
+        before: { description: previous.description, permissions: previous.permissions },
+        after: { description: role.description, permissions: role.permissions },
+      },
+      auditContext(req)
+    );
+
+    res.status(200).json({
+      success: true,
+      message: '角色更新成功',
+      data: { role }
+    });
+  } catch (error) {
+    logger.error(`更新角色失败: ${error.message}`);
+
+    if (error.message === 'Role not found') {
+      return res.status(404).json({
+        success: false,
+        error: 'Role not found',
+        message: '角色不存在'
+      });
+    }
+
+    if (error.message === 'System role cannot be modified') {
+      return res.status(403).json({
+        success: false,
+        error: 'Operation denied',
+        message: 'admin 角色不能修改'
+      });
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * 删除角色控制器
+ * DELETE /api/roles/:name
+ *
+ * @description 删除自定义角色，内置角色和仍有用户使用的角色不能删除
+ * @middleware authenticateToken - 需要认证
+ * @middleware requirePermission - 需要 roles:write 权限
+ *
+ * @param {Object} req - Express请求对象
+ * @param {string} req.params.name - 角色名
+ * @param {Object} res - Express响应对象
+ * @param {Function} next - Express下一个中间件函数
+ *
+ * @returns {200} 成功删除角色
+ * @returns {400} 角色名格式无效
+ * @returns {403} 内置角色不能删除
+ * @returns {404} 角色不存在
+ * @returns {409} 仍有用户使用该角色
+ * @returns {500} 服务器错误
+ */
+export const deleteRoleByName = async (req, res, next) => {
+  try {
+    // 1. 验证角色名参数
+    const validationResult = roleNameParamSchema.safeParse({ name: req.params.name });
+
+    if (!validationResult.success) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        message: '角色名格式无效',
+        details: formatValidationError(validationResult.error),
+      });
+    }
+
+    // 2. 调用服务层删除角色
+    const role = await deleteRole(validationResult.data.name);
+
+    await recordAuditEvent(
+      {
+        action: AUDIT_ACTIONS.ROLE_DELETED,
+        target: { type: 'role', id: role.name },
+        before: { description: role.description, permissions: role.permissions },
+      },
+      auditContext(req)
+    );
+
+    res.status(200).json({
+      success: true,
+      message: '角色删除成功',
+      data: { deletedRole: role }
+    });
+  } catch (error) {
+    logger.error(`删除角色失败: ${error.message}`);
+
+    if (error.message === 'Role not found') {
+      return res.status(404).json({
+        success: false,
+        error: 'Role not found',
+        message: '角色不存在'
+      });
+    }
+
+    if (error.message === 'System role cannot be deleted') {
+      return res.status(403).json({
+        success: false,
+        error: 'Operation denied',
+        message: '内置角色不能删除'
+      });
+    }
+
+    if (error.message === 'Role is in use') {
+      return res.status(409).json({
+        success: false,
+        error: 'Role is in use',
+        message: '仍有用户使用该角色，请先修改这些用户的角色'
+      });
+    }
+
+    next(error);
+  }
+};
@@ -0,0 +1,198 @@
+import express from 'express';
+import {
+  fetchAllRoles,
+  fetchRoleByName,
+  createNewRole,
+  updateRoleByName,
+  deleteRoleByName,
+} from './roles.controller.js';
+import {
+  authenticateToken,
+  requirePermission,
+  requireMfa,
+} from '../auth/auth.middleware.js';
+import { PERMISSIONS } from '../models/role.model.js';
+
+/**
+ * 角色管理路由配置
+ *
+ * @description 管理角色及其权限，新增角色 (如客服、编辑) 不需要修改代码
+ * 所有接口都需要完成双因素认证
+ */
+const router = express.Router();
+
+/**
+ * 获取所有角色路由
+ * GET /api/roles
+ *
+ * @middleware authenticateToken - 需要认证
+ * @middleware requirePermission - 需要 roles:read 权限
+ * @middleware requireMfa - 当前会话需要已完成双因素认证
+ *
+ * @returns {200} 成功返回角色列表和可分配的权限
+ * @returns {401} 未认证
+ * @returns {403} 权限不足
+ * @returns {500} 服务器错误
+ */
+router.get('/', authenticateToken, requirePermission(PERMISSIONS.ROLES_READ), requireMfa, fetchAllRoles);
+
+/**
+ * 根据名称获取角色路由
+ * GET /api/roles/:name
+ *
+ * @middleware authenticateToken - 需要认证
+ * @middleware requirePermission - 需要 roles:read 权限
+ * @middleware requireMfa - 当前会话需要已完成双因素认证
+ *
+ * @param {string} name - 角色名 (路径参数)
+ *
+ * @returns {200} 成功返回角色信息
+ * @returns {400} 角色名格式无效
+ * @returns {401} 未认证
+ * @returns {403} 权限不足
+ * @returns {404} 角色不存在
+ * @returns {500} 服务器错误
+ */
+router.get('/:name', authenticateToken, requirePermission(PERMISSIONS.ROLES_READ), requireMfa, fetchRoleByName);
+
+/**
+ * 创建角色路由
+ * POST /api/roles
+ *
+ * @middleware authenticateToken - 需要认证
+ * @middleware requirePermission - 需要 roles:write 权限
+ * @middleware requireMfa - 当前会话需要已完成双因素认证
+ *
+ * @body {string} name - 角色名 (小写字母开头，只包含小写字母、数字、下划线和连字符)
+ * @body {string} [description] - 角色描述
+ * @body {string[]} permissions - 权限列表 (见 PERMISSIONS)
+ *
+ * @returns {201} 成功创建角色
+ * @returns {400} 请求数据无效
+ * @returns {401} 未认证
+ * @returns {403} 权限不足
+ * @returns {409} 角色名已存在
+ * @returns {500} 服务器错误
+ */
+router.post('/', authenticateToken, requirePermission(PERMISSIONS.ROLES_WRITE), requireMfa, createNewRole);
+
+/**
+ * 更新角色路由
+ * PATCH /api/roles/:name
+ *
+ * @middleware authenticateToken - 需要认证
+ * @middleware requirePermission - 需要 roles:write 权限
+ * @middleware requireMfa - 当前会话需要已完成双因素认证
+ *
+ * @param {string} name - 角色名 (路径参数)
+ * @body {string} [description] - 角色描述
+ * @body {string[]} [permissions] - 权限列表 (整体替换)
+ *
+ * 说明: admin 角色始终拥有全部权限，不能修改
+ *
+ * @returns {200} 成功更新角色
+ * @returns {400} 请求数据无效
+ * @returns {401} 未认证
+ * @returns {403} 权限不足 或 尝试修改 admin 角色
+ * @returns {404} 角色不存在
+ * @returns {500} 服务器错误
+ */
+router.patch('/:name', authenticateToken, requirePermission(PERMISSIONS.ROLES_WRITE), requireMfa, updateRoleByName);
+
+/**
+ * 删除角色路由
+ * DELETE /api/roles/:name
+ *
+ * @middleware authenticateToken - 需要认证
+ * @middleware requirePermission - 需要 roles:write 权限
+ * @middleware requireMfa - 当前会话需要已完成双因素认证
+ *
+ * @param {string} name - 角色名 (路径参数)
+ *
+ * @returns {200} 成功删除角色
+ * @returns {400} 角色名格式无效
+ * @returns {401} 未认证
+ * @returns {403} 权限不足 或 尝试删除内置角色
+ * @returns {404} 角色不存在
+ * @returns {409} 仍有用户使用该角色
+ * @returns {500} 服务器错误
+ */
+router.delete('/:name', authenticateToken, requirePermission(PERMISSIONS.ROLES_WRITE), requireMfa, deleteRoleByName);
+
+export default router;
+
+/*
+路由使用示例:
+
+在主应用文件 (app.js) 中:
+
+import rolesRoutes from './roles/roles.routes.js';
+
+app.use('/api/roles', rolesRoutes);
+
+API 调用示例:
+
+1. 创建客服角色:
+POST /api/roles
+Cookie: token=...
+Content-Type: application/json
+
+{
+  "name": "support",
+  "description": "客服",
+  "permissions": ["users:read", "users:unlock", "users:suspend"]
+}
+
+响应:
+{
+  "success": true,
+  "message": "角色创建成功",
+  "data": {
+    "role": {
+      "name": "support",
+      "description": "客服",
+      "permissions": ["users:read", "users:unlock", "users:suspend"],
+      "is_system": false,
+      "created_at": "2024-01-01T00:00:00.000Z",
+      "updated_at": "2024-01-01T00:00:00.000Z"
+    }
+  }
+}
+
+2. 把用户设置为客服 (需要 users:update_role 权限):
+PUT /api/users/123
+Cookie: token=...
+Content-Type: application/json
+
+{
+  "role": "support"
+}
+
+3. 修改客服角色的权限:
+PATCH /api/roles/support
+Cookie: token=...
+Content-Type: application/json
+
+{
+  "permissions": ["users:read", "users:unlock"]
+}
+
+错误响应示例:
+
+权限不足:
+{
+  "error": "Access denied",
+  "message": "您没有权限访问此资源",
+  "code": "INSUFFICIENT_PERMISSIONS",
+  "required": ["roles:write"],
+  "current": "support"
+}
+
+角色仍在使用:
+{
+  "success": false,
+  "error": "Role is in use",
+  "message": "仍有用户使用该角色，请先修改这些用户的角色"
+}
+
+*/
@@ -0,0 +1,306 @@
+import logger from '../config/logger.js';
+import { db } from '../config/database.js';
+import { count, eq } from 'drizzle-orm';
+import { roles, ALL_PERMISSIONS, SYSTEM_ROLES } from '../models/role.model.js';
+import { users, USER_ROLES } from '../models/user.model.js';
+
+/**
+ * 角色权限缓存配置
+ *
+ * @description 每次请求都需要按角色查询权限，使用短期进程内缓存减少数据库查询
+ * 本实例修改角色时立即清除缓存；多实例部署时其他实例最多延迟一个缓存周期生效
+ */
+const ROLE_PERMISSIONS_CACHE_SECONDS = parseInt(process.env.ROLE_PERMISSIONS_CACHE_SECONDS || '60', 10);
+
+// roleName -> { permissions, expiresAt }
+const permissionCache = new Map();
+
+/**
+ * 返回给客户端的角色字段
+ */
+const roleColumns = {
+  name: roles.name,
+  description: roles.description,
+  permissions: roles.permissions,
+  is_system: roles.is_system,
+  created_at: roles.created_at,
+  updated_at: roles.updated_at,
+};
+
+/**
+ * 获取角色权限服务
+ *
+ * @description 返回角色拥有的权限列表，角色不存在时返回空列表
+ * @param {string} roleName - 角色名
+ * @returns {Promise<string[]>} 权限列表
+ */
+export const getRolePermissions = async (roleName) => {
+  const cached = permissionCache.get(roleName);
+
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.permissions;
+  }
+
+  try {
+    const [role] = await db
+      .select({ permissions: roles.permissions })
+      .from(roles)
+      .where(eq(roles.name, roleName))
+      .limit(1);
+
+    const permissions = role ? role.permissions : [];
+
+    if (!role) {
+      logger.warn(`角色不存在 - ${roleName}，按无权限处理`);
+    }
+
+    permissionCache.set(roleName, {
+      permissions,
+      expiresAt: Date.now() + ROLE_PERMISSIONS_CACHE_SECONDS * 1000,
+    });
+
+    return permissions;
+  } catch (error) {
+    logger.error(`获取角色权限失败 - ${roleName}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * 权限判断
+ *
+ * @param {string[]} permissions - 拥有的权限列表
+ * @param {string} permission - 需要的权限
+ * @returns {boolean} 是否拥有该权限 ('*' 表示拥有全部权限)
+ */
+export const hasPermission = (permissions, permission) =>
+  permissions.includes(ALL_PERMISSIONS) || permissions.includes(permission);
+
+/**
+ * 检查操作者能否管理某个角色的用户
+ *
+ * @description 角色的每个权限操作者都必须拥有，防止权限较低的管理员操作权限更高的用户
+ * @param {string[]} actorPermissions - 操作者的权限列表
+ * @param {string} roleName - 目标用户当前的角色
+ * @returns {Promise<boolean>} 可以管理时返回 true
+ */
+export const canManageRole = async (actorPermissions, roleName) => {
+  const rolePermissions = await getRolePermissions(roleName);
+  return rolePermissions.every(permission => hasPermission(actorPermissions, permission));
+};
+
+/**
+ * 断言操作者能否管理目标用户
+ *
+ * @description 修改、删除、恢复、封禁、解封和解锁用户前调用 (见 canManageRole)
+ * @param {string[]} actorPermissions - 操作者的权限列表
+ * @param {string} targetRole - 目标用户当前的角色
+ * @returns {Promise<void>}
+ * @throws {Error} 目标用户拥有操作者没有的权限时抛出错误
+ */
+export const assertCanManageUser = async (actorPermissions, targetRole) => {
+  if (!(await canManageRole(actorPermissions, targetRole))) {
+    throw new Error('Insufficient privileges');
+  }
+};
+
+/**
+ * 检查用户是否拥有权限
+ *
+ * @description 供控制器在路由中间件之外做细粒度判断，如是否可以修改他人的角色
+ * @param {Object} user - 当前用户 (req.user)
+ * @param {string} permission - 需要的权限
+ * @returns {Promise<boolean>} 是否拥有该权限
+ */
+export const userHasPermission = async (user, permission) =>
+  hasPermission(await getRolePermissions(user.role), permission);
+
+/**
+ * 检查角色是否存在服务
+ *
+ * @param {string} roleName - 角色名
+ * @returns {Promise<boolean>} 角色是否存在
+ */
+export const roleExists = async (roleName) => {
+  try {
+    const [role] = await db
+      .select({ name: roles.name })
+      .from(roles)
+      .where(eq(roles.name, roleName))
+      .limit(1);
+
+    return !!role;
+  } catch (error) {
+    logger.error(`检查角色是否存在失败 - ${roleName}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * 写入内置角色服务
+ *
+ * @description 应用启动时调用，内置角色已存在时不覆盖 (保留管理员对 user 角色权限的修改)
+ * @returns {Promise<void>}
+ */
+export const seedSystemRoles = async () => {
+  try {
+    await db.insert(roles).values(SYSTEM_ROLES).onConflictDoNothing({ target: roles.name });
+    logger.info('内置角色检查完成');
+  } catch (error) {
+    logger.error('写入内置角色失败:', error);
+    throw error;
+  }
+};
+
+/**
+ * 获取所有角色服务
+ *
+ * @description 返回所有角色及每个角色下的用户数量
+ * @returns {Promise<Array>} 角色列表
+ */
+export const getAllRoles = async () => {
+  try {
+    const [allRoles, userCounts] = await Promise.all([
+      db.select(roleColumns).from(roles).orderBy(roles.name),
+      db.select({ role: users.role, value: count() }).from(users).groupBy(users.role),
+    ]);
+
+    const countByRole = Object.fromEntries(userCounts.map(({ role, value }) => [role, value]));
+
+    return allRoles.map(role => ({ ...role, user_count: countByRole[role.name] || 0 }));
+  } catch (error) {
+    logger.error('获取角色列表失败:', error);
+    throw error;
+  }
+};
+
+/**
+ * 根据名称获取角色服务
+ *
+ * @param {string} roleName - 角色名
+ * @returns {Promise<Object>} 角色信息
+ * @throws {Error} 角色不存在时抛出错误
+ */
+export const getRoleByName = async (roleName) => {
+  try {
+    const [role] = await db
+      .select(roleColumns)
+      .from(roles)
+      .where(eq(roles.name, roleName))
+      .limit(1);
+
+    if (!role) {
+      throw new Error('Role not found');
+    }
+
+    return role;
+  } catch (error) {
+    logger.error(`获取角色失败 - ${roleName}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * 创建角色服务
+ *
+ * @param {Object} roleData - 角色数据
+ * @param {string} roleData.name - 角色名
+ * @param {string} [roleData.description] - 角色描述
+ * @param {string[]} roleData.permissions - 权限列表
+ * @returns {Promise<Object>} 创建的角色
+ * @throws {Error} 角色名已存在时抛出错误
+ */
+export const createRole = async ({ name, description, permissions }) => {
+  try {
+    const [role] = await db
+      .insert(roles)
+      .values({ name, description, permissions })
+      .onConflictDoNothing({ target: roles.name })
+      .returning(roleColumns);
+
+    if (!role) {
+      throw new Error('Role already exists');
+    }
+
+    permissionCache.delete(name);
+    logger.info(`角色 ${name} 创建成功`, { permissions });
+    return role;
+  } catch (error) {
+    logger.error(`创建角色失败 - ${name}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * 更新角色服务
+ *
+ * @description 修改角色描述或权限，修改后拥有该角色的用户在下一次请求时生效 (无需重新登录)
+ * admin 角色不能修改
+ * @param {string} roleName - 角色名
+ * @param {Object} updates - 要更新的字段
+ * @param {string} [updates.description] - 角色描述
+ * @param {string[]} [updates.permissions] - 权限列表
+ * @returns {Promise<Object>} 更新后的角色
+ * @throws {Error} 角色不存在或为 admin 角色时抛出错误
+ */
+export const updateRole = async (roleName, updates) => {
+  try {
+    if (roleName === USER_ROLES.ADMIN) {
+      throw new Error('System role cannot be modified');
+    }
+
+    const [role] = await db
+      .update(roles)
+      .set({ ...updates, updated_at: new Date() })
+      .where(eq(roles.name, roleName))
+      .returning(roleColumns);
+
+    if (!role) {
+      throw new Error('Role not found');
+    }
+
+    permissionCache.delete(roleName);
+    logger.info(`角色 ${roleName} 更新成功`, updates);
+    return role;
+  } catch (error) {
+    logger.error(`更新角色失败 - ${roleName}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * 删除角色服务
+ *
+ * @description 内置角色和仍有用户使用的角色不能删除
+ * @param {string} roleName - 角色名
+ * @returns {Promise<Object>} 被删除的角色
+ * @throws {Error} 角色不存在、为内置角色或仍在使用时抛出错误
+ */
+export const deleteRole = async (roleName) => {
+  try {
+    const role = await getRoleByName(roleName);
+
+    if (role.is_system) {
+      throw new Error('System role cannot be deleted');
+    }
+
+    const [{ value: userCount }] = await db
+      .select({ value: count() })
+      .from(users)
+      .where(eq(users.role, roleName));
+
+    if (userCount > 0) {
+      throw new Error('Role is in use');
+    }
+
+    await db.delete(roles).where(eq(roles.name, roleName));
+
+    permissionCache.delete(roleName);
+    logger.info(`角色 ${roleName} 已删除`);
+    return role;
+  } catch (error) {
+    logger.error(`删除角色失败 - ${roleName}:`, error);
+    throw error;
+  }
+};
+
@@ -0,0 +1,101 @@
+import { z } from 'zod';
+import { PERMISSIONS } from '../models/role.model.js';
+
+/**
+ * 角色名验证
+ * - 小写字母开头，只包含小写字母、数字、下划线和连字符
+ * - 最大长度: 40个字符
+ * - 自动去除前后空格
+ */
+export const roleNameSchema = z
+  .string({
+    required_error: '角色名是必填项',
+    invalid_type_error: '角色名必须是字符串'
+  })
+  .trim()
+  .min(1, '角色名不能为空')
+  .max(40, '角色名不能超过40个字符')
+  .regex(/^[a-z][a-z0-9_-]*$/, '角色名只能包含小写字母、数字、下划线和连字符，且以字母开头');
+
+/**
+ * 角色描述验证
+ */
+const roleDescriptionSchema = z
+  .string({
+    invalid_type_error: '角色描述必须是字符串'
+  })
+  .trim()
+  .max(255, '角色描述不能超过255个字符');
+
+/**
+ * 权限列表验证
+ * - 只允许 PERMISSIONS 中定义的值，自定义角色不能使用 '*'
+ * - 允许空列表 (只能访问自己的信息)
+ * - 自动去重
+ */
+const rolePermissionsSchema = z
+  .array(
+    z.enum(Object.values(PERMISSIONS), {
+      errorMap: () => ({ message: `权限只能是 ${Object.values(PERMISSIONS).join(', ')}` })
+    }),
+    {
+      required_error: '权限列表是必填项',
+      invalid_type_error: '权限列表必须是数组'
+    }
+  )
+  .transform(permissions => [...new Set(permissions)]);
+
+/**
+ * 创建角色验证规则
+ *
+ * @description 用于 POST /api/roles 的请求体验证
+ */
+export const createRoleSchema = z.object({
+  /**
+   * 角色名
+   */
+  name: roleNameSchema,
+
+  /**
+   * 角色描述 (可选)
+   */
+  description: roleDescriptionSchema.optional(),
+
+  /**
+   * 权限列表
+   */
+  permissions: rolePermissionsSchema
+});
+
+/**
+ * 更新角色验证规则
+ *
+ * @description 用于 PATCH /api/roles/:name 的请求体验证
+ */
+export const updateRoleSchema = z
+  .object({
+    /**
+     * 角色描述 (可选)
+     */
+    description: roleDescriptionSchema.optional(),
+
+    /**
+     * 权限列表 (可选，整体替换)
+     */
+    permissions: rolePermissionsSchema.optional()
+  })
+  .refine(
+    (data) => data.description !== undefined || data.permissions !== undefined,
+    {
+      message: '至少需要提供一个要更新的字段'
+    }
+  );
+
+/**
+ * 角色名参数验证规则
+ *
+ * @description 验证URL路径参数中的角色名格式
+ */
+export const roleNameParamSchema = z.object({
+  name: roleNameSchema
+});
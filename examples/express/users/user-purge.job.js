@@ -0,0 +1,92 @@
+import logger from '../config/logger.js';
+import { purgeDeletedUsers, USER_PURGE_RETENTION_DAYS } from './users.service.js';
+
+/**
+ * 已删除用户清理任务
+ *
+ * @description 定期彻底删除超过保留期 (USER_PURGE_RETENTION_DAYS，默认30天) 的软删除用户。
+ * 清理是幂等的，多实例部署时每个实例都启动也不会重复删除；
+ * 也可以不启动定时器，改由外部调度 (如 cron) 调用 runUserPurge
+ */
+
+/**
+ * 清理间隔 (小时)
+ */
+const USER_PURGE_INTERVAL_HOURS = parseInt(process.env.USER_PURGE_INTERVAL_HOURS || '24', 10);
+
+/**
+ * 执行一次清理
+ *
+ * @description 失败只记录日志，不抛出错误，下一次定时执行时重试
+ * @returns {Promise<number>} 彻底删除的用户数量
+ */
+export const runUserPurge = async () => {
+  try {
+    return await purgeDeletedUsers();
+  } catch (error) {
+    logger.error(`已删除用户清理任务失败: ${error}`);
+    return 0;
+  }
+};
+
+/**
+ * 启动清理任务
+ *
+ * @description 启动时立即执行一次，之后按间隔执行；上一次尚未结束时跳过本次
+ * 定时器不会阻止进程退出
+ * @param {Object} [options] - 选项
+ * @param {number} [options.intervalHours=USER_PURGE_INTERVAL_HOURS] - 清理间隔 (小时)
+ * @returns {Function} 停止任务的函数
+ */
+export const startUserPurgeJob = ({ intervalHours = USER_PURGE_INTERVAL_HOURS } = {}) => {
+  let running = false;
+
+  const tick = async () => {
+    if (running) {
+      return;
+    }
+
+    running = true;
+
+    try {
+      await runUserPurge();
+    } finally {
+      running = false;
+    }
+  };
+
+  tick();
+
+  const timer = setInterval(tick, intervalHours * 60 * 60 * 1000);
+  timer.unref();
+
+  logger.info(`已删除用户清理任务已启动 - 每 ${intervalHours} 小时执行，保留 ${USER_PURGE_RETENTION_DAYS} 天`);
+
+  return () => clearInterval(timer);
+};
+
+/*
+使用示例:
+
+在 server.js 中，数据库连接成功后启动:
+
+import { startUserPurgeJob } from './users/user-purge.job.js';
+
+await testConnection();
+const stopUserPurge = startUserPurgeJob();
+
+// 优雅退出时停止
+process.on('SIGTERM', () => {
+  stopUserPurge();
+});
+
+由外部调度执行 (例如 scripts/purge-users.js，配合 cron 每天运行一次):
+
+import 'dotenv/config';
+import { runUserPurge } from '../users/user-purge.job.js';
+
+const purged = await runUserPurge();
+console.log(`彻底删除了 ${purged} 个用户`);
+process.exit(0);
+
+*/
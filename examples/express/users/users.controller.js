@@ -1,54 +1,119 @@
 import logger from '../config/logger.js';
 import {
-  getAllUsers,
+  listUsers,
+  listUsersByCursor,
   getUserById,
   updateUser,
   deleteUser,
+  restoreUser,
+  executeBatchUserOperation,
+  suspendUser,
+  reactivateUser,
+  unlockUserLogin,
+  getUserCount,
+  getRegistrationSeries,
+  getActiveUserCounts,
 } from './users.service.js';
 import {
   userIdSchema,
   updateUserSchema,
+  userStatusChangeSchema,
+  impersonateUserSchema,
+  userQuerySchema,
+  userStatsQuerySchema,
+  batchUserOperationSchema,
 } from './users.validation.js';
-import { formatValidationError } from '../utils/format.js';
+import { formatValidationError, formatPaginationLinks } from '../utils/format.js';
+import { getRolePermissions, hasPermission, canManageRole, assertCanManageUser } from '../roles/roles.service.js';
+import { PERMISSIONS } from '../models/role.model.js';
+import { startImpersonation } from '../auth/impersonation.service.js';
+import { isTokenMode } from '../auth/token-extractor.js';
+import { cookies } from '../utils/cookies.js';
+import { recordAuditEvent, auditContext } from '../audit/audit.service.js';
+import { AUDIT_ACTIONS } from '../models/audit-event.model.js';
 
 /**
  * 获取所有用户控制器
  * GET /api/users
  * 
- * @description 获取系统中所有用户的列表，仅管理员可访问
+ * @description 分页获取用户列表，支持搜索、按角色和状态过滤、排序
+ * 默认按页码分页；pagination=cursor 或携带 cursor 时使用游标分页 (按创建时间排序，适合遍历整张表)
+ * 分页信息放在响应体的 pagination 中，同时通过 Link 响应头给出翻页链接
+ * 默认不包含已删除的用户，includeDeleted=true 需要 users:delete 权限
  * @middleware authenticateToken - 需要认证
- * @middleware requireAdmin - 需要管理员权限
+ * @middleware requirePermission - 需要 users:read 权限
  * 
  * @param {Object} req - Express请求对象
  * @param {Object} res - Express响应对象
  * @param {Function} next - Express下一个中间件函数
  * 
- * @returns {200} 成功返回用户列表
+ * @returns {200} 成功返回当前页的用户和分页信息
+ * @returns {400} 查询参数无效或游标无效
  * @returns {401} 未认证
- * @returns {403} 权限不足
+ * @returns {403} 权限不足 (包括没有 users:delete 权限时查询已删除的用户)
  * @returns {500} 服务器错误
  */
 export const fetchAllUsers = async (req, res, next) => {
   try {
-    logger.info(`管理员 ${req.user.email} 正在获取所有用户列表`);
+    // 1. 验证查询参数
+    const validationResult = userQuerySchema.safeParse(req.query);
+
+    if (!validationResult.success) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        message: '查询参数无效',
+        details: formatValidationError(validationResult.error)
+      });
+    }
+
+    const query = validationResult.data;
+
+    // 2. 只有可以删除和恢复用户的管理员能看到已删除的用户
+    if (query.includeDeleted && !hasPermission(await getRolePermissions(req.user.role), PERMISSIONS.USERS_DELETE)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: '您没有查看已删除用户的权限',
+      });
+    }
+
+    logger.info(`管理员 ${req.user.email} 正在获取用户列表`);
 
-    // 调用服务层获取所有用户
-    const allUsers = await getAllUsers();
+    // 3. 调用服务层分页查询
+    const { users, pagination } =
+      query.pagination === 'cursor' ? await listUsersByCursor(query) : await listUsers(query);
 
-    logger.info(`成功获取 ${allUsers.length} 个用户`);
+    logger.info(`成功获取 ${users.length} 个用户 (${query.pagination === 'cursor' ? '游标分页' : `第 ${pagination.page}/${pagination.totalPages} 页，共 ${pagination.total} 个`})`);
 
-    // 返回成功响应
+    // 4. 分页链接
+    const links = formatPaginationLinks(req, pagination);
+
+    if (links) {
+      res.set('Link', links);
+    }
+
+    // 5. 返回成功响应
     res.status(200).json({
       success: true,
       message: '成功获取用户列表',
       data: {
-        users: allUsers,
-        count: allUsers.length,
+        users,
+        pagination,
         timestamp: new Date().toISOString()
       }
     });
   } catch (error) {
     logger.error(`获取用户列表失败: ${error.message}`);
+
+    if (error.message === 'Invalid cursor') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid cursor',
+        message: '分页游标无效，或与当前的过滤和排序条件不一致'
+      });
+    }
+
     next(error);
   }
 };
@@ -59,7 +124,7 @@ export const fetchAllUsers = async (req, res, next) => {
  * 
  * @description 获取特定用户的详细信息
  * @middleware authenticateToken - 需要认证
- * @middleware requireOwnership - 用户只能查看自己的信息，管理员可查看任何用户
+ * @middleware requireOwnership - 用户只能查看自己的信息，拥有 users:read 权限可查看任何用户
  * 
  * @param {Object} req - Express请求对象
  * @param {string} req.params.id - 用户ID
@@ -127,21 +192,21 @@ export const fetchUserById = async (req, res, next) => {
  * 
  * @description 更新用户信息，包含权限控制和数据验证
  * @middleware authenticateToken - 需要认证
- * @middleware requireOwnership - 用户只能更新自己的信息，管理员可更新任何用户
+ * @middleware requireOwnership - 用户只能更新自己的信息，拥有 users:update 权限可更新任何用户
  * 
  * @param {Object} req - Express请求对象
  * @param {string} req.params.id - 用户ID
  * @param {Object} req.body - 更新数据
  * @param {string} [req.body.name] - 用户姓名
  * @param {string} [req.body.email] - 用户邮箱
- * @param {string} [req.body.role] - 用户角色 (仅管理员可修改)
+ * @param {string} [req.body.role] - 用户角色 (需要 users:update_role 权限)
  * @param {Object} res - Express响应对象
  * @param {Function} next - Express下一个中间件函数
  * 
  * @returns {200} 成功更新用户信息
  * @returns {400} 请求数据无效
  * @returns {401} 未认证
- * @returns {403} 权限不足
+ * @returns {403} 权限不足或目标用户权限超出自己
  * @returns {404} 用户不存在
  * @returns {409} 邮箱已存在
  * @returns {500} 服务器错误
@@ -186,8 +251,10 @@ export const updateUserById = async (req, res, next) => {
       });
     }
 
-    // 4. 检查是否允许更新此用户 (用户只能更新自己的信息，管理员可以更新任何用户)
-    if (req.user.role !== 'admin' && req.user.id !== id) {
+    // 4. 检查是否允许更新此用户 (用户只能更新自己的信息，拥有 users:update 权限可以更新任何用户)
+    const permissions = await getRolePermissions(req.user.role);
+
+    if (req.user.id !== id && !hasPermission(permissions, PERMISSIONS.USERS_UPDATE)) {
       return res.status(403).json({
         success: false,
         error: 'Access denied',
@@ -195,27 +262,36 @@ export const updateUserById = async (req, res, next) => {
       });
     }
 
-    // 5. 角色权限检查 (只有管理员可以修改用户角色)
-    if (updates.role && req.user.role !== 'admin') {
+    // 5. 角色权限检查 (需要 users:update_role 权限)
+    if (updates.role && !hasPermission(permissions, PERMISSIONS.USERS_UPDATE_ROLE)) {
       return res.status(403).json({
         success: false,
         error: 'Access denied',
-        message: '只有管理员可以修改用户角色',
+        message: '您没有修改用户角色的权限',
       });
     }
 
-    // 6. 如果非管理员用户尝试更新自己的信息，移除角色字段
-    if (req.user.role !== 'admin') {
-      delete updates.role;
-      logger.info(`非管理员用户 ${req.user.email} 更新个人信息，已移除角色字段`);
+    // 6. 不能修改权限超出自己的用户 (如普通管理员修改或降级超级管理员)
+    if (req.user.id !== id) {
+      const target = await getUserById(id);
+      await assertCanManageUser(permissions, target.role);
     }
 
-    // 7. 调用服务层更新用户
-    const updatedUser = await updateUser(id, updates);
+    // 7. 只能授予不超过自己权限的角色，防止通过修改角色提升权限
+    if (updates.role && !(await canManageRole(permissions, updates.role))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: '不能授予超出自己权限的角色',
+      });
+    }
+
+    // 8. 调用服务层更新用户 (角色不存在时抛出错误)
+    const updatedUser = await updateUser(id, updates, auditContext(req));
 
     logger.info(`用户 ${updatedUser.email} 信息更新成功`);
 
-    // 8. 返回更新后的用户信息
+    // 9. 返回更新后的用户信息
     res.status(200).json({
       success: true,
       message: '用户信息更新成功',
@@ -244,6 +320,22 @@ export const updateUserById = async (req, res, next) => {
       });
     }
 
+    if (error.message === 'Role not found') {
+      return res.status(400).json({
+        success: false,
+        error: 'Role not found',
+        message: '角色不存在'
+      });
+    }
+
+    if (error.message === 'Insufficient privileges') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: '不能操作权限超出自己的用户'
+      });
+    }
+
     next(error);
   }
 };
@@ -252,9 +344,9 @@ export const updateUserById = async (req, res, next) => {
  * 删除用户控制器
  * DELETE /api/users/:id
  * 
- * @description 删除用户，仅管理员可执行，且不能删除自己
+ * @description 软删除用户，保留期内可以通过 POST /api/users/:id/restore 恢复，且不能删除自己
  * @middleware authenticateToken - 需要认证
- * @middleware requireAdmin - 需要管理员权限
+ * @middleware requirePermission - 需要 users:delete 权限
  * 
  * @param {Object} req - Express请求对象
  * @param {string} req.params.id - 用户ID
@@ -264,7 +356,7 @@ export const updateUserById = async (req, res, next) => {
  * @returns {200} 成功删除用户
  * @returns {400} 请求参数无效
  * @returns {401} 未认证
- * @returns {403} 权限不足或试图删除自己
+ * @returns {403} 权限不足、试图删除自己或目标用户权限超出自己
  * @returns {404} 用户不存在
  * @returns {500} 服务器错误
  */
@@ -295,16 +387,18 @@ export const deleteUserById = async (req, res, next) => {
       });
     }
 
-    // 3. 只有管理员可以删除用户
-    if (req.user.role !== 'admin') {
+    // 3. 检查删除权限 (路由已通过 requirePermission 检查，此处防止控制器被挂载到其他路由时遗漏)
+    const permissions = await getRolePermissions(req.user.role);
+
+    if (!hasPermission(permissions, PERMISSIONS.USERS_DELETE)) {
       return res.status(403).json({
         success: false,
         error: 'Access denied',
-        message: '只有管理员可以删除用户',
+        message: '您没有删除用户的权限',
       });
     }
 
-    // 4. 防止管理员删除自己
+    // 4. 防止删除自己
     if (req.user.id === id) {
       return res.status(403).json({
         success: false,
@@ -313,12 +407,16 @@ export const deleteUserById = async (req, res, next) => {
       });
     }
 
-    // 5. 调用服务层删除用户
-    const deletedUser = await deleteUser(id);
+    // 5. 不能删除权限超出自己的用户
+    const target = await getUserById(id);
+    await assertCanManageUser(permissions, target.role);
+
+    // 6. 调用服务层删除用户
+    const deletedUser = await deleteUser(id, auditContext(req));
 
     logger.info(`用户 ${deletedUser.email} 已被管理员 ${req.user.email} 删除`);
 
-    // 6. 返回删除成功响应
+    // 7. 返回删除成功响应
     res.status(200).json({
       success: true,
       message: '用户删除成功',
@@ -327,7 +425,8 @@ export const deleteUserById = async (req, res, next) => {
           id: deletedUser.id,
           name: deletedUser.name,
           email: deletedUser.email,
-          role: deletedUser.role
+          role: deletedUser.role,
+          deleted_at: deletedUser.deleted_at
         },
         timestamp: new Date().toISOString(),
         deletedBy: {
@@ -348,54 +447,742 @@ export const deleteUserById = async (req, res, next) => {
       });
     }
 
+    if (error.message === 'Insufficient privileges') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: '不能操作权限超出自己的用户'
+      });
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * 恢复已删除用户控制器
+ * POST /api/users/:id/restore
+ * 
+ * @description 恢复保留期内被删除的用户，用户需要重新登录
+ * @middleware authenticateToken - 需要认证
+ * @middleware requirePermission - 需要 users:delete 权限
+ * 
+ * @param {Object} req - Express请求对象
+ * @param {string} req.params.id - 用户ID
+ * @param {Object} res - Express响应对象
+ * @param {Function} next - Express下一个中间件函数
+ * 
+ * @returns {200} 成功恢复用户
+ * @returns {400} 请求参数无效
+ * @returns {401} 未认证
+ * @returns {403} 权限不足或目标用户权限超出自己
+ * @returns {404} 用户不存在或已被彻底删除
+ * @returns {409} 用户未被删除，或邮箱已被其他用户使用
+ * @returns {500} 服务器错误
+ */
+export const restoreUserById = async (req, res, next) => {
+  try {
+    logger.info(`恢复已删除用户 - ID: ${req.params.id}, 操作者: ${req.user.email}`);
+
+    // 1. 验证用户ID参数
+    const validationResult = userIdSchema.safeParse({ id: req.params.id });
+
+    if (!validationResult.success) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        message: '用户ID格式无效',
+        details: formatValidationError(validationResult.error),
+      });
+    }
+
+    const { id } = validationResult.data;
+
+    // 2. 不能恢复权限超出自己的用户
+    const target = await getUserById(id, { includeDeleted: true });
+    await assertCanManageUser(await getRolePermissions(req.user.role), target.role);
+
+    // 3. 调用服务层恢复用户
+    const restoredUser = await restoreUser(id, auditContext(req));
+
+    logger.info(`用户 ${restoredUser.email} 已被管理员 ${req.user.email} 恢复`);
+
+    // 4. 返回成功响应
+    res.status(200).json({
+      success: true,
+      message: '用户已恢复',
+      data: {
+        user: restoredUser,
+        timestamp: new Date().toISOString(),
+        restoredBy: {
+          id: req.user.id,
+          email: req.user.email
+        }
+      }
+    });
+  } catch (error) {
+    logger.error(`恢复已删除用户失败: ${error.message}`);
+
+    if (error.message === 'User not found') {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found',
+        message: '用户不存在或已被彻底删除'
+      });
+    }
+
+    if (error.message === 'User is not deleted') {
+      return res.status(409).json({
+        success: false,
+        error: 'User is not deleted',
+        message: '该用户未被删除'
+      });
+    }
+
+    if (error.message === 'Email already exists') {
+      return res.status(409).json({
+        success: false,
+        error: 'Email already exists',
+        message: '该用户的邮箱已被其他用户使用，无法恢复'
+      });
+    }
+
+    if (error.message === 'Insufficient privileges') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: '不能操作权限超出自己的用户'
+      });
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * 封禁用户控制器
+ * POST /api/users/:id/suspend
+ * 
+ * @description 封禁指定用户，该用户已签发的令牌立即失效，且无法再次登录
+ * 不能封禁自己
+ * @middleware authenticateToken - 需要认证
+ * @middleware requirePermission - 需要 users:suspend 权限
+ * 
+ * @param {Object} req - Express请求对象
+ * @param {string} req.params.id - 用户ID
+ * @param {string} req.body.reason - 封禁原因
+ * @param {Object} res - Express响应对象
+ * @param {Function} next - Express下一个中间件函数
+ * 
+ * @returns {200} 成功封禁用户
+ * @returns {400} 请求参数无效
+ * @returns {401} 未认证
+ * @returns {403} 权限不足、试图封禁自己或目标用户权限超出自己
+ * @returns {404} 用户不存在
+ * @returns {409} 用户已被封禁
+ * @returns {500} 服务器错误
+ */
+export const suspendUserById = async (req, res, next) => {
+  try {
+    logger.info(`封禁用户 - ID: ${req.params.id}, 操作者: ${req.user.email}`);
+
+    // 1. 验证用户ID参数
+    const idValidationResult = userIdSchema.safeParse({ id: req.params.id });
+
+    if (!idValidationResult.success) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        message: '用户ID格式无效',
+        details: formatValidationError(idValidationResult.error),
+      });
+    }
+
+    // 2. 验证封禁原因
+    const bodyValidationResult = userStatusChangeSchema.safeParse(req.body);
+
+    if (!bodyValidationResult.success) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        message: '请求数据格式无效',
+        details: formatValidationError(bodyValidationResult.error),
+      });
+    }
+
+    const { id } = idValidationResult.data;
+    const { reason } = bodyValidationResult.data;
+
+    // 3. 防止管理员封禁自己
+    if (req.user.id === id) {
+      return res.status(403).json({
+        success: false,
+        error: 'Operation denied',
+        message: '您不能封禁自己的账户',
+      });
+    }
+
+    // 4. 不能封禁权限超出自己的用户
+    const target = await getUserById(id);
+    await assertCanManageUser(await getRolePermissions(req.user.role), target.role);
+
+    // 5. 调用服务层封禁用户
+    const suspendedUser = await suspendUser(id, reason, auditContext(req));
+
+    logger.info(`用户 ${suspendedUser.email} 已被管理员 ${req.user.email} 封禁, 原因: ${reason}`);
+
+    // 6. 返回成功响应
+    res.status(200).json({
+      success: true,
+      message: '用户已封禁',
+      data: {
+        user: suspendedUser,
+        timestamp: new Date().toISOString(),
+        suspendedBy: {
+          id: req.user.id,
+          email: req.user.email
+        }
+      }
+    });
+  } catch (error) {
+    logger.error(`封禁用户失败: ${error.message}`);
+
+    if (error.message === 'User not found') {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found',
+        message: '用户不存在'
+      });
+    }
+
+    if (error.message === 'User already suspended') {
+      return res.status(409).json({
+        success: false,
+        error: 'User already suspended',
+        message: '该用户已处于封禁状态'
+      });
+    }
+
+    if (error.message === 'Insufficient privileges') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: '不能操作权限超出自己的用户'
+      });
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * 恢复用户控制器
+ * POST /api/users/:id/reactivate
+ * 
+ * @description 恢复被封禁的用户，用户需要重新登录
+ * 不能操作自己
+ * @middleware authenticateToken - 需要认证
+ * @middleware requirePermission - 需要 users:suspend 权限
+ * 
+ * @param {Object} req - Express请求对象
+ * @param {string} req.params.id - 用户ID
+ * @param {string} req.body.reason - 恢复原因
+ * @param {Object} res - Express响应对象
+ * @param {Function} next - Express下一个中间件函数
+ * 
+ * @returns {200} 成功恢复用户
+ * @returns {400} 请求参数无效
+ * @returns {401} 未认证
+ * @returns {403} 权限不足、试图操作自己或目标用户权限超出自己
+ * @returns {404} 用户不存在
+ * @returns {409} 用户未被封禁
+ * @returns {500} 服务器错误
+ */
+export const reactivateUserById = async (req, res, next) => {
+  try {
+    logger.info(`恢复用户 - ID: ${req.params.id}, 操作者: ${req.user.email}`);
+
+    // 1. 验证用户ID参数
+    const idValidationResult = userIdSchema.safeParse({ id: req.params.id });
+
+    if (!idValidationResult.success) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        message: '用户ID格式无效',
+        details: formatValidationError(idValidationResult.error),
+      });
+    }
+
+    // 2. 验证恢复原因
+    const bodyValidationResult = userStatusChangeSchema.safeParse(req.body);
+
+    if (!bodyValidationResult.success) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        message: '请求数据格式无效',
+        details: formatValidationError(bodyValidationResult.error),
+      });
+    }
+
+    const { id } = idValidationResult.data;
+    const { reason } = bodyValidationResult.data;
+
+    // 3. 防止管理员操作自己
+    if (req.user.id === id) {
+      return res.status(403).json({
+        success: false,
+        error: 'Operation denied',
+        message: '您不能修改自己的账户状态',
+      });
+    }
+
+    // 4. 不能操作权限超出自己的用户
+    const target = await getUserById(id);
+    await assertCanManageUser(await getRolePermissions(req.user.role), target.role);
+
+    // 5. 调用服务层恢复用户
+    const reactivatedUser = await reactivateUser(id, reason, auditContext(req));
+
+    logger.info(`用户 ${reactivatedUser.email} 已被管理员 ${req.user.email} 恢复, 原因: ${reason}`);
+
+    // 6. 返回成功响应
+    res.status(200).json({
+      success: true,
+      message: '用户已恢复',
+      data: {
+        user: reactivatedUser,
+        timestamp: new Date().toISOString(),
+        reactivatedBy: {
+          id: req.user.id,
+          email: req.user.email
+        }
+      }
+    });
+  } catch (error) {
+    logger.error(`恢复用户失败: ${error.message}`);
+
+    if (error.message === 'User not found') {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found',
+        message: '用户不存在'
+      });
+    }
+
+    if (error.message === 'User is not suspended') {
+      return res.status(409).json({
+        success: false,
+        error: 'User is not suspended',
+        message: '该用户未处于封禁状态'
+      });
+    }
+
+    if (error.message === 'Insufficient privileges') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: '不能操作权限超出自己的用户'
+      });
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * 解除登录锁定控制器
+ * POST /api/users/:id/unlock
+ * 
+ * @description 清除用户因连续登录失败产生的临时锁定
+ * @middleware authenticateToken - 需要认证
+ * @middleware requirePermission - 需要 users:unlock 权限
+ * 
+ * @param {Object} req - Express请求对象
+ * @param {string} req.params.id - 用户ID
+ * @param {Object} res - Express响应对象
+ * @param {Function} next - Express下一个中间件函数
+ * 
+ * @returns {200} 成功解除锁定
+ * @returns {400} 请求参数无效
+ * @returns {401} 未认证
+ * @returns {403} 权限不足或目标用户权限超出自己
+ * @returns {404} 用户不存在
+ * @returns {500} 服务器错误
+ */
+export const unlockUserById = async (req, res, next) => {
+  try {
+    logger.info(`解除用户登录锁定 - ID: ${req.params.id}, 操作者: ${req.user.email}`);
+
+    // 1. 验证用户ID参数
+    const validationResult = userIdSchema.safeParse({ id: req.params.id });
+
+    if (!validationResult.success) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        message: '用户ID格式无效',
+        details: formatValidationError(validationResult.error),
+      });
+    }
+
+    const { id } = validationResult.data;
+
+    // 2. 不能操作权限超出自己的用户
+    const target = await getUserById(id);
+    await assertCanManageUser(await getRolePermissions(req.user.role), target.role);
+
+    // 3. 调用服务层解除锁定
+    const { user, wasLocked } = await unlockUserLogin(id, auditContext(req));
+
+    logger.info(`用户 ${user.email} 的登录锁定已被管理员 ${req.user.email} 解除`);
+
+    // 4. 返回成功响应
+    res.status(200).json({
+      success: true,
+      message: wasLocked ? '登录锁定已解除' : '该用户当前没有登录锁定',
+      data: {
+        user: {
+          id: user.id,
+          name: user.name,
+          email: user.email
+        },
+        wasLocked,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    logger.error(`解除用户登录锁定失败: ${error.message}`);
+
+    if (error.message === 'User not found') {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found',
+        message: '用户不存在'
+      });
+    }
+
+    if (error.message === 'Insufficient privileges') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: '不能操作权限超出自己的用户'
+      });
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * 模拟登录控制器
+ * POST /api/users/:id/impersonate
+ * 
+ * @description 以目标用户身份签发短期模拟令牌，令牌的 act 声明记录真正的操作者
+ * Cookie模式下替换访问令牌Cookie (操作者的刷新令牌Cookie保持不变)，令牌模式下在响应体中返回
+ * @middleware authenticateToken - 需要认证
+ * @middleware requireSession - 不能使用API密钥
+ * @middleware forbidImpersonation - 不能在模拟登录状态下再次模拟
+ * @middleware requirePermission - 需要 users:impersonate 权限
+ * @middleware requireMfa - 当前会话需要已完成双因素认证
+ * 
+ * @param {Object} req - Express请求对象
+ * @param {string} req.params.id - 目标用户ID
+ * @param {string} req.body.reason - 模拟登录原因
+ * @param {Object} res - Express响应对象
+ * @param {Function} next - Express下一个中间件函数
+ * 
+ * @returns {200} 成功开始模拟登录
+ * @returns {400} 请求参数无效
+ * @returns {403} 尝试模拟自己、目标权限高于自己或目标账户未激活
+ * @returns {404} 用户不存在
+ * @returns {500} 服务器错误
+ */
+export const impersonateUserById = async (req, res, next) => {
+  try {
+    logger.info(`模拟登录 - 目标ID: ${req.params.id}, 操作者: ${req.user.email}`);
+
+    // 1. 验证用户ID参数
+    const idValidationResult = userIdSchema.safeParse({ id: req.params.id });
+
+    if (!idValidationResult.success) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        message: '用户ID格式无效',
+        details: formatValidationError(idValidationResult.error),
+      });
+    }
+
+    // 2. 验证模拟登录原因
+    const bodyValidationResult = impersonateUserSchema.safeParse(req.body);
+
+    if (!bodyValidationResult.success) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        message: '请求数据格式无效',
+        details: formatValidationError(bodyValidationResult.error),
+      });
+    }
+
+    const { id } = idValidationResult.data;
+    const { reason } = bodyValidationResult.data;
+
+    // 3. 调用服务层签发模拟令牌
+    const { token, expiresAt, user } = await startImpersonation(req.user, id);
+
+    await recordAuditEvent(
+      {
+        action: AUDIT_ACTIONS.IMPERSONATION_STARTED,
+        target: { type: 'user', id: user.id },
+        metadata: { targetEmail: user.email, reason, expiresAt },
+      },
+      auditContext(req)
+    );
+
+    // 4. 下发模拟令牌
+    const tokenMode = isTokenMode(req);
+
+    if (!tokenMode) {
+      cookies.set(res, 'token', token, { preset: 'accessToken', maxAge: expiresAt.getTime() - Date.now() });
+    }
+
+    // 5. 返回成功响应
+    res.status(200).json({
+      success: true,
+      message: `正在以 ${user.email} 的身份访问，结束后调用 POST /api/auth/impersonation/stop`,
+      data: {
+        user: {
+          id: user.id,
+          name: user.name,
+          email: user.email,
+          role: user.role
+        },
+        impersonation: {
+          actor: {
+            id: req.user.id,
+            email: req.user.email
+          },
+          expiresAt
+        },
+        ...(tokenMode && { tokenType: 'Bearer', accessToken: token })
+      }
+    });
+  } catch (error) {
+    logger.error(`模拟登录失败: ${error.message}`);
+
+    if (error.message === 'User not found') {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found',
+        message: '用户不存在'
+      });
+    }
+
+    if (error.message === 'Cannot impersonate yourself') {
+      return res.status(403).json({
+        success: false,
+        error: 'Operation denied',
+        message: '您不能模拟登录自己的账户',
+      });
+    }
+
+    if (error.message === 'Cannot impersonate user with higher privileges') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: '不能模拟权限超出自己的用户',
+      });
+    }
+
+    if (['Account pending verification', 'Account suspended', 'Account inactive'].includes(error.message)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Account not active',
+        message: '只能模拟登录状态正常的账户',
+      });
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * 批量操作需要的权限
+ */
+const BATCH_OPERATION_PERMISSIONS = {
+  delete: PERMISSIONS.USERS_DELETE,
+  restore: PERMISSIONS.USERS_DELETE,
+  updateRole: PERMISSIONS.USERS_UPDATE_ROLE,
+  suspend: PERMISSIONS.USERS_SUSPEND,
+};
+
+/**
+ * 批量用户操作控制器
+ * POST /api/users/batch
+ * 
+ * @description 对多个用户执行删除、修改角色、封禁或恢复，所有修改在一个数据库事务中完成
+ * 任何用户无法执行操作时不做任何修改；dryRun 为 true 时只返回每个用户的检查结果
+ * 删除、修改角色和封禁不能包含操作者自己
+ * @middleware authenticateToken - 需要认证
+ * @middleware forbidImpersonation - 模拟登录时不可用
+ * @middleware requireMfa - 当前会话需要已完成双因素认证
+ * 
+ * @param {Object} req - Express请求对象
+ * @param {Object} req.body - 批量操作 (见 batchUserOperationSchema)
+ * @param {Object} res - Express响应对象
+ * @param {Function} next - Express下一个中间件函数
+ * 
+ * @returns {200} 执行成功 (或 dryRun 的检查结果)，data 为每个用户的处理结果
+ * @returns {400} 请求数据无效或角色不存在
+ * @returns {401} 未认证
+ * @returns {403} 缺少操作对应的权限、授予超出自己权限的角色或包含自己
+ * @returns {409} 部分用户无法执行操作，未做任何修改
+ * @returns {500} 服务器错误
+ */
+export const batchUpdateUsers = async (req, res, next) => {
+  try {
+    // 1. 验证请求数据
+    const validationResult = batchUserOperationSchema.safeParse(req.body);
+
+    if (!validationResult.success) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        message: '请求数据格式无效',
+        details: formatValidationError(validationResult.error),
+      });
+    }
+
+    const batch = validationResult.data;
+
+    logger.info(`批量用户操作 - ${batch.operation} (${batch.userIds.length} 个用户), 操作者: ${req.user.email}`);
+
+    // 2. 检查操作对应的权限
+    const permissions = await getRolePermissions(req.user.role);
+
+    if (!hasPermission(permissions, BATCH_OPERATION_PERMISSIONS[batch.operation])) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: '您没有执行该批量操作的权限',
+      });
+    }
+
+    // 3. 只能授予不超过自己权限的角色
+    if (batch.operation === 'updateRole' && !(await canManageRole(permissions, batch.newRole))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: '不能授予超出自己权限的角色',
+      });
+    }
+
+    // 4. 防止管理员删除、降级或封禁自己
+    if (batch.operation !== 'restore' && batch.userIds.includes(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Operation denied',
+        message: '批量操作不能包含您自己的账户',
+      });
+    }
+
+    // 5. 调用服务层执行批量操作
+    const report = await executeBatchUserOperation({ ...batch, actorPermissions: permissions }, auditContext(req));
+
+    // 6. 有用户无法执行时整批不执行
+    if (!report.dryRun && !report.applied) {
+      return res.status(409).json({
+        success: false,
+        error: 'Batch operation rejected',
+        message: '部分用户无法执行该操作，未做任何修改',
+        data: report,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: report.dryRun ? '批量操作检查完成，未做任何修改' : '批量操作执行成功',
+      data: {
+        ...report,
+        timestamp: new Date().toISOString(),
+      },
+    });
+  } catch (error) {
+    logger.error(`批量用户操作失败: ${error.message}`);
+
+    if (error.message === 'Role not found') {
+      return res.status(400).json({
+        success: false,
+        error: 'Role not found',
+        message: '角色不存在'
+      });
+    }
+
     next(error);
   }
 };
 
 /**
- * 获取用户统计信息控制器 (可选功能)
+ * 获取用户统计信息控制器
  * GET /api/users/stats
  * 
- * @description 获取用户统计信息，仅管理员可访问
+ * @description 获取用户总数、角色和状态分布、最近30天注册数、活跃用户数以及注册趋势
+ * 所有统计由数据库聚合完成，不加载用户列表
  * @middleware authenticateToken - 需要认证
- * @middleware requireAdmin - 需要管理员权限
+ * @middleware requirePermission - 需要 users:read 权限
  * 
  * @param {Object} req - Express请求对象
  * @param {Object} res - Express响应对象
  * @param {Function} next - Express下一个中间件函数
+ * 
+ * @query {string} [interval=day] - 注册趋势的统计粒度 (day/week/month)
+ * @query {string} [from] - 注册趋势的开始时间 (ISO 8601)
+ * @query {string} [to] - 注册趋势的结束时间 (ISO 8601)，默认为当前时间
+ * 
+ * @returns {200} 成功返回统计信息
+ * @returns {400} 查询参数无效或统计范围过大
  */
 export const getUserStats = async (req, res, next) => {
   try {
-    logger.info(`管理员 ${req.user.email} 获取用户统计信息`);
+    // 1. 验证查询参数
+    const validationResult = userStatsQuerySchema.safeParse(req.query);
 
-    const allUsers = await getAllUsers();
-    
-    // 统计不同角色的用户数量
-    const stats = allUsers.reduce((acc, user) => {
-      acc.total += 1;
-      acc.byRole[user.role] = (acc.byRole[user.role] || 0) + 1;
-      return acc;
-    }, {
-      total: 0,
-      byRole: {}
-    });
+    if (!validationResult.success) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        message: '查询参数无效',
+        details: formatValidationError(validationResult.error)
+      });
+    }
+
+    logger.info(`管理员 ${req.user.email} 获取用户统计信息`);
 
-    // 计算最近注册的用户 (最近30天)
-    const thirtyDaysAgo = new Date();
-    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-    
-    const recentUsers = allUsers.filter(user => 
-      new Date(user.created_at) > thirtyDaysAgo
-    ).length;
+    // 2. 并行执行各项聚合查询
+    const { interval, from, to } = validationResult.data;
+    const [counts, activeUsers, buckets] = await Promise.all([
+      getUserCount(),
+      getActiveUserCounts(),
+      getRegistrationSeries({ interval, from, to })
+    ]);
 
+    // 3. 返回成功响应
     res.status(200).json({
       success: true,
       message: '成功获取用户统计信息',
       data: {
         stats: {
-          totalUsers: stats.total,
-          usersByRole: stats.byRole,
-          recentRegistrations: recentUsers,
+          ...counts,
+          activeUsers,
+          registrations: {
+            interval,
+            from: from.toISOString(),
+            to: to.toISOString(),
+            buckets
+          },
           lastUpdated: new Date().toISOString()
         }
       }
@@ -419,31 +1206,31 @@ import {
   deleteUserById,
   getUserStats
 } from './users.controller.js';
-import { authenticateToken, requireAdmin, requireOwnership } from '../auth/auth.middleware.js';
+import { authenticateToken, requirePermission, requireOwnership } from '../auth/auth.middleware.js';
 
 const router = express.Router();
 
-// 获取所有用户 (仅管理员)
-router.get('/', authenticateToken, requireAdmin, fetchAllUsers);
+// 获取所有用户 (需要 users:read 权限)
+router.get('/', authenticateToken, requirePermission('users:read'), fetchAllUsers);
 
-// 获取用户统计 (仅管理员)
-router.get('/stats', authenticateToken, requireAdmin, getUserStats);
+// 获取用户统计 (需要 users:read 权限)
+router.get('/stats', authenticateToken, requirePermission('users:read'), getUserStats);
 
-// 获取特定用户 (用户可查看自己，管理员可查看任何人)
-router.get('/:id', authenticateToken, requireOwnership('id'), fetchUserById);
+// 获取特定用户 (用户可查看自己，拥有 users:read 权限可查看任何人)
+router.get('/:id', authenticateToken, requireOwnership('id', 'users:read'), fetchUserById);
 
-// 更新用户信息 (用户可更新自己，管理员可更新任何人)
-router.put('/:id', authenticateToken, requireOwnership('id'), updateUserById);
+// 更新用户信息 (用户可更新自己，拥有 users:update 权限可更新任何人)
+router.put('/:id', authenticateToken, requireOwnership('id', 'users:update'), updateUserById);
 
-// 删除用户 (仅管理员)
-router.delete('/:id', authenticateToken, requireAdmin, deleteUserById);
+// 删除用户 (需要 users:delete 权限)
+router.delete('/:id', authenticateToken, requirePermission('users:delete'), deleteUserById);
 
 API 调用示例:
 
 1. 获取所有用户:
 GET /api/users
 Cookie: token=...
-Authorization: admin required
+Authorization: permission required
 
 2. 获取特定用户:
 GET /api/users/123
@@ -462,6 +1249,6 @@ Content-Type: application/json
 4. 删除用户:
 DELETE /api/users/123
 Cookie: token=...
-Authorization: admin required
+Authorization: permission required
 
 */
\ No newline at end of file
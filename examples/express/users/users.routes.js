@@ -4,14 +4,26 @@ import {
   fetchUserById,
   updateUserById,
   deleteUserById,
+  restoreUserById,
+  batchUpdateUsers,
   getUserStats,
+  suspendUserById,
+  reactivateUserById,
+  unlockUserById,
+  impersonateUserById,
 } from './users.controller.js';
 import { 
   authenticateToken, 
-  requireRole, 
-  requireAdmin, 
+  requirePermission,
+  requireMfa,
+  requireMfaWhen,
+  requireScope,
+  requireSession,
+  forbidImpersonation,
   requireOwnership 
 } from '../auth/auth.middleware.js';
+import { API_KEY_SCOPES } from '../models/api-key.model.js';
+import { PERMISSIONS } from '../models/role.model.js';
 
 /**
  * 用户管理路由配置
@@ -25,104 +37,292 @@ const router = express.Router();
  * 获取用户统计信息路由
  * GET /api/users/stats
  * 
- * @description 获取系统用户的统计信息，包括总数、角色分布等
+ * @description 获取系统用户的统计信息，包括总数、角色和状态分布、活跃用户数和注册趋势
  * @middleware authenticateToken - 需要认证
- * @middleware requireAdmin - 需要管理员权限
+ * @middleware requirePermission - 需要 users:read 权限
+ * @middleware requireMfa - 当前会话需要已完成双因素认证
  * 
  * 注意：这个路由必须放在 /:id 路由之前，否则 'stats' 会被当作用户ID
  * 
+ * @query {string} [interval=day] - 注册趋势的统计粒度 (day/week/month)
+ * @query {string} [from] - 开始时间 (ISO 8601)，默认按天30天、按周12周、按月12个月之前
+ * @query {string} [to] - 结束时间 (ISO 8601)，默认为当前时间
+ * 
  * @returns {200} 成功返回统计信息
+ * @returns {400} 查询参数无效或统计范围过大 (最多366个时间段)
  * @returns {401} 未认证
  * @returns {403} 权限不足
  * @returns {500} 服务器错误
  */
-router.get('/stats', authenticateToken, requireAdmin, getUserStats);
+router.get('/stats', authenticateToken, requirePermission(PERMISSIONS.USERS_READ), requireMfa, getUserStats);
+
+/**
+ * 批量用户操作路由
+ * POST /api/users/batch
+ * 
+ * @description 对多个用户执行删除、修改角色、封禁或恢复，所有修改在一个数据库事务中完成
+ * @middleware authenticateToken - 需要认证
+ * @middleware forbidImpersonation - 模拟登录时不可用
+ * @middleware requireMfa - 当前会话需要已完成双因素认证
+ * 
+ * @body {string} operation - 操作类型 (delete/updateRole/suspend/restore)
+ * @body {Array<number>} userIds - 用户ID列表 (1-50个)
+ * @body {string} [newRole] - 新角色 (updateRole 时必填)
+ * @body {string} [reason] - 操作原因 (suspend 时必填)
+ * @body {boolean} [dryRun=false] - 只检查每个用户能否执行，不做任何修改
+ * 
+ * 权限 (由控制器按操作类型检查):
+ * - delete、restore 需要 users:delete
+ * - updateRole 需要 users:update_role，且不能授予超出自己权限的角色
+ * - suspend 需要 users:suspend
+ * - 不能操作当前角色权限超出自己的用户
+ * 
+ * 每个用户的处理结果:
+ * - updated  已修改 (applied 为 false 时表示将会被修改)
+ * - skipped  已处于目标状态，或检查后被同时修改
+ * - failed   用户不存在、权限超出操作者 (INSUFFICIENT_PRIVILEGES)，或恢复时邮箱已被占用；有任何失败时整批不执行
+ * 
+ * @returns {200} 执行成功或 dryRun 检查结果
+ * @returns {400} 请求数据无效或角色不存在
+ * @returns {401} 未认证
+ * @returns {403} 权限不足、处于模拟登录状态，或删除/修改角色/封禁时包含自己
+ * @returns {409} 部分用户无法执行操作，未做任何修改 (data 中包含每个用户的结果)
+ * @returns {500} 服务器错误
+ */
+router.post('/batch', authenticateToken, forbidImpersonation, requireMfa, batchUpdateUsers);
 
 /**
  * 获取所有用户路由
  * GET /api/users
  * 
- * @description 获取系统中所有用户的列表，仅管理员可访问
+ * @description 分页获取用户列表，搜索、过滤和排序都在数据库中完成
  * @middleware authenticateToken - 需要认证
- * @middleware requireAdmin - 需要管理员权限
+ * @middleware requirePermission - 需要 users:read 权限
+ * @middleware requireMfa - 当前会话需要已完成双因素认证
+ * @query {number} [page=1] - 页码，(page - 1) × limit 不能超过 10000，更深的遍历使用游标分页
+ * @query {number} [limit=10] - 每页数量 (1-100)
+ * @query {string} [search] - 按姓名或邮箱模糊搜索
+ * @query {string} [role] - 角色过滤
+ * @query {string} [status] - 状态过滤 (pending/active/suspended/inactive)
+ * @query {string} [includeDeleted=false] - 是否包含已删除的用户 (需要 users:delete 权限)
+ * @query {string} [sortBy=created_at] - 排序字段 (id/name/email/created_at/updated_at)
+ * @query {string} [sortOrder=desc] - 排序方向 (asc/desc)
+ * @query {string} [pagination=offset] - 分页方式 (offset/cursor)，cursor 只支持按 created_at 排序
+ * @query {string} [cursor] - 游标分页时上一次返回的 nextCursor 或 prevCursor
  * 
- * @returns {200} 成功返回用户列表
+ * @returns {200} 成功返回当前页的用户和分页信息，Link 响应头包含翻页链接
+ * @returns {400} 查询参数无效，或游标无效、与当前过滤和排序条件不一致
  * @returns {401} 未认证
- * @returns {403} 权限不足 (非管理员)
+ * @returns {403} 权限不足 (缺少权限，或没有 users:delete 权限时查询已删除的用户)
  * @returns {500} 服务器错误
  */
-router.get('/', authenticateToken, requireAdmin, fetchAllUsers);
+router.get('/', authenticateToken, requirePermission(PERMISSIONS.USERS_READ), requireMfa, fetchAllUsers);
 
 /**
  * 根据ID获取用户路由
  * GET /api/users/:id
  * 
  * @description 获取特定用户的详细信息
- * @middleware authenticateToken - 需要认证
- * @middleware requireOwnership - 用户只能查看自己的信息，管理员可查看任何用户
+ * @middleware authenticateToken - 需要认证 (支持API密钥)
+ * @middleware requireScope - API密钥需要 users:read 授权范围
+ * @middleware requireOwnership - 用户只能查看自己的信息，拥有 users:read 权限可查看任何用户
  * 
  * @param {string} id - 用户ID (路径参数)
  * 
  * @returns {200} 成功返回用户信息
  * @returns {400} 用户ID格式无效
  * @returns {401} 未认证
- * @returns {403} 权限不足 (用户尝试查看他人信息)
+ * @returns {403} 权限不足 (用户尝试查看他人信息，或API密钥缺少授权范围)
  * @returns {404} 用户不存在
  * @returns {500} 服务器错误
  */
-router.get('/:id', authenticateToken, requireOwnership('id'), fetchUserById);
+router.get('/:id', authenticateToken, requireScope(API_KEY_SCOPES.USERS_READ), requireOwnership('id', PERMISSIONS.USERS_READ), fetchUserById);
 
 /**
  * 更新用户信息路由
  * PUT /api/users/:id
  * 
  * @description 更新用户信息，支持细粒度的权限控制
- * @middleware authenticateToken - 需要认证
- * @middleware requireOwnership - 用户只能更新自己的信息，管理员可更新任何用户
+ * @middleware authenticateToken - 需要认证 (支持API密钥)
+ * @middleware forbidImpersonation - 模拟登录时不可用 (不能以被模拟用户的身份修改邮箱或角色)
+ * @middleware requireScope - API密钥需要 users:write 授权范围
+ * @middleware requireOwnership - 用户只能更新自己的信息，拥有 users:update 权限可更新任何用户
+ * @middleware requireMfaWhen - 修改角色时当前会话需要已完成双因素认证
  * 
  * @param {string} id - 用户ID (路径参数)
  * @body {string} [name] - 新的用户姓名
  * @body {string} [email] - 新的用户邮箱
- * @body {string} [role] - 新的用户角色 (仅管理员可修改)
+ * @body {string} [role] - 新的用户角色 (需要 users:update_role 权限和双因素认证，角色必须已在 /api/roles 中定义)
  * 
  * 权限说明:
  * - 用户可以更新自己的姓名和邮箱
  * - 用户不能修改自己的角色
- * - 管理员可以更新任何用户的所有信息
- * - 管理员可以修改任何用户的角色
+ * - 拥有 users:update 权限可以更新任何用户的姓名和邮箱
+ * - 拥有 users:update_role 权限可以修改其他用户的角色
+ * - 不能修改当前角色权限超出自己的用户，也不能授予超出自己权限的角色
  * 
  * @returns {200} 成功更新用户信息
  * @returns {400} 请求数据格式无效
  * @returns {401} 未认证
- * @returns {403} 权限不足 (用户尝试更新他人信息或修改角色)
+ * @returns {400} 请求数据格式无效或角色不存在
+ * @returns {403} 权限不足 (用户尝试更新他人信息或修改角色、目标用户权限超出自己，或API密钥缺少授权范围)、修改角色时未完成双因素认证 (MFA_REQUIRED)，或处于模拟登录状态
  * @returns {404} 用户不存在
  * @returns {409} 邮箱已被其他用户使用
  * @returns {500} 服务器错误
  */
-router.put('/:id', authenticateToken, requireOwnership('id'), updateUserById);
+router.put('/:id', authenticateToken, forbidImpersonation, requireScope(API_KEY_SCOPES.USERS_WRITE), requireOwnership('id', PERMISSIONS.USERS_UPDATE), requireMfaWhen(req => req.body?.role !== undefined), updateUserById);
 
 /**
  * 删除用户路由
  * DELETE /api/users/:id
  * 
- * @description 删除指定用户，仅管理员可执行，且不能删除自己
+ * @description 删除指定用户，且不能删除自己
  * @middleware authenticateToken - 需要认证
- * @middleware requireAdmin - 需要管理员权限
+ * @middleware forbidImpersonation - 模拟登录时不可用
+ * @middleware requirePermission - 需要 users:delete 权限
+ * @middleware requireMfa - 当前会话需要已完成双因素认证
  * 
  * @param {string} id - 用户ID (路径参数)
  * 
  * 安全限制:
- * - 只有管理员可以删除用户
- * - 管理员不能删除自己的账户
+ * - 只有拥有 users:delete 权限的用户可以删除用户
+ * - 不能删除自己的账户
+ * 
+ * 效果:
+ * - 软删除：设置 deleted_at，该用户已签发的令牌和所有会话立即失效，无法再登录
+ * - 已删除的用户不出现在列表和查询中，邮箱可以重新注册
+ * - 保留 USER_PURGE_RETENTION_DAYS 天 (默认30天) 后由清理任务彻底删除
  * 
  * @returns {200} 成功删除用户
  * @returns {400} 用户ID格式无效
  * @returns {401} 未认证
- * @returns {403} 权限不足 (非管理员) 或 操作被拒绝 (尝试删除自己)
+ * @returns {403} 权限不足 (缺少权限或目标用户权限超出自己)、操作被拒绝 (尝试删除自己) 或处于模拟登录状态
  * @returns {404} 用户不存在
  * @returns {500} 服务器错误
  */
-router.delete('/:id', authenticateToken, requireAdmin, deleteUserById);
+router.delete('/:id', authenticateToken, forbidImpersonation, requirePermission(PERMISSIONS.USERS_DELETE), requireMfa, deleteUserById);
+
+/**
+ * 恢复已删除用户路由
+ * POST /api/users/:id/restore
+ * 
+ * @description 恢复保留期内被删除的用户，用户需要重新登录
+ * @middleware authenticateToken - 需要认证
+ * @middleware forbidImpersonation - 模拟登录时不可用
+ * @middleware requirePermission - 需要 users:delete 权限
+ * @middleware requireMfa - 当前会话需要已完成双因素认证
+ * 
+ * @param {string} id - 用户ID (路径参数)
+ * 
+ * @returns {200} 成功恢复用户
+ * @returns {400} 用户ID格式无效
+ * @returns {401} 未认证
+ * @returns {403} 权限不足 (缺少权限或目标用户权限超出自己) 或处于模拟登录状态
+ * @returns {404} 用户不存在或已被彻底删除
+ * @returns {409} 用户未被删除，或邮箱已被新注册的用户使用
+ * @returns {500} 服务器错误
+ */
+router.post('/:id/restore', authenticateToken, forbidImpersonation, requirePermission(PERMISSIONS.USERS_DELETE), requireMfa, restoreUserById);
+
+/**
+ * 封禁用户路由
+ * POST /api/users/:id/suspend
+ * 
+ * @description 封禁指定用户，且不能封禁自己
+ * @middleware authenticateToken - 需要认证
+ * @middleware requirePermission - 需要 users:suspend 权限
+ * @middleware requireMfa - 当前会话需要已完成双因素认证
+ * 
+ * @param {string} id - 用户ID (路径参数)
+ * @body {string} reason - 封禁原因 (1-500字符)
+ * 
+ * 效果:
+ * - 用户状态变为 suspended，原因记录在 status_reason
+ * - 该用户已签发的访问令牌和刷新令牌立即失效
+ * - 该用户无法再次登录，直到被恢复
+ * 
+ * @returns {200} 成功封禁用户
+ * @returns {400} 用户ID或原因格式无效
+ * @returns {401} 未认证
+ * @returns {403} 权限不足 (缺少权限或目标用户权限超出自己) 或 操作被拒绝 (尝试封禁自己)
+ * @returns {404} 用户不存在
+ * @returns {409} 用户已被封禁
+ * @returns {500} 服务器错误
+ */
+router.post('/:id/suspend', authenticateToken, requirePermission(PERMISSIONS.USERS_SUSPEND), requireMfa, suspendUserById);
+
+/**
+ * 恢复用户路由
+ * POST /api/users/:id/reactivate
+ * 
+ * @description 恢复被封禁的用户，且不能操作自己
+ * @middleware authenticateToken - 需要认证
+ * @middleware requirePermission - 需要 users:suspend 权限
+ * @middleware requireMfa - 当前会话需要已完成双因素认证
+ * 
+ * @param {string} id - 用户ID (路径参数)
+ * @body {string} reason - 恢复原因 (1-500字符)
+ * 
+ * @returns {200} 成功恢复用户，用户需要重新登录
+ * @returns {400} 用户ID或原因格式无效
+ * @returns {401} 未认证
+ * @returns {403} 权限不足 (缺少权限或目标用户权限超出自己) 或 操作被拒绝 (尝试操作自己)
+ * @returns {404} 用户不存在
+ * @returns {409} 用户未被封禁
+ * @returns {500} 服务器错误
+ */
+router.post('/:id/reactivate', authenticateToken, requirePermission(PERMISSIONS.USERS_SUSPEND), requireMfa, reactivateUserById);
+
+/**
+ * 解除登录锁定路由
+ * POST /api/users/:id/unlock
+ * 
+ * @description 清除用户因连续登录失败产生的临时锁定和失败计数
+ * @middleware authenticateToken - 需要认证
+ * @middleware requirePermission - 需要 users:unlock 权限
+ * @middleware requireMfa - 当前会话需要已完成双因素认证
+ * 
+ * @param {string} id - 用户ID (路径参数)
+ * 
+ * 说明: 只清除账户维度的锁定，来源IP维度的锁定到期后自动解除
+ * 
+ * @returns {200} 成功解除锁定 (data.wasLocked 表示解除前是否存在失败记录)
+ * @returns {400} 用户ID格式无效
+ * @returns {401} 未认证
+ * @returns {403} 权限不足 (缺少权限或目标用户权限超出自己)
+ * @returns {404} 用户不存在
+ * @returns {500} 服务器错误
+ */
+router.post('/:id/unlock', authenticateToken, requirePermission(PERMISSIONS.USERS_UNLOCK), requireMfa, unlockUserById);
+
+/**
+ * 模拟登录路由
+ * POST /api/users/:id/impersonate
+ * 
+ * @description 以目标用户的身份访问应用 (客服排查问题)，开始和结束都记录审计日志
+ * @middleware authenticateToken - 需要认证
+ * @middleware requireSession - 不能使用API密钥
+ * @middleware forbidImpersonation - 不能在模拟登录状态下再次模拟
+ * @middleware requirePermission - 需要 users:impersonate 权限
+ * @middleware requireMfa - 当前会话需要已完成双因素认证
+ * 
+ * @param {string} id - 目标用户ID (路径参数)
+ * @body {string} reason - 模拟登录原因 (1-500字符，如工单号)
+ * 
+ * 模拟令牌说明:
+ * - 令牌中 id/email/role 为目标用户，act 声明记录操作者，有效期 IMPERSONATION_EXPIRES_IN (默认30分钟)
+ * - 不签发刷新令牌；通过 POST /api/auth/impersonation/stop 结束，或到期自动结束
+ * - 模拟期间不能修改密码、删除用户、修改双因素认证设置或管理API密钥
+ * - 只能模拟权限不超过自己的用户
+ * 
+ * @returns {200} 成功开始模拟登录 (Cookie模式替换访问令牌Cookie，令牌模式在响应体中返回 accessToken)
+ * @returns {400} 用户ID或原因格式无效
+ * @returns {401} 未认证
+ * @returns {403} 权限不足、尝试模拟自己、目标权限高于自己、目标账户未激活或已处于模拟登录状态
+ * @returns {404} 用户不存在
+ * @returns {500} 服务器错误
+ */
+router.post('/:id/impersonate', authenticateToken, requireSession, forbidImpersonation, requirePermission(PERMISSIONS.USERS_IMPERSONATE), requireMfa, impersonateUserById);
 
 export default router;
 
@@ -149,9 +349,12 @@ app.use('/api/users', usersRoutes);
 API 调用示例:
 
 1. 获取所有用户 (管理员权限):
-GET /api/users
+GET /api/users?page=2&limit=20&search=zhang&role=user&sortBy=name&sortOrder=asc
 Cookie: token=eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
 
+响应头:
+Link: </api/users?page=1&limit=20&search=zhang&role=user&sortBy=name&sortOrder=asc>; rel="first", </api/users?page=1&...>; rel="prev", </api/users?page=3&...>; rel="next", </api/users?page=12&...>; rel="last"
+
 响应:
 {
   "success": true,
@@ -163,14 +366,45 @@ Cookie: token=eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
         "name": "管理员",
         "email": "admin@example.com",
         "role": "admin",
+        "status": "active",
+        "status_reason": null,
         "created_at": "2024-01-01T00:00:00.000Z"
       },
       ...
     ],
-    "count": 10
+    "pagination": {
+      "page": 2,
+      "limit": 20,
+      "total": 231,
+      "totalPages": 12,
+      "hasNextPage": true,
+      "hasPrevPage": true
+    }
   }
 }
 
+   游标分页 (同步任务遍历整张表):
+GET /api/users?pagination=cursor&limit=100&sortOrder=asc
+
+响应:
+{
+  "success": true,
+  "message": "成功获取用户列表",
+  "data": {
+    "users": [...],
+    "pagination": {
+      "limit": 100,
+      "hasNextPage": true,
+      "hasPrevPage": false,
+      "nextCursor": "eyJjIjoiMjAyNC0wMS0wMSAwMDowMDowMC4xMjM0NTYiLCJpIjoxMDAs...",
+      "prevCursor": null
+    }
+  }
+}
+
+   下一页 (不再需要 pagination 参数):
+GET /api/users?limit=100&sortOrder=asc&cursor=eyJjIjoiMjAyNC0wMS0wMSAwMDowMDowMC4xMjM0NTYiLCJpIjoxMDAs...
+
 2. 获取特定用户 (本人或管理员):
 GET /api/users/123
 Cookie: token=...
@@ -185,6 +419,8 @@ Cookie: token=...
       "name": "张三",
       "email": "zhangsan@example.com",
       "role": "user",
+      "status": "active",
+      "status_reason": null,
       "created_at": "2024-01-01T00:00:00.000Z"
     }
   }
@@ -192,7 +428,8 @@ Cookie: token=...
 
 3. 更新用户信息:
 PUT /api/users/123
-Cookie: token=...
+Cookie: token=...; csrfToken=...
+X-CSRF-Token: ...
 Content-Type: application/json
 
 {
@@ -217,7 +454,8 @@ Content-Type: application/json
 
 4. 删除用户 (管理员权限):
 DELETE /api/users/123
-Cookie: token=...
+Cookie: token=...; csrfToken=...
+X-CSRF-Token: ...
 
 响应:
 {
@@ -228,7 +466,8 @@ Cookie: token=...
       "id": 123,
       "name": "张三",
       "email": "zhangsan@example.com",
-      "role": "user"
+      "role": "user",
+      "deleted_at": "2024-01-01T00:00:00.000Z"
     },
     "deletedBy": {
       "id": 1,
@@ -237,8 +476,46 @@ Cookie: token=...
   }
 }
 
+   恢复已删除的用户 (保留期内):
+POST /api/users/123/restore
+Cookie: token=...; csrfToken=...
+X-CSRF-Token: ...
+
+   查看已删除的用户:
+GET /api/users?includeDeleted=true&sortBy=updated_at
+
+   批量操作 (先用 dryRun 检查，再去掉 dryRun 执行):
+POST /api/users/batch
+Cookie: token=...; csrfToken=...
+X-CSRF-Token: ...
+Content-Type: application/json
+
+{
+  "operation": "suspend",
+  "userIds": [12, 13, 14],
+  "reason": "批量注册的垃圾账户",
+  "dryRun": true
+}
+
+响应:
+{
+  "success": true,
+  "message": "批量操作检查完成，未做任何修改",
+  "data": {
+    "operation": "suspend",
+    "dryRun": true,
+    "applied": false,
+    "summary": { "total": 3, "updated": 2, "skipped": 1, "failed": 0 },
+    "results": [
+      { "id": 12, "status": "updated" },
+      { "id": 13, "status": "updated" },
+      { "id": 14, "status": "skipped", "code": "ALREADY_SUSPENDED", "message": "用户已处于封禁状态" }
+    ]
+  }
+}
+
 5. 获取用户统计 (管理员权限):
-GET /api/users/stats
+GET /api/users/stats?interval=week&from=2024-01-01T00:00:00Z&to=2024-01-21T23:59:59Z
 Cookie: token=...
 
 响应:
@@ -252,11 +529,70 @@ Cookie: token=...
         "user": 8,
         "admin": 2
       },
-      "recentRegistrations": 3
+      "usersByStatus": {
+        "active": 9,
+        "suspended": 1
+      },
+      "recentRegistrations": 3,
+      "activeUsers": {
+        "daily": 4,
+        "weekly": 6,
+        "monthly": 8
+      },
+      "registrations": {
+        "interval": "week",
+        "from": "2024-01-01T00:00:00.000Z",
+        "to": "2024-01-21T23:59:59.000Z",
+        "buckets": [
+          { "start": "2024-01-01", "count": 2 },
+          { "start": "2024-01-08", "count": 0 },
+          { "start": "2024-01-15", "count": 1 }
+        ]
+      },
+      "lastUpdated": "2024-01-22T08:00:00.000Z"
+    }
+  }
+}
+
+6. 封禁用户 (管理员权限):
+POST /api/users/123/suspend
+Cookie: token=...
+Content-Type: application/json
+
+{
+  "reason": "发布违规内容"
+}
+
+响应:
+{
+  "success": true,
+  "message": "用户已封禁",
+  "data": {
+    "user": {
+      "id": 123,
+      "name": "张三",
+      "email": "zhangsan@example.com",
+      "role": "user",
+      "status": "suspended",
+      "status_reason": "发布违规内容",
+      "status_changed_at": "2024-01-02T00:00:00.000Z"
+    },
+    "suspendedBy": {
+      "id": 1,
+      "email": "admin@example.com"
     }
   }
 }
 
+7. 恢复用户 (管理员权限):
+POST /api/users/123/reactivate
+Cookie: token=...
+Content-Type: application/json
+
+{
+  "reason": "申诉通过"
+}
+
 错误响应示例:
 
 权限不足:
@@ -266,6 +602,13 @@ Cookie: token=...
   "message": "您只能查看自己的信息"
 }
 
+管理员未完成双因素认证 (需先通过 /api/auth/mfa/setup 绑定，并使用验证码登录):
+{
+  "error": "MFA required",
+  "message": "此操作需要完成双因素认证",
+  "code": "MFA_REQUIRED"
+}
+
 用户不存在:
 {
   "success": false,
@@ -1,12 +1,21 @@
 import logger from '../config/logger.js';
 import { db } from '../config/database.js';
-import { users } from '../models/user.model.js';
-import { eq } from 'drizzle-orm';
+import { users, USER_STATUS, notDeleted } from '../models/user.model.js';
+import { sessions } from '../models/session.model.js';
+import { refreshTokens } from '../models/refresh-token.model.js';
+import { and, asc, count, desc, eq, gte, ilike, inArray, isNotNull, isNull, lt, ne, or, sql } from 'drizzle-orm';
+import { revokeUserTokens } from '../auth/revocation.store.js';
+import { revokeAllUserRefreshTokens } from '../auth/token.service.js';
+import { unlockAccount } from '../auth/login-attempts.store.js';
+import { roleExists, canManageRole } from '../roles/roles.service.js';
+import { recordAuditEvent } from '../audit/audit.service.js';
+import { AUDIT_ACTIONS } from '../models/audit-event.model.js';
+import { encodeCursor, decodeCursor, fingerprintFilters } from '../utils/cursor.js';
 
 /**
  * 获取所有用户服务
  * 
- * @description 从数据库获取所有用户的信息（不包含密码）
+ * @description 从数据库获取所有未删除用户的信息（不包含密码）
  * @returns {Promise<Array>} 用户列表
  */
 export const getAllUsers = async () => {
@@ -19,10 +28,13 @@ export const getAllUsers = async () => {
         email: users.email,
         name: users.name,
         role: users.role,
+        status: users.status,
+        status_reason: users.status_reason,
         created_at: users.created_at,
         updated_at: users.updated_at,
       })
       .from(users)
+      .where(notDeleted)
       .orderBy(users.created_at); // 按创建时间排序
 
     logger.info(`成功获取 ${allUsers.length} 个用户`);
@@ -33,15 +45,212 @@ export const getAllUsers = async () => {
   }
 };
 
+/**
+ * 用户列表可排序的字段
+ */
+const USER_SORT_COLUMNS = {
+  id: users.id,
+  name: users.name,
+  email: users.email,
+  created_at: users.created_at,
+  updated_at: users.updated_at,
+};
+
+/**
+ * 转义 LIKE 模式中的通配符
+ *
+ * @param {string} value - 用户输入的搜索关键词
+ * @returns {string} 可以安全放入 LIKE 模式的字符串
+ */
+const escapeLikePattern = value => value.replace(/[\\%_]/g, '\\$&');
+
+/**
+ * 用户列表返回的字段
+ */
+const userListColumns = {
+  id: users.id,
+  email: users.email,
+  name: users.name,
+  role: users.role,
+  status: users.status,
+  status_reason: users.status_reason,
+  created_at: users.created_at,
+  updated_at: users.updated_at,
+  deleted_at: users.deleted_at,
+};
+
+/**
+ * 用户列表的过滤条件
+ *
+ * @description 搜索对姓名和邮箱做不区分大小写的模糊匹配；默认不包含已删除的用户
+ * @param {Object} filters - { search, role, status, includeDeleted }
+ * @returns {Array} Drizzle 查询条件 (已去掉未使用的过滤项)
+ */
+const userListConditions = ({ search, role, status, includeDeleted }) => {
+  const pattern = search ? `%${escapeLikePattern(search)}%` : undefined;
+
+  return [
+    pattern && or(ilike(users.name, pattern), ilike(users.email, pattern)),
+    role && eq(users.role, role),
+    status && eq(users.status, status),
+    !includeDeleted && notDeleted,
+  ].filter(Boolean);
+};
+
+/**
+ * 分页查询用户服务
+ *
+ * @description 搜索、过滤、排序和分页都在数据库中完成，只返回当前页的数据
+ * 搜索对姓名和邮箱做不区分大小写的模糊匹配；排序字段相同时按ID排序，保证分页结果稳定
+ * @param {Object} query - 查询参数 (见 userQuerySchema)
+ * @param {number} query.page - 页码
+ * @param {number} query.limit - 每页数量
+ * @param {string} [query.search] - 搜索关键词
+ * @param {string} [query.role] - 角色过滤
+ * @param {string} [query.status] - 状态过滤
+ * @param {boolean} [query.includeDeleted] - 是否包含已删除的用户
+ * @param {string} query.sortBy - 排序字段
+ * @param {string} query.sortOrder - 排序方向
+ * @returns {Promise<{users: Array, pagination: Object}>} 当前页的用户和分页信息
+ */
+export const listUsers = async ({ page, limit, search, role, status, includeDeleted, sortBy, sortOrder }) => {
+  try {
+    const conditions = userListConditions({ search, role, status, includeDeleted });
+    const where = conditions.length > 0 ? and(...conditions) : undefined;
+    const direction = sortOrder === 'asc' ? asc : desc;
+
+    const [pageUsers, [{ total }]] = await Promise.all([
+      db
+        .select(userListColumns)
+        .from(users)
+        .where(where)
+        .orderBy(direction(USER_SORT_COLUMNS[sortBy]), direction(users.id))
+        .limit(limit)
+        .offset((page - 1) * limit),
+      db.select({ total: count() }).from(users).where(where),
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+
+    return {
+      users: pageUsers,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+      },
+    };
+  } catch (error) {
+    logger.error('分页查询用户失败:', error);
+    throw error;
+  }
+};
+
+/**
+ * 游标分页查询用户服务
+ *
+ * @description 按 (created_at, id) 排序的键集分页，适合同步任务遍历整张表：
+ * - 每页从上一页最后一行之后开始，不使用 OFFSET，翻到多深都只扫描一页的数据
+ * - 遍历期间新增或删除用户不会导致跳过或重复 (新增的行按创建时间出现在末尾或开头)
+ * - 游标记录位置、方向、排序方向和过滤条件指纹，带签名，客户端无法修改
+ * 游标中的 created_at 使用数据库的文本表示，保留微秒精度 (JavaScript Date 只有毫秒)
+ * @param {Object} query - 查询参数 (见 userQuerySchema)
+ * @param {number} query.limit - 每页数量
+ * @param {string} [query.cursor] - 上一次返回的 nextCursor 或 prevCursor，不传时从第一页开始
+ * @param {string} [query.search] - 搜索关键词
+ * @param {string} [query.role] - 角色过滤
+ * @param {string} [query.status] - 状态过滤
+ * @param {boolean} [query.includeDeleted] - 是否包含已删除的用户
+ * @param {string} query.sortOrder - 排序方向
+ * @returns {Promise<{users: Array, pagination: Object}>} 当前页的用户和游标
+ * @throws {Error} 游标无效或与当前查询条件不一致时抛出错误
+ */
+export const listUsersByCursor = async ({ limit, cursor, search, role, status, includeDeleted, sortOrder }) => {
+  try {
+    const filters = fingerprintFilters({ search, role, status, includeDeleted });
+
+    // 1. 解析游标，排序方向和过滤条件必须与签发时一致
+    let position = null;
+
+    if (cursor) {
+      position = decodeCursor(cursor);
+
+      if (
+        typeof position.c !== 'string' ||
+        !Number.isInteger(position.i) ||
+        !['next', 'prev'].includes(position.d) ||
+        position.o !== sortOrder ||
+        position.f !== filters
+      ) {
+        throw new Error('Invalid cursor');
+      }
+    }
+
+    // 2. 向后翻页按原方向读取位置之后的行，向前翻页反向读取位置之前的行
+    const backward = position?.d === 'prev';
+    const ascending = (sortOrder === 'asc') !== backward;
+    const direction = ascending ? asc : desc;
+
+    const conditions = userListConditions({ search, role, status, includeDeleted });
+
+    if (position) {
+      const key = sql`(${users.created_at}, ${users.id})`;
+      const bound = sql`(${position.c}::timestamp, ${position.i})`;
+      conditions.push(ascending ? sql`${key} > ${bound}` : sql`${key} < ${bound}`);
+    }
+
+    // 3. 多取一行判断是否还有更多数据
+    const rows = await db
+      .select({ ...userListColumns, cursor_created_at: sql`${users.created_at}::text` })
+      .from(users)
+      .where(conditions.length > 0 ? and(...conditions) : undefined)
+      .orderBy(direction(users.created_at), direction(users.id))
+      .limit(limit + 1);
+
+    const hasMore = rows.length > limit;
+    const pageRows = rows.slice(0, limit);
+
+    if (backward) {
+      pageRows.reverse();
+    }
+
+    // 4. 生成前后游标
+    const cursorAt = (row, d) => encodeCursor({ c: row.cursor_created_at, i: row.id, d, o: sortOrder, f: filters });
+    const hasNextPage = backward ? true : hasMore;
+    const hasPrevPage = backward ? hasMore : !!position;
+    const first = pageRows[0];
+    const last = pageRows[pageRows.length - 1];
+
+    return {
+      users: pageRows.map(({ cursor_created_at, ...user }) => user),
+      pagination: {
+        limit,
+        hasNextPage: hasNextPage && !!last,
+        hasPrevPage: hasPrevPage && !!first,
+        nextCursor: hasNextPage && last ? cursorAt(last, 'next') : null,
+        prevCursor: hasPrevPage && first ? cursorAt(first, 'prev') : null,
+      },
+    };
+  } catch (error) {
+    logger.error('游标分页查询用户失败:', error);
+    throw error;
+  }
+};
+
 /**
  * 根据ID获取用户服务
  * 
- * @description 根据用户ID获取单个用户的详细信息
+ * @description 根据用户ID获取单个用户的详细信息，已删除的用户默认视为不存在
  * @param {number} id - 用户ID
+ * @param {Object} [options] - 选项
+ * @param {boolean} [options.includeDeleted=false] - 是否包括已删除的用户 (如恢复前检查)
  * @returns {Promise<Object>} 用户信息
  * @throws {Error} 用户不存在时抛出错误
  */
-export const getUserById = async (id) => {
+export const getUserById = async (id, { includeDeleted = false } = {}) => {
   try {
     logger.info(`开始获取用户信息 - ID: ${id}`);
 
@@ -51,11 +260,13 @@ export const getUserById = async (id) => {
         email: users.email,
         name: users.name,
         role: users.role,
+        status: users.status,
+        status_reason: users.status_reason,
         created_at: users.created_at,
         updated_at: users.updated_at,
       })
       .from(users)
-      .where(eq(users.id, id))
+      .where(and(eq(users.id, id), includeDeleted ? undefined : notDeleted))
       .limit(1);
 
     if (!user) {
@@ -79,11 +290,12 @@ export const getUserById = async (id) => {
  * @param {Object} updates - 更新数据
  * @param {string} [updates.name] - 新用户名
  * @param {string} [updates.email] - 新邮箱
- * @param {string} [updates.role] - 新角色
+ * @param {string} [updates.role] - 新角色 (必须已在 roles 表中定义)
+ * @param {Object} [context] - 审计上下文 (见 auditContext)
  * @returns {Promise<Object>} 更新后的用户信息
- * @throws {Error} 用户不存在或邮箱已被使用时抛出错误
+ * @throws {Error} 用户不存在、邮箱已被使用或角色不存在时抛出错误
  */
-export const updateUser = async (id, updates) => {
+export const updateUser = async (id, updates, context) => {
   try {
     logger.info(`开始更新用户信息 - ID: ${id}`, { updates });
 
@@ -97,7 +309,7 @@ export const updateUser = async (id, updates) => {
       const [emailExists] = await db
         .select({ id: users.id })
         .from(users)
-        .where(eq(users.email, updates.email))
+        .where(and(eq(users.email, updates.email), notDeleted))
         .limit(1);
 
       if (emailExists) {
@@ -106,26 +318,53 @@ export const updateUser = async (id, updates) => {
       }
     }
 
-    // 3. 准备更新数据，添加更新时间戳
+    // 3. 如果要更新角色，检查角色是否存在
+    if (updates.role && updates.role !== existingUser.role && !(await roleExists(updates.role))) {
+      logger.warn(`角色不存在 - ${updates.role}`);
+      throw new Error('Role not found');
+    }
+
+    // 4. 准备更新数据，添加更新时间戳
     const updateData = {
       ...updates,
       updated_at: new Date(),
     };
 
-    // 4. 执行更新操作
+    // 5. 执行更新操作
     const [updatedUser] = await db
       .update(users)
       .set(updateData)
-      .where(eq(users.id, id))
+      .where(and(eq(users.id, id), notDeleted))
       .returning({
         id: users.id,
         email: users.email,
         name: users.name,
         role: users.role,
+        status: users.status,
+        status_reason: users.status_reason,
         created_at: users.created_at,
         updated_at: users.updated_at,
       });
 
+    // 6. 角色变更后吊销该用户已签发的令牌，使新角色立即生效
+    const roleChanged = updates.role && updates.role !== existingUser.role;
+
+    if (roleChanged) {
+      await revokeUserTokens(id);
+      logger.info(`用户角色已变更 - ID: ${id}, ${existingUser.role} -> ${updates.role}`);
+    }
+
+    // 7. 记录审计事件 (只记录变化的字段)
+    await recordAuditEvent(
+      {
+        action: roleChanged ? AUDIT_ACTIONS.USER_ROLE_CHANGED : AUDIT_ACTIONS.USER_UPDATED,
+        target: { type: 'user', id },
+        before: Object.fromEntries(Object.keys(updates).map(key => [key, existingUser[key]])),
+        after: updates,
+      },
+      context
+    );
+
     logger.info(`用户信息更新成功 - ${updatedUser.email} (ID: ${id})`);
     return updatedUser;
   } catch (error) {
@@ -134,37 +373,361 @@ export const updateUser = async (id, updates) => {
   }
 };
 
+/**
+ * 用户删除后保留的天数，超过后由清理任务彻底删除
+ */
+export const USER_PURGE_RETENTION_DAYS = parseInt(process.env.USER_PURGE_RETENTION_DAYS || '30', 10);
+
+/**
+ * 被删除用户返回的字段
+ */
+const deletedUserColumns = {
+  id: users.id,
+  email: users.email,
+  name: users.name,
+  role: users.role,
+  created_at: users.created_at,
+  deleted_at: users.deleted_at,
+};
+
 /**
  * 删除用户服务
  * 
- * @description 删除指定ID的用户
+ * @description 软删除指定ID的用户：设置 deleted_at 并吊销其所有令牌和会话，
+ * 记录保留 USER_PURGE_RETENTION_DAYS 天，期间可以通过 restoreUser 恢复
  * @param {number} id - 用户ID
+ * @param {Object} [context] - 审计上下文 (见 auditContext)
  * @returns {Promise<Object>} 被删除的用户信息
- * @throws {Error} 用户不存在时抛出错误
+ * @throws {Error} 用户不存在或已被删除时抛出错误
  */
-export const deleteUser = async (id) => {
+export const deleteUser = async (id, context) => {
   try {
     logger.info(`开始删除用户 - ID: ${id}`);
 
-    // 1. 检查用户是否存在
-    await getUserById(id);
-
-    // 2. 执行删除操作
+    // 1. 标记删除 (条件更新，已删除的用户视为不存在)
     const [deletedUser] = await db
-      .delete(users)
+      .update(users)
+      .set({ deleted_at: new Date(), updated_at: new Date() })
+      .where(and(eq(users.id, id), notDeleted))
+      .returning(deletedUserColumns);
+
+    if (!deletedUser) {
+      logger.warn(`用户不存在 - ID: ${id}`);
+      throw new Error('User not found');
+    }
+
+    // 2. 吊销该用户已签发的令牌和所有会话
+    await revokeUserTokens(id);
+    await revokeAllUserRefreshTokens(id);
+
+    // 3. 记录审计事件，保留被删除用户的基本信息
+    await recordAuditEvent(
+      {
+        action: AUDIT_ACTIONS.USER_DELETED,
+        target: { type: 'user', id },
+        before: { email: deletedUser.email, name: deletedUser.name, role: deletedUser.role },
+      },
+      context
+    );
+
+    logger.info(`用户删除成功 - ${deletedUser.email} (ID: ${id})`);
+    return deletedUser;
+  } catch (error) {
+    logger.error(`删除用户失败 - ID: ${id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * 恢复已删除用户服务 (管理员专用)
+ * 
+ * @description 清除 deleted_at，用户需要重新登录 (删除时已吊销所有会话)
+ * 删除后邮箱可能已被新注册的用户使用，此时不能恢复
+ * @param {number} id - 用户ID
+ * @param {Object} [context] - 审计上下文 (见 auditContext)
+ * @returns {Promise<Object>} 恢复后的用户信息
+ * @throws {Error} 用户不存在 (或已被彻底删除)、未被删除或邮箱已被占用时抛出错误
+ */
+export const restoreUser = async (id, context) => {
+  try {
+    logger.info(`开始恢复已删除用户 - ID: ${id}`);
+
+    // 1. 检查用户是否存在以及是否已被删除
+    const [existingUser] = await db
+      .select({ id: users.id, email: users.email, deleted_at: users.deleted_at })
+      .from(users)
       .where(eq(users.id, id))
+      .limit(1);
+
+    if (!existingUser) {
+      throw new Error('User not found');
+    }
+
+    if (!existingUser.deleted_at) {
+      throw new Error('User is not deleted');
+    }
+
+    // 2. 邮箱在未删除的用户中必须唯一
+    const [emailOwner] = await db
+      .select({ id: users.id })
+      .from(users)
+      .where(and(eq(users.email, existingUser.email), notDeleted))
+      .limit(1);
+
+    if (emailOwner) {
+      logger.warn(`邮箱已被其他用户使用 - ${existingUser.email} (属于用户ID: ${emailOwner.id})`);
+      throw new Error('Email already exists');
+    }
+
+    // 3. 清除删除标记 (条件更新，防止并发恢复)
+    const [restoredUser] = await db
+      .update(users)
+      .set({ deleted_at: null, updated_at: new Date() })
+      .where(and(eq(users.id, id), isNotNull(users.deleted_at)))
       .returning({
         id: users.id,
         email: users.email,
         name: users.name,
         role: users.role,
+        status: users.status,
+        status_reason: users.status_reason,
         created_at: users.created_at,
+        updated_at: users.updated_at,
       });
 
-    logger.info(`用户删除成功 - ${deletedUser.email} (ID: ${id})`);
-    return deletedUser;
+    if (!restoredUser) {
+      throw new Error('User is not deleted');
+    }
+
+    await recordAuditEvent(
+      {
+        action: AUDIT_ACTIONS.USER_RESTORED,
+        target: { type: 'user', id },
+        before: { deleted_at: existingUser.deleted_at },
+        after: { deleted_at: null },
+      },
+      context
+    );
+
+    logger.info(`已删除用户恢复成功 - ${restoredUser.email} (ID: ${id})`);
+    return restoredUser;
   } catch (error) {
-    logger.error(`删除用户失败 - ID: ${id}:`, error);
+    logger.error(`恢复已删除用户失败 - ID: ${id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * 每批彻底删除的用户数量
+ */
+const PURGE_BATCH_SIZE = 500;
+
+/**
+ * 清理已删除用户服务
+ * 
+ * @description 彻底删除 deleted_at 早于保留期的用户，关联的会话、令牌等记录随之级联删除
+ * 分批执行，避免一次删除过多行；每个用户记录一条审计事件 (操作者为空，表示系统任务)
+ * @param {Object} [options] - 选项
+ * @param {number} [options.retentionDays=USER_PURGE_RETENTION_DAYS] - 删除后保留的天数
+ * @returns {Promise<number>} 彻底删除的用户数量
+ */
+export const purgeDeletedUsers = async ({ retentionDays = USER_PURGE_RETENTION_DAYS } = {}) => {
+  try {
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+    let purged = 0;
+
+    while (true) {
+      const expired = db
+        .select({ id: users.id })
+        .from(users)
+        .where(lt(users.deleted_at, cutoff))
+        .limit(PURGE_BATCH_SIZE);
+
+      const purgedUsers = await db
+        .delete(users)
+        .where(inArray(users.id, expired))
+        .returning(deletedUserColumns);
+
+      for (const user of purgedUsers) {
+        await recordAuditEvent({
+          action: AUDIT_ACTIONS.USER_PURGED,
+          target: { type: 'user', id: user.id },
+          before: { email: user.email, name: user.name, role: user.role },
+          metadata: { deletedAt: user.deleted_at, retentionDays },
+        });
+      }
+
+      purged += purgedUsers.length;
+
+      if (purgedUsers.length < PURGE_BATCH_SIZE) {
+        break;
+      }
+    }
+
+    if (purged > 0) {
+      logger.info(`已彻底删除 ${purged} 个超过保留期 (${retentionDays} 天) 的用户`);
+    }
+
+    return purged;
+  } catch (error) {
+    logger.error('清理已删除用户失败:', error);
+    throw error;
+  }
+};
+
+/**
+ * 封禁用户服务 (管理员专用)
+ * 
+ * @description 将用户状态设置为 suspended，并立即吊销其所有访问令牌和刷新令牌
+ * @param {number} id - 用户ID
+ * @param {string} reason - 封禁原因
+ * @param {Object} [context] - 审计上下文 (见 auditContext)
+ * @returns {Promise<Object>} 更新后的用户信息
+ * @throws {Error} 用户不存在或已被封禁时抛出错误
+ */
+export const suspendUser = async (id, reason, context) => {
+  try {
+    logger.info(`开始封禁用户 - ID: ${id}`, { reason });
+
+    // 1. 检查用户是否存在以及当前状态
+    const existingUser = await getUserById(id);
+
+    if (existingUser.status === USER_STATUS.SUSPENDED) {
+      throw new Error('User already suspended');
+    }
+
+    // 2. 更新状态 (条件更新，防止并发修改)
+    const [suspendedUser] = await db
+      .update(users)
+      .set({
+        status: USER_STATUS.SUSPENDED,
+        status_reason: reason,
+        status_changed_at: new Date(),
+        updated_at: new Date(),
+      })
+      .where(and(eq(users.id, id), eq(users.status, existingUser.status), notDeleted))
+      .returning({
+        id: users.id,
+        email: users.email,
+        name: users.name,
+        role: users.role,
+        status: users.status,
+        status_reason: users.status_reason,
+        status_changed_at: users.status_changed_at,
+      });
+
+    if (!suspendedUser) {
+      throw new Error('User already suspended');
+    }
+
+    // 3. 立即吊销该用户已签发的所有令牌
+    await revokeUserTokens(id);
+    await revokeAllUserRefreshTokens(id);
+
+    await recordAuditEvent(
+      {
+        action: AUDIT_ACTIONS.USER_SUSPENDED,
+        target: { type: 'user', id },
+        before: { status: existingUser.status },
+        after: { status: suspendedUser.status },
+        metadata: { reason },
+      },
+      context
+    );
+
+    logger.info(`用户已封禁 - ${suspendedUser.email} (ID: ${id})`);
+    return suspendedUser;
+  } catch (error) {
+    logger.error(`封禁用户失败 - ID: ${id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * 恢复用户服务 (管理员专用)
+ * 
+ * @description 将被封禁的用户恢复为 active 状态，用户需要重新登录
+ * @param {number} id - 用户ID
+ * @param {string} reason - 恢复原因
+ * @param {Object} [context] - 审计上下文 (见 auditContext)
+ * @returns {Promise<Object>} 更新后的用户信息
+ * @throws {Error} 用户不存在或未被封禁时抛出错误
+ */
+export const reactivateUser = async (id, reason, context) => {
+  try {
+    logger.info(`开始恢复用户 - ID: ${id}`, { reason });
+
+    // 1. 检查用户是否存在
+    await getUserById(id);
+
+    // 2. 只有被封禁的用户可以恢复
+    const [reactivatedUser] = await db
+      .update(users)
+      .set({
+        status: USER_STATUS.ACTIVE,
+        status_reason: reason,
+        status_changed_at: new Date(),
+        updated_at: new Date(),
+      })
+      .where(and(eq(users.id, id), eq(users.status, USER_STATUS.SUSPENDED), notDeleted))
+      .returning({
+        id: users.id,
+        email: users.email,
+        name: users.name,
+        role: users.role,
+        status: users.status,
+        status_reason: users.status_reason,
+        status_changed_at: users.status_changed_at,
+      });
+
+    if (!reactivatedUser) {
+      throw new Error('User is not suspended');
+    }
+
+    await recordAuditEvent(
+      {
+        action: AUDIT_ACTIONS.USER_REACTIVATED,
+        target: { type: 'user', id },
+        before: { status: USER_STATUS.SUSPENDED },
+        after: { status: reactivatedUser.status },
+        metadata: { reason },
+      },
+      context
+    );
+
+    logger.info(`用户已恢复 - ${reactivatedUser.email} (ID: ${id})`);
+    return reactivatedUser;
+  } catch (error) {
+    logger.error(`恢复用户失败 - ID: ${id}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * 解除登录锁定服务 (管理员专用)
+ * 
+ * @description 清除用户因连续登录失败产生的锁定和失败计数
+ * @param {number} id - 用户ID
+ * @param {Object} [context] - 审计上下文 (见 auditContext)
+ * @returns {Promise<{user: Object, wasLocked: boolean}>} 用户信息及解锁前是否存在失败记录
+ * @throws {Error} 用户不存在时抛出错误
+ */
+export const unlockUserLogin = async (id, context) => {
+  try {
+    logger.info(`开始解除用户登录锁定 - ID: ${id}`);
+
+    const user = await getUserById(id);
+    const wasLocked = await unlockAccount(user.email);
+
+    await recordAuditEvent(
+      { action: AUDIT_ACTIONS.USER_UNLOCKED, target: { type: 'user', id }, metadata: { wasLocked } },
+      context
+    );
+
+    logger.info(`用户登录锁定已解除 - ${user.email} (ID: ${id})`);
+    return { user, wasLocked };
+  } catch (error) {
+    logger.error(`解除用户登录锁定失败 - ID: ${id}:`, error);
     throw error;
   }
 };
@@ -186,11 +749,13 @@ export const getUserByEmail = async (email) => {
         email: users.email,
         name: users.name,
         role: users.role,
+        status: users.status,
+        status_reason: users.status_reason,
         created_at: users.created_at,
         updated_at: users.updated_at,
       })
       .from(users)
-      .where(eq(users.email, email))
+      .where(and(eq(users.email, email), notDeleted))
       .limit(1);
 
     if (user) {
@@ -206,38 +771,75 @@ export const getUserByEmail = async (email) => {
   }
 };
 
+/**
+ * 最近注册统计的天数
+ */
+const RECENT_REGISTRATION_DAYS = 30;
+
+/**
+ * 活跃用户的统计窗口 (天)
+ */
+const ACTIVE_USER_WINDOWS = {
+  daily: 1,
+  weekly: 7,
+  monthly: 30,
+};
+
+/**
+ * 注册趋势各统计粒度的时间段长度
+ */
+const STATS_INTERVAL_STEPS = {
+  day: '1 day',
+  week: '1 week',
+  month: '1 month',
+};
+
+/**
+ * 计算若干天之前的时间
+ *
+ * @param {number} days - 天数
+ * @returns {Date} 时间
+ */
+const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+/**
+ * 将查询结果转换为 { 分组值: 数量 } 对象
+ *
+ * @param {Array} rows - 分组查询结果
+ * @param {string} key - 分组字段
+ * @returns {Object} 分组统计
+ */
+const toDistribution = (rows, key) => Object.fromEntries(rows.map(row => [row[key], row.count]));
+
 /**
  * 获取用户数量统计服务
  * 
- * @description 获取系统中用户的统计信息
+ * @description 用户总数、按角色和状态的分布以及最近30天的注册数，全部由数据库聚合 (不包含已删除的用户)
  * @returns {Promise<Object>} 用户统计信息
  */
 export const getUserCount = async () => {
   try {
     logger.info('开始获取用户统计信息');
 
-    const allUsers = await getAllUsers();
-    
-    // 按角色统计用户数量
-    const roleStats = allUsers.reduce((acc, user) => {
-      acc[user.role] = (acc[user.role] || 0) + 1;
-      return acc;
-    }, {});
-
-    // 计算最近注册的用户数量 (30天内)
-    const thirtyDaysAgo = new Date();
-    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-    
-    const recentUsers = allUsers.filter(user => 
-      new Date(user.created_at) > thirtyDaysAgo
-    );
+    const since = daysAgo(RECENT_REGISTRATION_DAYS).toISOString();
+
+    const [[totals], byRole, byStatus] = await Promise.all([
+      db
+        .select({
+          total: count(),
+          recent: sql`count(*) filter (where ${users.created_at} >= ${since}::timestamp)`.mapWith(Number),
+        })
+        .from(users)
+        .where(notDeleted),
+      db.select({ role: users.role, count: count() }).from(users).where(notDeleted).groupBy(users.role),
+      db.select({ status: users.status, count: count() }).from(users).where(notDeleted).groupBy(users.status),
+    ]);
 
     const stats = {
-      totalUsers: allUsers.length,
-      roleDistribution: roleStats,
-      recentRegistrations: recentUsers.length,
-      oldestUser: allUsers.length > 0 ? allUsers[0] : null,
-      newestUser: allUsers.length > 0 ? allUsers[allUsers.length - 1] : null,
+      totalUsers: totals.total,
+      usersByRole: toDistribution(byRole, 'role'),
+      usersByStatus: toDistribution(byStatus, 'status'),
+      recentRegistrations: totals.recent,
     };
 
     logger.info('用户统计信息获取成功', stats);
@@ -249,75 +851,442 @@ export const getUserCount = async () => {
 };
 
 /**
- * 批量删除用户服务 (可选功能)
- * 
- * @description 批量删除多个用户，通常用于管理员批量操作
- * @param {Array<number>} userIds - 要删除的用户ID数组
- * @returns {Promise<Array>} 被删除的用户列表
+ * 获取注册趋势服务
+ *
+ * @description 按天、周 (周一开始) 或月统计范围内每个时间段的注册数，
+ * 由 generate_series 生成完整的时间段，没有注册的时间段数量为0。时间按 UTC 计算，不包含已删除的用户
+ * @param {Object} query - 查询参数 (见 userStatsQuerySchema)
+ * @param {string} query.interval - 统计粒度 (day/week/month)
+ * @param {Date} query.from - 开始时间 (包含)
+ * @param {Date} query.to - 结束时间 (包含)
+ * @returns {Promise<Array<{start: string, count: number}>>} 各时间段的开始日期和注册数
  */
-export const deleteMultipleUsers = async (userIds) => {
+export const getRegistrationSeries = async ({ interval, from, to }) => {
   try {
-    logger.info(`开始批量删除用户`, { userIds });
+    const start = from.toISOString();
+    const end = to.toISOString();
 
-    if (!Array.isArray(userIds) || userIds.length === 0) {
-      throw new Error('Invalid user IDs provided');
-    }
+    const { rows } = await db.execute(sql`
+      select to_char(bucket, 'YYYY-MM-DD') as start, count(${users.id})::int as count
+      from generate_series(
+        date_trunc(${interval}, ${start}::timestamp),
+        ${end}::timestamp,
+        ${STATS_INTERVAL_STEPS[interval]}::interval
+      ) as bucket
+      left join ${users}
+        on ${users.created_at} >= bucket
+        and ${users.created_at} < bucket + ${STATS_INTERVAL_STEPS[interval]}::interval
+        and ${users.created_at} >= ${start}::timestamp
+        and ${users.created_at} <= ${end}::timestamp
+        and ${notDeleted}
+      group by bucket
+      order by bucket
+    `);
 
-    // 获取要删除的用户信息 (用于日志记录)
-    const usersToDelete = await Promise.all(
-      userIds.map(id => getUserById(id))
-    );
+    return rows;
+  } catch (error) {
+    logger.error('获取注册趋势失败:', error);
+    throw error;
+  }
+};
 
-    // 执行批量删除
-    const deletedUsers = await db
-      .delete(users)
-      .where(
-        // 构建 WHERE id IN (id1, id2, ...) 条件
-        userIds.reduce((condition, id, index) => {
-          const newCondition = eq(users.id, id);
-          return index === 0 ? newCondition : or(condition, newCondition);
-        })
+/**
+ * 获取活跃用户数量服务
+ *
+ * @description 按登录会话的最后活跃时间统计最近1天、7天、30天内活跃的用户数 (每个用户只计一次)
+ * 会话的活跃时间在刷新令牌时更新，精度约为访问令牌的有效期
+ * @returns {Promise<{daily: number, weekly: number, monthly: number}>} 活跃用户数量
+ */
+export const getActiveUserCounts = async () => {
+  try {
+    const windows = Object.entries(ACTIVE_USER_WINDOWS);
+    const since = Object.fromEntries(windows.map(([name, days]) => [name, daysAgo(days)]));
+
+    const [counts] = await db
+      .select(
+        Object.fromEntries(
+          windows.map(([name]) => [
+            name,
+            sql`count(distinct ${sessions.user_id}) filter (where ${sessions.last_seen_at} >= ${since[name].toISOString()}::timestamp)`.mapWith(Number),
+          ])
+        )
       )
-      .returning({
+      .from(sessions)
+      .innerJoin(users, and(eq(sessions.user_id, users.id), notDeleted))
+      .where(gte(sessions.last_seen_at, since.monthly));
+
+    return counts;
+  } catch (error) {
+    logger.error('获取活跃用户数量失败:', error);
+    throw error;
+  }
+};
+
+/**
+ * 批量操作中单个用户的处理结果
+ */
+const BATCH_ITEM_STATUS = {
+  UPDATED: 'updated',
+  SKIPPED: 'skipped',
+  FAILED: 'failed',
+};
+
+/**
+ * 批量操作对应的审计事件类型
+ */
+const BATCH_AUDIT_ACTIONS = {
+  delete: AUDIT_ACTIONS.USER_DELETED,
+  updateRole: AUDIT_ACTIONS.USER_ROLE_CHANGED,
+  suspend: AUDIT_ACTIONS.USER_SUSPENDED,
+  restore: AUDIT_ACTIONS.USER_RESTORED,
+};
+
+/**
+ * 检查单个用户能否执行批量操作
+ *
+ * @description 已处于目标状态的用户跳过，不存在的用户 (恢复以外的操作包括已删除的用户)
+ * 和当前角色权限超出操作者的用户失败
+ * @param {string} operation - 操作类型
+ * @param {Object} [user] - 用户当前的数据，不存在时为空
+ * @param {string} [newRole] - 新角色 (updateRole 操作)
+ * @param {boolean} [outranksActor=false] - 用户当前角色是否拥有操作者没有的权限
+ * @returns {{status: string, code?: string, message?: string}} 处理结果
+ */
+const planBatchItem = (operation, user, newRole, outranksActor = false) => {
+  if (!user || (operation !== 'restore' && user.deleted_at)) {
+    return { status: BATCH_ITEM_STATUS.FAILED, code: 'USER_NOT_FOUND', message: '用户不存在' };
+  }
+
+  if (outranksActor) {
+    return { status: BATCH_ITEM_STATUS.FAILED, code: 'INSUFFICIENT_PRIVILEGES', message: '不能操作权限超出自己的用户' };
+  }
+
+  if (operation === 'updateRole' && user.role === newRole) {
+    return { status: BATCH_ITEM_STATUS.SKIPPED, code: 'ROLE_UNCHANGED', message: '用户已经是该角色' };
+  }
+
+  if (operation === 'suspend' && user.status === USER_STATUS.SUSPENDED) {
+    return { status: BATCH_ITEM_STATUS.SKIPPED, code: 'ALREADY_SUSPENDED', message: '用户已处于封禁状态' };
+  }
+
+  if (operation === 'restore' && !user.deleted_at) {
+    return { status: BATCH_ITEM_STATUS.SKIPPED, code: 'NOT_DELETED', message: '用户未被删除' };
+  }
+
+  return { status: BATCH_ITEM_STATUS.UPDATED };
+};
+
+/**
+ * 吊销用户所有刷新令牌和会话的语句
+ *
+ * @description 与 revokeAllUserRefreshTokens 相同，但作为语句返回，以便与用户的修改放在同一事务中。
+ * 只吊销同一事务中实际被修改的用户 (由 changed 条件选出)，检查之后被并发修改而跳过的用户不受影响
+ * @param {SQL} changed - 选出实际被修改的用户的条件
+ * @param {Date} now - 吊销时间
+ * @returns {Array} Drizzle 查询
+ */
+const revokeRefreshTokensStatements = (changed, now) => {
+  const changedUserIds = db.select({ id: users.id }).from(users).where(changed);
+
+  return [
+    db
+      .update(refreshTokens)
+      .set({ revoked_at: now })
+      .where(and(inArray(refreshTokens.user_id, changedUserIds), isNull(refreshTokens.revoked_at))),
+    db
+      .update(sessions)
+      .set({ revoked_at: now })
+      .where(and(inArray(sessions.user_id, changedUserIds), isNull(sessions.revoked_at))),
+  ];
+};
+
+/**
+ * 构建批量操作的语句
+ *
+ * @description 第一条语句修改用户并返回实际修改的用户ID；条件中重复检查状态，
+ * 检查之后被并发修改的用户不会被修改
+ * @param {string} operation - 操作类型
+ * @param {Array<number>} ids - 需要修改的用户ID
+ * @param {Object} options - { newRole, reason }
+ * @returns {Array} Drizzle 查询
+ */
+const batchStatements = (operation, ids, { newRole, reason }) => {
+  const now = new Date();
+  const target = inArray(users.id, ids);
+
+  switch (operation) {
+    case 'delete':
+      return [
+        db
+          .update(users)
+          .set({ deleted_at: now, updated_at: now })
+          .where(and(target, notDeleted))
+          .returning({ id: users.id }),
+        ...revokeRefreshTokensStatements(and(target, eq(users.deleted_at, now)), now),
+      ];
+    case 'updateRole':
+      return [
+        db
+          .update(users)
+          .set({ role: newRole, updated_at: now })
+          .where(and(target, notDeleted, ne(users.role, newRole)))
+          .returning({ id: users.id }),
+      ];
+    case 'suspend':
+      return [
+        db
+          .update(users)
+          .set({ status: USER_STATUS.SUSPENDED, status_reason: reason, status_changed_at: now, updated_at: now })
+          .where(and(target, notDeleted, ne(users.status, USER_STATUS.SUSPENDED)))
+          .returning({ id: users.id }),
+        ...revokeRefreshTokensStatements(
+          and(target, eq(users.status, USER_STATUS.SUSPENDED), eq(users.status_changed_at, now)),
+          now
+        ),
+      ];
+    case 'restore':
+      return [
+        db
+          .update(users)
+          .set({ deleted_at: null, updated_at: now })
+          .where(and(target, isNotNull(users.deleted_at)))
+          .returning({ id: users.id }),
+      ];
+    default:
+      throw new Error(`Unknown batch operation: ${operation}`);
+  }
+};
+
+/**
+ * 审计事件中记录的变更前后值
+ *
+ * @param {string} operation - 操作类型
+ * @param {Object} user - 用户修改前的数据
+ * @param {string} [newRole] - 新角色 (updateRole 操作)
+ * @returns {{before: Object, after?: Object}} 变更前后的值
+ */
+const batchAuditChanges = (operation, user, newRole) => {
+  switch (operation) {
+    case 'delete':
+      return { before: { email: user.email, name: user.name, role: user.role } };
+    case 'updateRole':
+      return { before: { role: user.role }, after: { role: newRole } };
+    case 'suspend':
+      return { before: { status: user.status }, after: { status: USER_STATUS.SUSPENDED } };
+    default:
+      return { before: { deleted_at: user.deleted_at }, after: { deleted_at: null } };
+  }
+};
+
+/**
+ * 批量用户操作服务 (管理员专用)
+ * 
+ * @description 对多个用户执行删除、修改角色、封禁或恢复，逐个检查后在一个数据库事务中执行：
+ * 1. 读取所有用户，为每个用户生成处理结果 (updated/skipped/failed)
+ * 2. 任何用户失败 (不存在、权限超出操作者、恢复时邮箱已被占用) 或 dryRun 时不做任何修改
+ * 3. 否则通过 db.batch 在一个事务中修改用户 (删除和封禁同时吊销刷新令牌和会话)
+ * 4. 提交后吊销访问令牌，并为每个被修改的用户记录审计事件
+ * 调用方需要检查对应的权限，以及操作者是否包含在用户列表中
+ * @param {Object} request - 批量操作 (见 batchUserOperationSchema)
+ * @param {string} request.operation - 操作类型 (delete/updateRole/suspend/restore)
+ * @param {Array<number>} request.userIds - 用户ID列表 (已去重)
+ * @param {string} [request.newRole] - 新角色 (updateRole 操作)
+ * @param {string} [request.reason] - 操作原因
+ * @param {boolean} [request.dryRun=false] - 只检查不修改
+ * @param {Array<string>} [request.actorPermissions] - 操作者的权限，当前角色拥有其他权限的用户不能被操作；
+ * 不传时不做这项检查 (由调用方负责，如 deleteMultipleUsers)
+ * @param {Object} [context] - 审计上下文 (见 auditContext)
+ * @returns {Promise<Object>} { operation, dryRun, applied, summary, results }，
+ * applied 为 false 时 results 中的 updated 表示将会被修改
+ * @throws {Error} updateRole 操作的角色不存在时抛出错误
+ */
+export const executeBatchUserOperation = async (
+  { operation, userIds, newRole, reason, dryRun = false, actorPermissions },
+  context
+) => {
+  try {
+    logger.info(`开始批量用户操作 - ${operation}${dryRun ? ' (dry run)' : ''}`, { userIds });
+
+    if (operation === 'updateRole' && !(await roleExists(newRole))) {
+      logger.warn(`角色不存在 - ${newRole}`);
+      throw new Error('Role not found');
+    }
+
+    // 1. 读取用户 (包括已删除的用户) 并逐个检查
+    const existingUsers = await db
+      .select({
         id: users.id,
         email: users.email,
         name: users.name,
         role: users.role,
-      });
+        status: users.status,
+        deleted_at: users.deleted_at,
+      })
+      .from(users)
+      .where(inArray(users.id, userIds));
+
+    const usersById = new Map(existingUsers.map(user => [user.id, user]));
+
+    // 不能操作当前角色权限超出操作者的用户 (如普通管理员删除、降级或封禁超级管理员)
+    const roles = actorPermissions ? [...new Set(existingUsers.map(user => user.role))] : [];
+    const manageableRoles = new Map(
+      await Promise.all(roles.map(async role => [role, await canManageRole(actorPermissions, role)]))
+    );
+    const outranksActor = user => manageableRoles.get(user.role) === false;
+
+    const results = userIds.map(id => {
+      const user = usersById.get(id);
+      return { id, ...planBatchItem(operation, user, newRole, Boolean(user) && outranksActor(user)) };
+    });
+
+    // 2. 恢复时邮箱必须在未删除的用户 (包括本批次中先恢复的用户) 中唯一
+    if (operation === 'restore') {
+      const restoring = results.filter(item => item.status === BATCH_ITEM_STATUS.UPDATED);
+      const emails = restoring.map(item => usersById.get(item.id).email);
+
+      const owners = emails.length > 0
+        ? await db
+          .select({ email: users.email })
+          .from(users)
+          .where(and(inArray(users.email, emails), notDeleted))
+        : [];
+
+      const takenEmails = new Set(owners.map(owner => owner.email));
+
+      for (const item of restoring) {
+        const { email } = usersById.get(item.id);
 
-    logger.info(`批量删除用户成功 - 共删除 ${deletedUsers.length} 个用户`);
-    return deletedUsers;
+        if (takenEmails.has(email)) {
+          Object.assign(item, { status: BATCH_ITEM_STATUS.FAILED, code: 'EMAIL_ALREADY_EXISTS', message: '邮箱已被其他用户使用' });
+        }
+
+        takenEmails.add(email);
+      }
+    }
+
+    const countOf = status => results.filter(item => item.status === status).length;
+    const report = () => ({
+      operation,
+      dryRun,
+      applied: !dryRun && countOf(BATCH_ITEM_STATUS.FAILED) === 0,
+      summary: {
+        total: results.length,
+        updated: countOf(BATCH_ITEM_STATUS.UPDATED),
+        skipped: countOf(BATCH_ITEM_STATUS.SKIPPED),
+        failed: countOf(BATCH_ITEM_STATUS.FAILED),
+      },
+      results,
+    });
+
+    const ids = results.filter(item => item.status === BATCH_ITEM_STATUS.UPDATED).map(item => item.id);
+
+    if (dryRun || countOf(BATCH_ITEM_STATUS.FAILED) > 0 || ids.length === 0) {
+      logger.info(`批量用户操作未执行修改 - ${operation}`, report().summary);
+      return report();
+    }
+
+    // 3. 在一个事务中执行 (neon-http 不支持交互式事务，db.batch 中的语句在同一事务中提交)
+    const [changed] = await db.batch(batchStatements(operation, ids, { newRole, reason }));
+    const changedIds = new Set(changed.map(row => row.id));
+
+    // 检查之后被并发修改的用户
+    for (const item of results) {
+      if (item.status === BATCH_ITEM_STATUS.UPDATED && !changedIds.has(item.id)) {
+        Object.assign(item, { status: BATCH_ITEM_STATUS.SKIPPED, code: 'CONCURRENT_MODIFICATION', message: '用户已被同时修改' });
+      }
+    }
+
+    // 4. 吊销访问令牌，使删除、封禁和角色变更立即生效
+    if (operation !== 'restore') {
+      await Promise.all([...changedIds].map(id => revokeUserTokens(id)));
+    }
+
+    for (const id of changedIds) {
+      await recordAuditEvent(
+        {
+          action: BATCH_AUDIT_ACTIONS[operation],
+          target: { type: 'user', id },
+          ...batchAuditChanges(operation, usersById.get(id), newRole),
+          metadata: { batch: true, ...(reason && { reason }) },
+        },
+        context
+      );
+    }
+
+    logger.info(`批量用户操作成功 - ${operation}`, report().summary);
+    return report();
   } catch (error) {
-    logger.error('批量删除用户失败:', error);
+    logger.error(`批量用户操作失败 - ${operation}:`, error);
     throw error;
   }
 };
 
 /**
- * 更新用户角色服务 (管理员专用)
+ * 执行批量操作并返回被修改的用户
+ *
+ * @description 有用户无法执行时整批不执行并抛出错误，用户不存在时与单个用户的服务一样抛出 'User not found'
+ * @param {Object} request - 批量操作 (见 executeBatchUserOperation)
+ * @param {Object} [context] - 审计上下文 (见 auditContext)
+ * @returns {Promise<Array<{id: number}>>} 被修改的用户
+ * @throws {Error} 有用户无法执行操作时抛出错误
+ */
+const applyBatchUserOperation = async (request, context) => {
+  const { applied, results } = await executeBatchUserOperation(request, context);
+
+  if (!applied) {
+    const failed = results.filter(item => item.status === BATCH_ITEM_STATUS.FAILED);
+    throw new Error(failed.some(item => item.code === 'USER_NOT_FOUND') ? 'User not found' : 'Batch operation rejected');
+  }
+
+  return results
+    .filter(item => item.status === BATCH_ITEM_STATUS.UPDATED)
+    .map(({ id }) => ({ id }));
+};
+
+/**
+ * 批量删除用户服务 (可选功能)
  * 
- * @description 批量更新用户角色，仅管理员可用
+ * @description 批量软删除多个用户，在一个事务中执行 (见 executeBatchUserOperation)
+ * 调用方需要检查 users:delete 权限，以及目标用户的权限是否超出操作者
+ * @param {Array<number>} userIds - 要删除的用户ID数组
+ * @param {Object} [context] - 审计上下文 (见 auditContext)
+ * @returns {Promise<Array<{id: number}>>} 被删除的用户
+ * @throws {Error} 用户ID无效或有用户不存在时抛出错误
+ */
+export const deleteMultipleUsers = async (userIds, context) => {
+  if (!Array.isArray(userIds) || userIds.length === 0) {
+    throw new Error('Invalid user IDs provided');
+  }
+
+  return applyBatchUserOperation({ operation: 'delete', userIds: [...new Set(userIds)] }, context);
+};
+
+/**
+ * 更新用户角色服务
+ * 
+ * @description 批量更新用户角色，同一角色的用户在一个事务中修改 (见 executeBatchUserOperation)
+ * 调用方需要检查 users:update_role 权限
  * @param {Array<{id: number, role: string}>} updates - 角色更新列表
- * @returns {Promise<Array>} 更新后的用户列表
+ * @param {Object} [context] - 审计上下文 (见 auditContext)，每个用户的角色变更单独记录
+ * @returns {Promise<Array<{id: number}>>} 被修改的用户 (已经是该角色的用户不包括在内)
+ * @throws {Error} 角色不存在或有用户不存在时抛出错误
  */
-export const updateUserRoles = async (updates) => {
-  try {
-    logger.info('开始批量更新用户角色', { updates });
+export const updateUserRoles = async (updates, context) => {
+  const idsByRole = new Map();
 
-    const updatedUsers = [];
+  for (const { id, role } of updates) {
+    idsByRole.set(role, [...(idsByRole.get(role) || []), id]);
+  }
 
-    // 逐个更新用户角色
-    for (const { id, role } of updates) {
-      const updatedUser = await updateUser(id, { role });
-      updatedUsers.push(updatedUser);
-    }
+  const updatedUsers = [];
 
-    logger.info(`批量更新用户角色成功 - 共更新 ${updatedUsers.length} 个用户`);
-    return updatedUsers;
-  } catch (error) {
-    logger.error('批量更新用户角色失败:', error);
-    throw error;
+  for (const [newRole, userIds] of idsByRole) {
+    updatedUsers.push(
+      ...(await applyBatchUserOperation({ operation: 'updateRole', userIds: [...new Set(userIds)], newRole }, context))
+    );
   }
+
+  return updatedUsers;
 };
 
 /* 
@@ -330,7 +1299,11 @@ import {
   getUserById,
   updateUser,
   deleteUser,
-  getUserCount
+  restoreUser,
+  executeBatchUserOperation,
+  getUserCount,
+  getRegistrationSeries,
+  getActiveUserCounts
 } from './users.service.js';
 
 // 获取所有用户
@@ -345,12 +1318,32 @@ const updatedUser = await updateUser(123, {
   email: 'new@email.com'
 });
 
-// 删除用户
+// 删除用户 (软删除，保留期内可以恢复)
 const deletedUser = await deleteUser(123);
 
+// 恢复已删除的用户
+const restoredUser = await restoreUser(123);
+
+// 批量封禁 (一个事务中执行，返回每个用户的处理结果)
+const report = await executeBatchUserOperation({
+  operation: 'suspend',
+  userIds: [12, 13, 14],
+  reason: '批量注册的垃圾账户'
+});
+
 // 获取统计信息
 const stats = await getUserCount();
 
+// 最近12周每周的注册数
+const series = await getRegistrationSeries({
+  interval: 'week',
+  from: new Date(Date.now() - 12 * 7 * 24 * 60 * 60 * 1000),
+  to: new Date()
+});
+
+// 日活、周活、月活
+const { daily, weekly, monthly } = await getActiveUserCounts();
+
 错误处理:
 
 try {
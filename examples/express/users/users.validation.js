@@ -1,4 +1,6 @@
 import { z } from 'zod';
+import { roleNameSchema } from '../roles/roles.validation.js';
+import { USER_STATUS } from '../models/user.model.js';
 
 /**
  * 用户ID验证规则
@@ -63,14 +65,10 @@ export const updateUserSchema = z
 
     /**
      * 用户角色验证 (可选)
-     * - 只允许 'user' 或 'admin'
-     * - 仅管理员可以在控制器中修改此字段
+     * - 角色名格式，角色是否存在由服务层检查 (角色在 /api/roles 中管理)
+     * - 需要 users:update_role 权限才能在控制器中修改此字段
      */
-    role: z
-      .enum(['user', 'admin'], {
-        errorMap: () => ({ message: '用户角色只能是 user 或 admin' })
-      })
-      .optional()
+    role: roleNameSchema.optional()
   })
   .refine(
     (data) => {
@@ -84,9 +82,61 @@ export const updateUserSchema = z
   );
 
 /**
- * 用户搜索/过滤参数验证规则 (可选功能)
+ * 用户状态变更验证规则
+ * 
+ * @description 验证管理员封禁/恢复用户时提交的数据
+ */
+export const userStatusChangeSchema = z.object({
+  /**
+   * 操作原因 (必填)
+   * - 最小长度: 1个字符
+   * - 最大长度: 500个字符
+   * - 自动去除前后空格
+   */
+  reason: z
+    .string({
+      required_error: '操作原因是必填项',
+      invalid_type_error: '操作原因必须是字符串'
+    })
+    .trim()
+    .min(1, '操作原因不能为空')
+    .max(500, '操作原因不能超过500个字符')
+});
+
+/**
+ * 模拟登录验证规则
+ * 
+ * @description 验证发起模拟登录时提交的数据，原因记录在审计日志中
+ */
+export const impersonateUserSchema = z.object({
+  /**
+   * 模拟登录原因 (必填，如工单号)
+   * - 最小长度: 1个字符
+   * - 最大长度: 500个字符
+   * - 自动去除前后空格
+   */
+  reason: z
+    .string({
+      required_error: '模拟登录原因是必填项',
+      invalid_type_error: '模拟登录原因必须是字符串'
+    })
+    .trim()
+    .min(1, '模拟登录原因不能为空')
+    .max(500, '模拟登录原因不能超过500个字符')
+});
+
+/**
+ * 按页码分页时最多跳过的记录数
+ *
+ * @description OFFSET 需要数据库扫描并丢弃前面的所有行，页码过大时查询代价随之增长；
+ * 更深的遍历使用游标分页
+ */
+const MAX_PAGE_OFFSET = 10000;
+
+/**
+ * 用户搜索/过滤参数验证规则
  * 
- * @description 验证用户列表查询参数
+ * @description 验证 GET /api/users 的查询参数
  */
 export const userQuerySchema = z.object({
   /**
@@ -121,10 +171,27 @@ export const userQuerySchema = z.object({
   /**
    * 角色过滤
    */
-  role: z
-    .enum(['user', 'admin'])
+  role: roleNameSchema.optional(),
+
+  /**
+   * 状态过滤
+   */
+  status: z
+    .enum(Object.values(USER_STATUS), {
+      errorMap: () => ({ message: '用户状态无效' })
+    })
     .optional(),
 
+  /**
+   * 是否包含已删除的用户 (需要 users:delete 权限，由控制器检查)
+   */
+  includeDeleted: z
+    .enum(['true', 'false'], {
+      errorMap: () => ({ message: 'includeDeleted 只能是 true 或 false' })
+    })
+    .default('false')
+    .transform(val => val === 'true'),
+
   /**
    * 排序字段
    */
@@ -137,17 +204,136 @@ export const userQuerySchema = z.object({
    */
   sortOrder: z
     .enum(['asc', 'desc'])
-    .default('desc')
-});
+    .default('desc'),
+
+  /**
+   * 分页方式
+   * - offset: 按页码分页 (默认)，返回总数
+   * - cursor: 按 (created_at, id) 的游标分页，适合遍历整张表，不返回总数
+   */
+  pagination: z
+    .enum(['offset', 'cursor'])
+    .default('offset'),
+
+  /**
+   * 分页游标 (上一次响应中的 nextCursor 或 prevCursor)
+   * 携带游标时自动使用游标分页
+   */
+  cursor: z
+    .string()
+    .max(512, '游标无效')
+    .optional()
+})
+  .transform(data => ({
+    ...data,
+    pagination: data.cursor ? 'cursor' : data.pagination
+  }))
+  .refine(
+    (data) => data.pagination !== 'cursor' || data.sortBy === 'created_at',
+    {
+      message: '游标分页只支持按创建时间排序',
+      path: ['sortBy']
+    }
+  )
+  .refine(
+    (data) => data.pagination === 'cursor' || (data.page - 1) * data.limit <= MAX_PAGE_OFFSET,
+    {
+      message: `页码过大，按页码分页最多跳过 ${MAX_PAGE_OFFSET} 条记录，请使用游标分页 (pagination=cursor)`,
+      path: ['page']
+    }
+  );
 
 /**
- * 批量用户操作验证规则 (可选功能)
+ * 注册趋势的统计粒度和默认统计范围
+ */
+const STATS_INTERVALS = {
+  day: { days: 1, defaultBuckets: 30 },
+  week: { days: 7, defaultBuckets: 12 },
+  month: { days: 31, defaultBuckets: 12 }
+};
+
+/**
+ * 注册趋势最多返回的时间段数量
+ */
+const MAX_STATS_BUCKETS = 366;
+
+/**
+ * 用户统计查询参数验证规则
+ * 
+ * @description 验证 GET /api/users/stats 的查询参数
+ * 未指定范围时统计到当前时间，按天最近30天、按周最近12周、按月最近12个月
+ */
+export const userStatsQuerySchema = z
+  .object({
+    /**
+     * 注册趋势的统计粒度
+     */
+    interval: z
+      .enum(Object.keys(STATS_INTERVALS), {
+        errorMap: () => ({ message: '统计粒度只能是 day、week 或 month' })
+      })
+      .default('day'),
+
+    /**
+     * 开始时间 (ISO 8601)
+     */
+    from: z
+      .string()
+      .datetime({ offset: true, message: '开始时间必须是ISO 8601格式' })
+      .transform(val => new Date(val))
+      .optional(),
+
+    /**
+     * 结束时间 (ISO 8601)
+     */
+    to: z
+      .string()
+      .datetime({ offset: true, message: '结束时间必须是ISO 8601格式' })
+      .transform(val => new Date(val))
+      .optional()
+  })
+  .transform(data => {
+    const to = data.to ?? new Date();
+    const { days, defaultBuckets } = STATS_INTERVALS[data.interval];
+
+    return {
+      ...data,
+      from: data.from ?? new Date(to.getTime() - days * defaultBuckets * 24 * 60 * 60 * 1000),
+      to
+    };
+  })
+  .refine(
+    (data) => data.from <= data.to,
+    {
+      message: '开始时间不能晚于结束时间',
+      path: ['from']
+    }
+  )
+  .refine(
+    (data) => {
+      // 按月统计时每月按28天估算，宁可多拒绝也不返回超长序列
+      const days = data.interval === 'month' ? 28 : STATS_INTERVALS[data.interval].days;
+      return (data.to - data.from) / (days * 24 * 60 * 60 * 1000) < MAX_STATS_BUCKETS;
+    },
+    {
+      message: `统计范围过大，最多返回 ${MAX_STATS_BUCKETS} 个时间段`,
+      path: ['from']
+    }
+  );
+
+/**
+ * 批量用户操作类型
+ */
+const BATCH_USER_OPERATIONS = ['delete', 'updateRole', 'suspend', 'restore'];
+
+/**
+ * 批量用户操作验证规则
  * 
- * @description 验证批量用户操作的请求数据
+ * @description 验证 POST /api/users/batch 的请求数据
  */
 export const batchUserOperationSchema = z.object({
   /**
-   * 用户ID列表
+   * 用户ID列表 (重复的ID只处理一次)
    */
   userIds: z
     .array(
@@ -158,21 +344,41 @@ export const batchUserOperationSchema = z.object({
       }
     )
     .min(1, '至少需要选择一个用户')
-    .max(50, '单次最多只能操作50个用户'),
+    .max(50, '单次最多只能操作50个用户')
+    .transform(ids => [...new Set(ids)]),
 
   /**
    * 操作类型
    */
-  operation: z.enum(['delete', 'updateRole'], {
-    errorMap: () => ({ message: '操作类型只能是 delete 或 updateRole' })
+  operation: z.enum(BATCH_USER_OPERATIONS, {
+    errorMap: () => ({ message: '操作类型只能是 delete、updateRole、suspend 或 restore' })
   }),
 
   /**
    * 新角色 (仅在updateRole操作时需要)
    */
-  newRole: z
-    .enum(['user', 'admin'])
-    .optional()
+  newRole: roleNameSchema.optional(),
+
+  /**
+   * 操作原因 (suspend 操作时必填，记录在审计日志中)
+   */
+  reason: z
+    .string({
+      invalid_type_error: '操作原因必须是字符串'
+    })
+    .trim()
+    .min(1, '操作原因不能为空')
+    .max(500, '操作原因不能超过500个字符')
+    .optional(),
+
+  /**
+   * 只检查每个用户能否执行操作，不做任何修改
+   */
+  dryRun: z
+    .boolean({
+      invalid_type_error: 'dryRun 必须是布尔值'
+    })
+    .default(false)
 }).refine(
   (data) => {
     // 如果操作是updateRole，必须提供newRole
@@ -185,6 +391,12 @@ export const batchUserOperationSchema = z.object({
     message: '更新角色操作时必须指定新角色',
     path: ['newRole']
   }
+).refine(
+  (data) => data.operation !== 'suspend' || !!data.reason,
+  {
+    message: '封禁操作时必须填写原因',
+    path: ['reason']
+  }
 );
 
 /**
@@ -1,13 +1,236 @@
+import crypto from 'crypto';
+import logger from '../config/logger.js';
+
+/**
+ * Cookie密钥配置
+ *
+ * @description COOKIE_SECRET 可以包含多个逗号分隔的密钥，第一个用于签名和加密，
+ * 其余只用于读取轮换前写入的Cookie。轮换时把新密钥放在最前面，旧Cookie全部过期后再移除旧密钥。
+ *
+ * 生产环境必须配置至少32个字符的密钥，否则启动时直接失败。
+ */
+const DEV_FALLBACK_SECRET = 'your-cookie-secret-key-please-change-in-production';
+const MIN_SECRET_LENGTH = 32;
+
+/**
+ * 示例文档中出现过的密钥，生产环境中视为未配置
+ */
+const PLACEHOLDER_SECRETS = [DEV_FALLBACK_SECRET, 'your-cookie-secret-key'];
+
+/**
+ * 初始化Cookie密钥
+ *
+ * @description 每个密钥派生出签名密钥和加密密钥，两种用途互不复用
+ * @returns {Array<{signKey: Buffer, encryptKey: Buffer}>} 密钥列表，第一个为当前密钥
+ * @throws {Error} 生产环境未配置或配置了占位密钥、过短的密钥时抛出错误
+ */
+const initCookieKeys = () => {
+  const isProduction = process.env.NODE_ENV === 'production';
+  let secrets = (process.env.COOKIE_SECRET || '')
+    .split(',')
+    .map(secret => secret.trim())
+    .filter(Boolean);
+
+  if (isProduction) {
+    if (secrets.length === 0 || secrets.some(secret => PLACEHOLDER_SECRETS.includes(secret))) {
+      throw new Error('COOKIE_SECRET is not configured');
+    }
+
+    if (secrets.some(secret => secret.length < MIN_SECRET_LENGTH)) {
+      throw new Error(`COOKIE_SECRET must be at least ${MIN_SECRET_LENGTH} characters in production`);
+    }
+  }
+
+  if (secrets.length === 0) {
+    logger.warn('未配置 COOKIE_SECRET，正在使用开发环境占位密钥，切勿用于生产环境');
+    secrets = [DEV_FALLBACK_SECRET];
+  }
+
+  return secrets.map(secret => ({
+    signKey: Buffer.from(crypto.hkdfSync('sha256', secret, '', 'cookie-signing', 32)),
+    encryptKey: Buffer.from(crypto.hkdfSync('sha256', secret, '', 'cookie-encryption', 32)),
+  }));
+};
+
+const cookieKeys = initCookieKeys();
+
+/**
+ * Cookie策略预设
+ *
+ * @description 每种Cookie的属性集中定义，调用时通过 { preset } 选择，同名属性可以再覆盖。
+ * 除标准Cookie属性外支持：
+ * - signed     附加 HMAC 签名，读取时签名无效的Cookie视为不存在
+ * - encrypted  AES-256-GCM 加密 (同时防篡改)，用于不应被客户端读取的值
+ * - prefix     'host' 使用 __Host- 前缀 (要求 path 为 /、不设置 domain)，'secure' 使用 __Secure- 前缀；
+ *              只在 secure 为 true (生产环境) 时生效，开发环境的 http 下保持原名
+ */
+export const COOKIE_PRESETS = {
+  // 未指定预设时使用，与早期版本的默认值相同
+  default: {
+    maxAge: 15 * 60 * 1000,
+  },
+
+  // 访问令牌：与JWT有效期一致
+  accessToken: {
+    maxAge: 15 * 60 * 1000,
+    signed: true,
+    prefix: 'host',
+  },
+
+  // 刷新令牌：只发送到认证路由，有效期由调用方传入
+  refreshToken: {
+    path: '/api/auth',
+    encrypted: true,
+    prefix: 'secure',
+  },
+
+  // 第三方登录 state：包含 PKCE code_verifier，需要在提供方跳转回来时发送，因此使用 lax
+  oauthState: {
+    path: '/api/auth/oauth',
+    sameSite: 'lax',
+    maxAge: 10 * 60 * 1000,
+    encrypted: true,
+    prefix: 'secure',
+  },
+
+  // CSRF令牌：前端需要读取，令牌自带签名，浏览器关闭时过期
+  csrf: {
+    httpOnly: false,
+    maxAge: undefined,
+    prefix: 'host',
+  },
+};
+
+/**
+ * 解析Cookie策略
+ *
+ * @param {string} name - Cookie名称 (不含前缀)
+ * @param {Object} [options] - { preset, signed, encrypted, prefix, ...Cookie属性 }
+ * @returns {{cookieName: string, signed: boolean, encrypted: boolean, cookieOptions: Object}} 实际Cookie名称、编码方式和传给 Express 的属性
+ * @throws {Error} 预设不存在或 __Host- 前缀的属性不合法时抛出错误
+ */
+const resolvePolicy = (name, options = {}) => {
+  const { preset = 'default', ...overrides } = options;
+
+  if (!COOKIE_PRESETS[preset]) {
+    throw new Error(`Unknown cookie preset: ${preset}`);
+  }
+
+  const { signed = false, encrypted = false, prefix, ...cookieOptions } = {
+    ...cookies.getOptions(),
+    ...COOKIE_PRESETS[preset],
+    ...overrides,
+  };
+
+  if (!prefix || !cookieOptions.secure) {
+    return { cookieName: name, signed, encrypted, cookieOptions };
+  }
+
+  if (prefix === 'host') {
+    if (cookieOptions.path !== '/' || cookieOptions.domain) {
+      throw new Error(`__Host- cookie ${name} must use path "/" and no domain`);
+    }
+
+    return { cookieName: `__Host-${name}`, signed, encrypted, cookieOptions };
+  }
+
+  return { cookieName: `__Secure-${name}`, signed, encrypted, cookieOptions };
+};
+
+/**
+ * 计算签名
+ *
+ * @description 签名内容包含Cookie名称，防止把一个Cookie的值挪到另一个Cookie中使用
+ * @param {Buffer} key - 签名密钥
+ * @param {string} name - Cookie名称
+ * @param {string} value - Cookie值
+ * @returns {string} base64url 编码的 HMAC-SHA256 签名
+ */
+const sign = (key, name, value) =>
+  crypto.createHmac('sha256', key).update(`${name}=${value}`).digest('base64url');
+
+/**
+ * 验证签名并取出原始值
+ *
+ * @param {string} name - Cookie名称
+ * @param {string} raw - 格式为 <值>.<签名>
+ * @returns {string|undefined} 任一密钥签名有效时返回原始值
+ */
+const unsign = (name, raw) => {
+  const index = raw.lastIndexOf('.');
+
+  if (index === -1) {
+    return undefined;
+  }
+
+  const value = raw.slice(0, index);
+  const signature = Buffer.from(raw.slice(index + 1));
+
+  const valid = cookieKeys.some(({ signKey }) => {
+    const expected = Buffer.from(sign(signKey, name, value));
+    return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+  });
+
+  return valid ? value : undefined;
+};
+
+/**
+ * 加密Cookie值
+ *
+ * @param {string} name - Cookie名称 (作为附加认证数据)
+ * @param {string} value - 明文
+ * @returns {string} base64url 编码的 iv + 认证标签 + 密文
+ */
+const encrypt = (name, value) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', cookieKeys[0].encryptKey, iv);
+  cipher.setAAD(Buffer.from(name));
+
+  const ciphertext = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64url');
+};
+
+/**
+ * 解密Cookie值
+ *
+ * @param {string} name - Cookie名称
+ * @param {string} raw - encrypt 的输出
+ * @returns {string|undefined} 任一密钥解密成功时返回明文
+ */
+const decrypt = (name, raw) => {
+  const payload = Buffer.from(raw, 'base64url');
+
+  if (payload.length < 28) {
+    return undefined;
+  }
+
+  for (const { encryptKey } of cookieKeys) {
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', encryptKey, payload.subarray(0, 12));
+      decipher.setAAD(Buffer.from(name));
+      decipher.setAuthTag(payload.subarray(12, 28));
+
+      return Buffer.concat([decipher.update(payload.subarray(28)), decipher.final()]).toString('utf8');
+    } catch {
+      // 认证标签不匹配，尝试下一个密钥
+    }
+  }
+
+  return undefined;
+};
+
 /**
  * Cookie管理工具
- * 
+ *
  * @description 提供安全的Cookie操作功能，包括设置、获取和清除Cookie
+ * 通过预设为每种Cookie配置有效期、路径、签名、加密和名称前缀，set/get/clear 需传入相同的预设
  */
 export const cookies = {
   /**
    * 获取Cookie默认选项
-   * 
-   * @description 返回安全的Cookie配置选项
+   *
+   * @description 返回安全的Cookie配置选项，各预设在此基础上覆盖
    * @returns {Object} Cookie配置选项
    */
   getOptions: () => ({
@@ -17,72 +240,98 @@ export const cookies = {
     secure: process.env.NODE_ENV === 'production',
     // 同源策略，防止CSRF攻击
     sameSite: 'strict',
-    // Cookie有效期：15分钟
-    maxAge: 15 * 60 * 1000,
     // Cookie路径
     path: '/',
   }),
 
   /**
    * 设置Cookie
-   * 
+   *
    * @param {Object} res - Express响应对象
    * @param {string} name - Cookie名称
    * @param {string} value - Cookie值
-   * @param {Object} options - 额外的Cookie选项
+   * @param {Object} options - 预设名称 { preset } 和额外的Cookie选项
    */
   set: (res, name, value, options = {}) => {
-    const finalOptions = { ...cookies.getOptions(), ...options };
-    res.cookie(name, value, finalOptions);
+    const { cookieName, signed, encrypted, cookieOptions } = resolvePolicy(name, options);
+
+    let encoded = value;
+
+    if (encrypted) {
+      encoded = encrypt(name, value);
+    } else if (signed) {
+      encoded = `${value}.${sign(cookieKeys[0].signKey, name, value)}`;
+    }
+
+    res.cookie(cookieName, encoded, cookieOptions);
   },
 
   /**
    * 清除Cookie
-   * 
+   *
    * @param {Object} res - Express响应对象
    * @param {string} name - Cookie名称
-   * @param {Object} options - 额外的Cookie选项
+   * @param {Object} options - 预设名称 { preset } 和额外的Cookie选项，需与设置时一致
    */
   clear: (res, name, options = {}) => {
-    const finalOptions = { ...cookies.getOptions(), ...options };
-    res.clearCookie(name, finalOptions);
+    const { cookieName, cookieOptions } = resolvePolicy(name, options);
+    res.clearCookie(cookieName, cookieOptions);
   },
 
   /**
    * 获取Cookie值
-   * 
+   *
+   * @description 签名或加密的Cookie校验失败时 (被篡改、密钥已移除) 视为不存在
    * @param {Object} req - Express请求对象
    * @param {string} name - Cookie名称
+   * @param {Object} options - 预设名称 { preset }，需与设置时一致
    * @returns {string|undefined} Cookie值
    */
-  get: (req, name) => {
-    return req.cookies[name];
+  get: (req, name, options = {}) => {
+    const { cookieName, signed, encrypted } = resolvePolicy(name, options);
+    const raw = req.cookies?.[cookieName];
+
+    if (typeof raw !== 'string' || (!signed && !encrypted)) {
+      return raw;
+    }
+
+    const value = encrypted ? decrypt(name, raw) : unsign(name, raw);
+
+    if (value === undefined) {
+      logger.warn(`Cookie校验失败，已忽略: ${cookieName}`);
+    }
+
+    return value;
   },
 
   /**
    * 设置长期Cookie（用于记住登录状态）
-   * 
+   *
    * @param {Object} res - Express响应对象
    * @param {string} name - Cookie名称
    * @param {string} value - Cookie值
    * @param {number} days - 有效天数，默认30天
+   * @param {Object} options - 预设名称 { preset } 和额外的Cookie选项
    */
-  setLongTerm: (res, name, value, days = 30) => {
+  setLongTerm: (res, name, value, days = 30, options = {}) => {
     cookies.set(res, name, value, {
+      ...options,
       maxAge: days * 24 * 60 * 60 * 1000, // 转换为毫秒
     });
   },
 
   /**
    * 设置会话Cookie（浏览器关闭时过期）
-   * 
+   *
    * @param {Object} res - Express响应对象
    * @param {string} name - Cookie名称
    * @param {string} value - Cookie值
+   * @param {Object} options - 预设名称 { preset } 和额外的Cookie选项
    */
-  setSession: (res, name, value) => {
+  setSession: (res, name, value, options = {}) => {
     cookies.set(res, name, value, {
+      ...options,
       maxAge: undefined, // 不设置maxAge使其成为会话Cookie
     });
   },
-};
\ No newline at end of file
+};
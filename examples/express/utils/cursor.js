@@ -0,0 +1,94 @@
+import crypto from 'crypto';
+import logger from '../config/logger.js';
+
+/**
+ * 分页游标工具
+ *
+ * @description 游标是带 HMAC 签名的不透明字符串：base64url(JSON载荷).签名。
+ * 客户端只能原样回传，无法修改其中的排序位置或过滤条件。
+ *
+ * 生产环境必须配置 CURSOR_SECRET；多个实例需要使用相同的密钥，否则一个实例签发的游标在另一个实例上无效。
+ */
+const DEV_FALLBACK_SECRET = 'your-cursor-secret-key-please-change-in-production';
+
+/**
+ * 读取签名密钥
+ *
+ * @returns {string} 签名密钥
+ * @throws {Error} 生产环境未配置时抛出错误
+ */
+const initCursorSecret = () => {
+  if (process.env.CURSOR_SECRET) {
+    return process.env.CURSOR_SECRET;
+  }
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('CURSOR_SECRET is not configured');
+  }
+
+  logger.warn('未配置 CURSOR_SECRET，正在使用开发环境占位密钥，切勿用于生产环境');
+  return DEV_FALLBACK_SECRET;
+};
+
+const CURSOR_SECRET = initCursorSecret();
+
+/**
+ * 计算签名
+ *
+ * @param {string} encoded - base64url 编码的载荷
+ * @returns {string} base64url 编码的 HMAC-SHA256 签名
+ */
+const sign = encoded => crypto.createHmac('sha256', CURSOR_SECRET).update(encoded).digest('base64url');
+
+/**
+ * 生成游标
+ *
+ * @param {Object} payload - 游标载荷 (可以被 JSON 序列化)
+ * @returns {string} 签名后的游标
+ */
+export const encodeCursor = payload => {
+  const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${encoded}.${sign(encoded)}`;
+};
+
+/**
+ * 解析并验证游标
+ *
+ * @param {string} cursor - encodeCursor 生成的游标
+ * @returns {Object} 游标载荷
+ * @throws {Error} 格式错误或签名无效时抛出错误
+ */
+export const decodeCursor = cursor => {
+  const [encoded, signature, ...rest] = String(cursor).split('.');
+
+  if (!encoded || !signature || rest.length > 0) {
+    throw new Error('Invalid cursor');
+  }
+
+  const expected = Buffer.from(sign(encoded));
+  const actual = Buffer.from(signature);
+
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new Error('Invalid cursor');
+  }
+
+  try {
+    return JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+  } catch {
+    throw new Error('Invalid cursor');
+  }
+};
+
+/**
+ * 计算过滤条件指纹
+ *
+ * @description 写入游标，使用游标时过滤条件必须与签发时一致，否则翻页结果没有意义
+ * @param {Object} filters - 过滤条件
+ * @returns {string} 短指纹
+ */
+export const fingerprintFilters = filters =>
+  crypto
+    .createHash('sha256')
+    .update(JSON.stringify(Object.keys(filters).sort().map(key => [key, filters[key] ?? null])))
+    .digest('base64url')
+    .slice(0, 16);
@@ -75,6 +75,55 @@ export const formatApiResponse = (success, message, data = null, error = null) =
   return response;
 };
 
+/**
+ * 格式化分页 Link 响应头
+ * 
+ * @description 按 RFC 8288 生成链接，保留原请求的其他查询参数，链接使用相对路径，不依赖请求中的 Host 头
+ * - 页码分页: first、prev、next、last
+ * - 游标分页 (pagination 中有 nextCursor/prevCursor): prev、next
+ * @param {Object} req - Express请求对象
+ * @param {Object} pagination - 分页信息 { page, totalPages } 或 { nextCursor, prevCursor }
+ * @returns {string|null} Link 响应头的值，没有其他页时返回 null
+ */
+export const formatPaginationLinks = (req, pagination) => {
+  const pathname = `${req.baseUrl}${req.path === '/' ? '' : req.path}`;
+
+  const linkWith = (name, value) => {
+    const params = new URLSearchParams(req.query);
+    params.set(name, String(value));
+    return `<${pathname}?${params.toString()}>`;
+  };
+
+  if ('nextCursor' in pagination) {
+    const links = [
+      pagination.prevCursor && `${linkWith('cursor', pagination.prevCursor)}; rel="prev"`,
+      pagination.nextCursor && `${linkWith('cursor', pagination.nextCursor)}; rel="next"`,
+    ].filter(Boolean);
+
+    return links.length > 0 ? links.join(', ') : null;
+  }
+
+  const { page, totalPages } = pagination;
+
+  if (totalPages <= 1) return null;
+
+  const linkTo = targetPage => linkWith('page', targetPage);
+
+  const links = [`${linkTo(1)}; rel="first"`];
+
+  if (page > 1) {
+    links.push(`${linkTo(Math.min(page - 1, totalPages))}; rel="prev"`);
+  }
+
+  if (page < totalPages) {
+    links.push(`${linkTo(page + 1)}; rel="next"`);
+  }
+
+  links.push(`${linkTo(totalPages)}; rel="last"`);
+
+  return links.join(', ');
+};
+
 /**
  * 格式化错误信息（用于日志记录）
  * 
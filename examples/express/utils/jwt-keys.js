@@ -0,0 +1,124 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * JWT签名密钥管理
+ *
+ * @description 从目录中加载非对称签名密钥，每个密钥以文件名作为 kid：
+ * - <kid>.pem         私钥 (PKCS#8 或传统PEM格式)，可以签名和验证
+ * - <kid>.public.pem  公钥，只能验证 (轮换后等待旧令牌过期的密钥)
+ *
+ * 算法由密钥类型决定：RSA 密钥使用 RS256，P-256 椭圆曲线密钥使用 ES256。
+ *
+ * 轮换流程：
+ * 1. 放入新私钥 2024-06.pem，设置 JWT_ACTIVE_KID=2024-06，新令牌由新密钥签名
+ * 2. 旧私钥可替换为 2024-01.public.pem，继续验证尚未过期的旧令牌
+ * 3. 旧令牌全部过期后 (刷新令牌有效期之后) 删除旧公钥
+ */
+
+const PUBLIC_KEY_SUFFIX = '.public.pem';
+const PRIVATE_KEY_SUFFIX = '.pem';
+
+/**
+ * 根据密钥类型确定签名算法
+ *
+ * @param {crypto.KeyObject} keyObject - 公钥或私钥
+ * @returns {string} 'RS256' 或 'ES256'
+ * @throws {Error} 不支持的密钥类型
+ */
+const algorithmForKey = keyObject => {
+  if (keyObject.asymmetricKeyType === 'rsa') {
+    return 'RS256';
+  }
+
+  if (
+    keyObject.asymmetricKeyType === 'ec' &&
+    keyObject.asymmetricKeyDetails?.namedCurve === 'prime256v1'
+  ) {
+    return 'ES256';
+  }
+
+  throw new Error(`Unsupported JWT key type: ${keyObject.asymmetricKeyType}`);
+};
+
+/**
+ * 从目录加载密钥环
+ *
+ * @param {Object} options - 配置选项
+ * @param {string} options.dir - 密钥目录
+ * @param {string} [options.activeKid] - 用于签名的密钥ID；目录中只有一个私钥时可以省略
+ * @returns {{activeKid: string, keys: Map<string, Object>}} 密钥环，keys 的值为 { kid, alg, privateKey?, publicKey }
+ * @throws {Error} 目录中没有私钥、activeKid 不明确或对应私钥不存在时抛出错误
+ */
+export const loadKeyRing = ({ dir, activeKid }) => {
+  const keys = new Map();
+
+  for (const file of fs.readdirSync(dir).sort()) {
+    const fullPath = path.join(dir, file);
+
+    if (file.endsWith(PUBLIC_KEY_SUFFIX)) {
+      const kid = file.slice(0, -PUBLIC_KEY_SUFFIX.length);
+      const publicKey = crypto.createPublicKey(fs.readFileSync(fullPath));
+
+      // 同一个 kid 同时存在私钥和公钥时，以私钥为准
+      if (!keys.has(kid)) {
+        keys.set(kid, { kid, alg: algorithmForKey(publicKey), publicKey });
+      }
+    } else if (file.endsWith(PRIVATE_KEY_SUFFIX)) {
+      const kid = file.slice(0, -PRIVATE_KEY_SUFFIX.length);
+      const privateKey = crypto.createPrivateKey(fs.readFileSync(fullPath));
+      const publicKey = crypto.createPublicKey(privateKey);
+
+      keys.set(kid, { kid, alg: algorithmForKey(privateKey), privateKey, publicKey });
+    }
+  }
+
+  const signingKids = [...keys.values()].filter(key => key.privateKey).map(key => key.kid);
+
+  if (signingKids.length === 0) {
+    throw new Error(`No JWT private key found in ${dir}`);
+  }
+
+  if (!activeKid && signingKids.length > 1) {
+    throw new Error('JWT_ACTIVE_KID is required when multiple private keys are configured');
+  }
+
+  const resolvedKid = activeKid || signingKids[0];
+
+  if (!keys.get(resolvedKid)?.privateKey) {
+    throw new Error(`JWT private key not found for kid: ${resolvedKid}`);
+  }
+
+  return { activeKid: resolvedKid, keys };
+};
+
+/**
+ * 导出JWKS
+ *
+ * @description 只包含公钥部分，供其他服务验证令牌
+ * @param {Map<string, Object>} keys - 密钥环中的密钥
+ * @returns {{keys: Array<Object>}} JSON Web Key Set
+ */
+export const toJwks = keys => ({
+  keys: [...keys.values()].map(key => ({
+    ...key.publicKey.export({ format: 'jwk' }),
+    kid: key.kid,
+    alg: key.alg,
+    use: 'sig',
+  })),
+});
+
+/*
+生成密钥示例:
+
+# ES256 (推荐，签名较短)
+openssl ecparam -name prime256v1 -genkey -noout | openssl pkcs8 -topk8 -nocrypt -out keys/jwt/2024-06.pem
+
+# RS256
+openssl genpkey -algorithm RSA -pkeyopt rsa_keygen_bits:2048 -out keys/jwt/2024-06.pem
+
+# 轮换后只保留旧密钥的公钥
+openssl pkey -in keys/jwt/2024-01.pem -pubout -out keys/jwt/2024-01.public.pem && rm keys/jwt/2024-01.pem
+
+*/
@@ -1,11 +1,105 @@
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
 import logger from '../config/logger.js';
+import { loadKeyRing, toJwks } from './jwt-keys.js';
 
 /**
  * JWT配置
+ * 
+ * @description 推荐使用非对称密钥 (RS256/ES256)：设置 JWT_KEYS_DIR 指向密钥目录，
+ * 其他服务可以通过 JWKS 获取公钥验证令牌，详见 jwt-keys.js。
+ * 
+ * 未配置密钥目录时使用 HS256 + JWT_SECRET。同时配置两者时，JWT_SECRET 只用于验证
+ * 迁移前签发的、没有 kid 的旧令牌。
+ * 
+ * 生产环境必须配置密钥目录或足够长的 JWT_SECRET，否则启动时直接失败。
+ */
+const JWT_KEYS_DIR = process.env.JWT_KEYS_DIR;
+const JWT_ACTIVE_KID = process.env.JWT_ACTIVE_KID;
+const JWT_SECRET = process.env.JWT_SECRET;
+const JWT_ISSUER = process.env.JWT_ISSUER;
+// 访问令牌为短期令牌，过期后通过刷新令牌续期
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+
+/**
+ * 开发环境占位密钥
+ */
+const DEV_FALLBACK_SECRET = 'your-secret-key-please-change-in-production';
+const MIN_SECRET_LENGTH = 32;
+
+/**
+ * 示例文档中出现过的密钥，生产环境中视为未配置
+ */
+const PLACEHOLDER_SECRETS = [
+  DEV_FALLBACK_SECRET,
+  'your-super-secret-jwt-key-change-this-in-production',
+];
+
+/**
+ * 初始化签名配置
+ * 
+ * @description 在模块加载时执行，配置错误会让应用在启动阶段失败，而不是在第一次签发令牌时
+ * @returns {{keyRing: Object|null, secret: string|null}} 非对称密钥环和HS256密钥
+ * @throws {Error} 密钥目录无效，或生产环境没有可用密钥时抛出错误
  */
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-please-change-in-production';
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '1d';
+const initSigningConfig = () => {
+  const isProduction = process.env.NODE_ENV === 'production';
+  const keyRing = JWT_KEYS_DIR ? loadKeyRing({ dir: JWT_KEYS_DIR, activeKid: JWT_ACTIVE_KID }) : null;
+
+  if (JWT_SECRET && isProduction) {
+    if (PLACEHOLDER_SECRETS.includes(JWT_SECRET)) {
+      throw new Error('JWT_SECRET is still set to a placeholder value');
+    }
+
+    if (JWT_SECRET.length < MIN_SECRET_LENGTH) {
+      throw new Error(`JWT_SECRET must be at least ${MIN_SECRET_LENGTH} characters in production`);
+    }
+  }
+
+  if (keyRing) {
+    logger.info(`JWT签名密钥已加载: ${[...keyRing.keys.keys()].join(', ')} (当前: ${keyRing.activeKid})`);
+    return { keyRing, secret: JWT_SECRET || null };
+  }
+
+  if (JWT_SECRET) {
+    return { keyRing: null, secret: JWT_SECRET };
+  }
+
+  if (isProduction) {
+    throw new Error('No JWT signing key configured: set JWT_KEYS_DIR or JWT_SECRET');
+  }
+
+  logger.warn('未配置 JWT_KEYS_DIR 或 JWT_SECRET，正在使用开发环境占位密钥，切勿用于生产环境');
+  return { keyRing: null, secret: DEV_FALLBACK_SECRET };
+};
+
+const { keyRing, secret } = initSigningConfig();
+
+/**
+ * 查找验证令牌使用的密钥
+ * 
+ * @description 每个密钥只接受自己的算法，防止算法混淆攻击 (如用公钥作为HS256密钥伪造令牌)
+ * @param {Object} header - 令牌头部
+ * @returns {{key: crypto.KeyObject|string, algorithms: string[]}} 验证密钥和允许的算法
+ * @throws {Error} 找不到对应密钥时抛出错误
+ */
+const resolveVerificationKey = header => {
+  if (header.kid) {
+    const key = keyRing?.keys.get(header.kid);
+
+    if (!key) {
+      throw new Error(`Unknown JWT kid: ${header.kid}`);
+    }
+
+    return { key: key.publicKey, algorithms: [key.alg] };
+  }
+
+  if (!secret) {
+    throw new Error('JWT without kid is not accepted');
+  }
+
+  return { key: secret, algorithms: ['HS256'] };
+};
 
 /**
  * JWT工具对象
@@ -16,12 +110,36 @@ export const jwttoken = {
   /**
    * 生成JWT令牌
    * 
+   * @description 每个令牌带有唯一的 jti，用于服务端单独吊销；
+   * 另外带有毫秒精度的签发时间 iat_ms (iat 只精确到秒)，用于判断令牌是否在吊销之前签发。
+   * 配置了非对称密钥时使用当前密钥签名，并在头部写入 kid
    * @param {Object} payload - 令牌载荷数据
+   * @param {Object} [options] - 签发选项
+   * @param {string} [options.expiresIn] - 覆盖默认有效期 (如双因素认证的临时令牌)
    * @returns {string} JWT令牌字符串
    */
-  sign: payload => {
+  sign: (payload, { expiresIn = JWT_EXPIRES_IN } = {}) => {
     try {
-      return jwt.sign(payload, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+      const issuedAt = Date.now();
+      const claims = { ...payload, iat: Math.floor(issuedAt / 1000), iat_ms: issuedAt };
+
+      const options = {
+        expiresIn,
+        jwtid: crypto.randomUUID(),
+        ...(JWT_ISSUER && { issuer: JWT_ISSUER }),
+      };
+
+      if (keyRing) {
+        const activeKey = keyRing.keys.get(keyRing.activeKid);
+
+        return jwt.sign(claims, activeKey.privateKey, {
+          ...options,
+          algorithm: activeKey.alg,
+          keyid: activeKey.kid,
+        });
+      }
+
+      return jwt.sign(claims, secret, { ...options, algorithm: 'HS256' });
     } catch (error) {
       logger.error('Failed to sign token', error);
       throw new Error('Failed to authenticate token');
@@ -32,14 +150,46 @@ export const jwttoken = {
    * 验证JWT令牌
    * 
    * @param {string} token - JWT令牌字符串
+   * @param {Object} [options] - 验证选项
+   * @param {boolean} [options.ignoreExpiration=false] - 接受已过期的令牌 (仅用于读取会话等不用于认证的场景)
    * @returns {Object} 解码后的载荷数据
    */
-  verify: token => {
+  verify: (token, { ignoreExpiration = false } = {}) => {
     try {
-      return jwt.verify(token, JWT_SECRET);
+      const decoded = jwt.decode(token, { complete: true });
+
+      if (!decoded) {
+        throw new Error('Malformed token');
+      }
+
+      const { key, algorithms } = resolveVerificationKey(decoded.header);
+
+      return jwt.verify(token, key, {
+        algorithms,
+        ignoreExpiration,
+        ...(JWT_ISSUER && { issuer: JWT_ISSUER }),
+      });
     } catch (error) {
       logger.error('Failed to verify token', error);
       throw new Error('Failed to authenticate token');
     }
   },
-};
\ No newline at end of file
+
+  /**
+   * 解码JWT令牌 (不验证签名)
+   * 
+   * @description 仅用于读取自己刚签发的令牌中的 iat/exp 等字段，不能用于认证
+   * @param {string} token - JWT令牌字符串
+   * @returns {Object|null} 解码后的载荷数据
+   */
+  decode: token => jwt.decode(token),
+
+  /**
+   * 获取JWKS
+   * 
+   * @description 返回所有可用于验证的公钥 (包括轮换中尚未退役的旧密钥)
+   * 只使用 HS256 时返回空列表，对称密钥不能公开
+   * @returns {{keys: Array<Object>}} JSON Web Key Set
+   */
+  getJwks: () => (keyRing ? toJwks(keyRing.keys) : { keys: [] }),
+};
@@ -0,0 +1,87 @@
+import fs from 'fs/promises';
+import path from 'path';
+import logger from '../config/logger.js';
+
+/**
+ * 邮件发送工具
+ *
+ * @description 提供可替换的邮件传输层。业务代码只调用 sendMail，
+ * 具体发送方式由传输对象决定。传输对象只需实现一个异步方法：
+ *
+ * - send({ to, subject, text, html })
+ *
+ * 内置控制台传输和文件传输，用于本地开发和测试；
+ * 生产环境通过 setMailTransport 接入 SMTP 或第三方邮件服务。
+ */
+
+/**
+ * 创建控制台邮件传输
+ *
+ * @description 不真正发送邮件，只把邮件内容写入日志
+ * @returns {Object} 邮件传输
+ */
+export const createConsoleTransport = () => ({
+  send: async message => {
+    logger.info(`[mail] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+  },
+});
+
+/**
+ * 创建文件邮件传输
+ *
+ * @description 每封邮件保存为一个JSON文件，测试中可以读取文件获取邮件中的链接
+ * @param {string} [dir='logs/mail'] - 邮件保存目录
+ * @returns {Object} 邮件传输
+ */
+export const createFileTransport = (dir = 'logs/mail') => ({
+  send: async message => {
+    await fs.mkdir(dir, { recursive: true });
+
+    const filename = `${Date.now()}-${message.to.replace(/[^a-zA-Z0-9.@_-]/g, '_')}.json`;
+    const filepath = path.join(dir, filename);
+
+    await fs.writeFile(
+      filepath,
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+
+    logger.info(`[mail] 邮件已写入 ${filepath}`);
+  },
+});
+
+/**
+ * 当前使用的邮件传输
+ */
+let transport = process.env.MAIL_TRANSPORT === 'file'
+  ? createFileTransport(process.env.MAIL_FILE_DIR)
+  : createConsoleTransport();
+
+/**
+ * 替换邮件传输
+ *
+ * @description 在应用启动时调用，例如接入 nodemailer：
+ * setMailTransport({ send: message => transporter.sendMail({ from: process.env.MAIL_FROM, ...message }) });
+ * @param {Object} newTransport - 实现 send 方法的邮件传输
+ */
+export const setMailTransport = newTransport => {
+  transport = newTransport;
+};
+
+/**
+ * 发送邮件
+ *
+ * @param {Object} message - 邮件内容
+ * @param {string} message.to - 收件人
+ * @param {string} message.subject - 邮件主题
+ * @param {string} message.text - 纯文本内容
+ * @param {string} [message.html] - HTML内容
+ * @returns {Promise<void>}
+ */
+export const sendMail = async message => {
+  try {
+    await transport.send(message);
+  } catch (error) {
+    logger.error(`发送邮件失败 - ${message.to}: ${error}`);
+    throw new Error('Failed to send email');
+  }
+};
@@ -0,0 +1,25 @@
+import crypto from 'crypto';
+
+/**
+ * 随机令牌工具函数
+ * 
+ * @description 用于刷新令牌、密码重置令牌等一次性凭据的生成与哈希
+ * 数据库中只保存哈希值，原始令牌只交给客户端
+ */
+
+/**
+ * 生成随机令牌
+ * 
+ * @param {number} [bytes=32] - 随机字节数
+ * @returns {string} URL安全的Base64编码令牌
+ */
+export const generateToken = (bytes = 32) => crypto.randomBytes(bytes).toString('base64url');
+
+/**
+ * 计算令牌哈希值
+ * 
+ * @description 即使数据库泄露，攻击者也无法直接使用其中的令牌
+ * @param {string} token - 原始令牌
+ * @returns {string} SHA-256 哈希值 (hex)
+ */
+export const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
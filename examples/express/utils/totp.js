@@ -0,0 +1,158 @@
+import crypto from 'crypto';
+
+/**
+ * TOTP 工具函数
+ *
+ * @description 基于时间的一次性密码 (RFC 6238)，兼容 Google Authenticator、1Password 等验证器应用
+ * 固定参数：HMAC-SHA1、6位数字、30秒步长
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+
+/**
+ * Base32 编码
+ *
+ * @param {Buffer} buffer - 原始字节
+ * @returns {string} Base32 字符串 (无填充)
+ */
+const base32Encode = buffer => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Base32 解码
+ *
+ * @param {string} input - Base32 字符串 (忽略大小写、空格和填充)
+ * @returns {Buffer} 原始字节
+ */
+const base32Decode = input => {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+
+    if (index === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * 获取当前时间步
+ *
+ * @param {number} [now=Date.now()] - 当前时间 (毫秒)
+ * @returns {number} 时间步
+ */
+export const getTimeStep = (now = Date.now()) => Math.floor(now / 1000 / TOTP_PERIOD_SECONDS);
+
+/**
+ * 生成TOTP密钥
+ *
+ * @returns {string} Base32 编码的160位随机密钥
+ */
+export const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * 生成指定时间步的验证码
+ *
+ * @param {string} secret - Base32 编码的密钥
+ * @param {number} step - 时间步
+ * @returns {string} 6位数字验证码
+ */
+export const generateTotp = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+
+  // 动态截断 (RFC 4226 5.3)
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * 验证TOTP验证码
+ *
+ * @description 允许前后 window 个时间步的时钟偏差
+ * @param {string} secret - Base32 编码的密钥
+ * @param {string} code - 用户输入的验证码
+ * @param {Object} [options] - 配置选项
+ * @param {number} [options.window=1] - 允许的时间步偏差
+ * @returns {number|null} 匹配的时间步，不匹配时返回 null (调用方可据此防止同一验证码重放)
+ */
+export const verifyTotp = (secret, code, { window = 1 } = {}) => {
+  if (!/^\d{6}$/.test(code)) {
+    return null;
+  }
+
+  const currentStep = getTimeStep();
+
+  for (let offset = -window; offset <= window; offset++) {
+    const step = currentStep + offset;
+    const expected = generateTotp(secret, step);
+
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * 生成 otpauth URI
+ *
+ * @description 验证器应用扫描此URI (通常渲染为二维码) 完成绑定
+ * @param {Object} params - 参数
+ * @param {string} params.secret - Base32 编码的密钥
+ * @param {string} params.accountName - 账户名 (通常为邮箱)
+ * @param {string} params.issuer - 发行方名称
+ * @returns {string} otpauth URI
+ */
+export const buildOtpAuthUri = ({ secret, accountName, issuer }) => {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`;
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};